@@ -0,0 +1,94 @@
+// backend/middleware/auth.js
+// Authentication for the API: JWTs from /api/auth/login or long-lived API tokens
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { storage } = require('../storage');
+
+const API_TOKEN_PREFIX = 'tsk_';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+    console.log('JWT_SECRET is not set - using a random secret, so logins will not survive a restart');
+}
+
+// Issue a login token for a user
+function signToken(user) {
+    return jwt.sign({ sub: String(user._id), username: user.username }, JWT_SECRET, {
+        expiresIn: JWT_EXPIRES_IN
+    });
+}
+
+// Create a new random API token (returned to the user once, stored hashed)
+function generateApiToken() {
+    return API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+// Require "Authorization: Bearer <token>" and load the user into req.user. req.scopes holds
+// the scopes of a scoped API token, or null when the request may do everything the user can.
+async function authenticate(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+        let user;
+        let scopes = null;
+        if (token.startsWith(API_TOKEN_PREFIX)) {
+            const tokenHash = User.hashToken(token);
+            user = await storage.users.findOne({ 'apiTokens.tokenHash': tokenHash });
+            if (user) {
+                const apiToken = user.apiTokens.find(item => item.tokenHash === tokenHash);
+                if (apiToken.scopes.length > 0) scopes = [...apiToken.scopes];
+                // Best effort: a concurrent change to the user must not fail the request
+                apiToken.lastUsedAt = new Date();
+                await storage.users.save(user).catch(() => {});
+            }
+        } else {
+            const payload = jwt.verify(token, JWT_SECRET);
+            user = await storage.users.findById(payload.sub);
+        }
+
+        if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+
+        req.user = user;
+        req.scopes = scopes;
+        next();
+    } catch (error) {
+        res.status(401).json({ message: 'Invalid or expired token' });
+    }
+}
+
+// Scoped API tokens need "<resource>:read" to read (GET, or a POST to one of readPaths that
+// only asks a question) and "<resource>:write" for everything else
+function requireScope(resource, { readPaths = [] } = {}) {
+    return (req, res, next) => {
+        if (!req.scopes) return next();
+
+        const reads = ['GET', 'HEAD'].includes(req.method) || readPaths.includes(req.path);
+        const scope = `${resource}:${reads ? 'read' : 'write'}`;
+        if (!req.scopes.includes(scope)) {
+            return res.status(403).json({ message: `This API token does not have the ${scope} scope` });
+        }
+        next();
+    };
+}
+
+// For what a scoped token must not do, such as creating a token with more scopes than its own
+function requireFullAccess(req, res, next) {
+    if (req.scopes) {
+        return res.status(403).json({ message: 'This needs a login or an API token without scopes' });
+    }
+    next();
+}
+
+module.exports = {
+    authenticate,
+    requireScope,
+    requireFullAccess,
+    signToken,
+    generateApiToken
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+// backend/models/AuditLog.js
+// MongoDB Schema for the task audit log: one entry per create, update, delete or restore
+
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, {
+    _id: false
+});
+
+const auditLogSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId, // Not a live reference: the task may be deleted
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Who made the change and how: the REST API, or an MCP tool on the user's behalf
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['rest', 'mcp'],
+        default: 'rest'
+    },
+    tool: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore'],
+        required: true
+    },
+    // Numbered per task, starting at 1
+    version: {
+        type: Number,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    changes: [changeSchema],
+    // Occurrence overrides deleted along with their series point at the series' delete entry
+    cascadeOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuditLog',
+        default: null
+    },
+    // Version a restore went back to
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    // Groups the entries of one MCP tool call (X-Operation-Id) so they can be undone together
+    operation: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Two changes to a task recorded at once cannot both take the next version
+auditLogSchema.index({ task: 1, version: -1 }, { unique: true });
+auditLogSchema.index({ owner: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ cascadeOf: 1 });
+auditLogSchema.index({ owner: 1, operation: 1, createdAt: 1 });
+auditLogSchema.index({ owner: 1, _id: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+// backend/models/Reminder.js
+// MongoDB Schema for scheduled reminders (one per task occurrence and offset)
+
+const mongoose = require('mongoose');
+const { CHANNELS } = require('../utils/reminders');
+
+// Reminders are stored before they are due so they survive restarts:
+// pending -> sending -> sent, failed (out of retries), cancelled (task changed) or missed (server was down too long)
+const reminderSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    start: {
+        type: Date, // Start of the occurrence being reminded about
+        required: true
+    },
+    minutesBefore: {
+        type: Number,
+        required: true
+    },
+    fireAt: {
+        type: Date,
+        required: true
+    },
+    channels: [{
+        type: String,
+        enum: CHANNELS
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed', 'cancelled', 'missed'],
+        default: 'pending'
+    },
+    nextAttemptAt: {
+        type: Date,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    delivered: [{
+        type: String, // Channels that already succeeded, so retries do not repeat them
+        enum: CHANNELS
+    }],
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the Ollama client has shown a console reminder
+    acknowledgedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One reminder per occurrence and offset, however often the scheduler plans ahead
+reminderSchema.index({ task: 1, start: 1, minutesBefore: 1 }, { unique: true });
+reminderSchema.index({ status: 1, nextAttemptAt: 1 });
+reminderSchema.index({ owner: 1, status: 1, fireAt: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
@@ -2,6 +2,56 @@
 // MongoDB Schema for tasks
 
 const mongoose = require('mongoose');
+const { FREQUENCIES, BYDAY_PATTERN } = require('../utils/recurrence');
+const { CHANNELS, DEFAULT_CHANNELS, MAX_MINUTES_BEFORE } = require('../utils/reminders');
+
+// iCalendar RRULE-style recurrence (stored on the first occurrence of a series)
+const recurrenceSchema = new mongoose.Schema({
+    freq: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    byDay: [{
+        type: String,
+        match: BYDAY_PATTERN
+    }],
+    count: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    until: {
+        type: Date,
+        default: null
+    },
+    exdates: [{
+        type: Date // Start times of occurrences that were deleted from the series
+    }]
+}, {
+    _id: false
+});
+
+// A reminder fires `minutesBefore` the task (or each occurrence of a series) starts
+const reminderSchema = new mongoose.Schema({
+    minutesBefore: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: MAX_MINUTES_BEFORE
+    },
+    channels: {
+        type: [{ type: String, enum: CHANNELS }],
+        default: DEFAULT_CHANNELS
+    }
+}, {
+    _id: false
+});
 
 const taskSchema = new mongoose.Schema({
     title: {
@@ -28,9 +78,40 @@ const taskSchema = new mongoose.Schema({
     color: {
         type: String,
         default: '#3788d8'
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+    reminders: [reminderSchema],
+    // Set on a task that overrides a single occurrence of a recurring series
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    originalStart: {
+        type: Date,
+        default: null
+    },
+    // iCalendar UID of a task imported from another calendar app
+    uid: {
+        type: String,
+        default: null
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt automatically
 });
 
+// Indexes backing the GET /api/tasks window, tag and sort queries (always scoped to an owner)
+taskSchema.index({ owner: 1, start: 1, end: 1 });
+taskSchema.index({ owner: 1, tags: 1, start: 1 });
+taskSchema.index({ seriesId: 1, originalStart: 1 });
+taskSchema.index({ owner: 1, uid: 1 });
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+// backend/models/User.js
+// MongoDB Schema for user accounts
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// API tokens are long-lived credentials for scripts and the MCP server.
+// Only a hash is stored; the token itself is shown once when it is created.
+const apiTokenSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // What the token may do, e.g. ['tasks:read']; a token without scopes may do everything its user can
+    scopes: [{
+        type: String,
+        match: /^[a-z][a-z0-9_-]*:[a-z][a-z0-9_-]*$/
+    }],
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        minlength: 3
+    },
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    apiTokens: [apiTokenSchema],
+    // Where webhook and email reminders are delivered
+    notifications: {
+        email: {
+            type: String,
+            trim: true,
+            match: /^[^\s@]+@[^\s@]+$/,
+            default: null
+        },
+        webhookUrl: {
+            type: String,
+            trim: true,
+            match: /^https?:\/\//,
+            default: null
+        }
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+userSchema.index({ 'apiTokens.tokenHash': 1 });
+
+// Hash a password with scrypt and a random salt ("salt:hash", both hex)
+userSchema.statics.hashPassword = function(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (err, derived) => {
+            if (err) return reject(err);
+            resolve(`${salt}:${derived.toString('hex')}`);
+        });
+    });
+};
+
+userSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+userSchema.methods.verifyPassword = function(password) {
+    const [salt, hash] = this.passwordHash.split(':');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, derived) => {
+            if (err) return reject(err);
+            resolve(crypto.timingSafeEqual(derived, Buffer.from(hash, 'hex')));
+        });
+    });
+};
+
+// Never send password or token hashes to clients
+userSchema.methods.toJSON = function() {
+    return {
+        _id: this._id,
+        username: this.username,
+        apiTokens: this.apiTokens.map(token => ({
+            _id: token._id,
+            name: token.name,
+            scopes: token.scopes,
+            lastUsedAt: token.lastUsedAt,
+            createdAt: token.createdAt
+        })),
+        notifications: {
+            email: this.notifications.email,
+            webhookUrl: this.notifications.webhookUrl
+        },
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
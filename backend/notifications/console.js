@@ -0,0 +1,10 @@
+// backend/notifications/console.js
+// Console channel: logs the reminder; the Ollama client picks it up from GET /api/reminders/notifications
+
+const { describeOffset } = require('../utils/reminders');
+
+async function send(reminder, user) {
+    console.log(`⏰ Reminder for ${user.username}: "${reminder.title}" starts ${describeOffset(reminder.minutesBefore)} (${new Date(reminder.start).toLocaleString()})`);
+}
+
+module.exports = { send };
\ No newline at end of file
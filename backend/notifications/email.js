@@ -0,0 +1,36 @@
+// backend/notifications/email.js
+// Email channel: sends the reminder over SMTP (any local SMTP stand-in such as MailHog works for testing)
+
+const nodemailer = require('nodemailer');
+const { describeOffset } = require('../utils/reminders');
+
+const SMTP_FROM = process.env.SMTP_FROM || 'Task Scheduler <reminders@localhost>';
+
+let transport = null;
+
+// Created on first use so the backend starts without SMTP settings
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT || 1025),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transport;
+}
+
+async function send(reminder, user) {
+    if (!user.notifications.email) throw new Error('No email address set for reminders');
+
+    const when = new Date(reminder.start).toLocaleString();
+    await getTransport().sendMail({
+        from: SMTP_FROM,
+        to: user.notifications.email,
+        subject: `Reminder: ${reminder.title} starts ${describeOffset(reminder.minutesBefore)}`,
+        text: `Hi ${user.username},\n\n"${reminder.title}" starts at ${when}.\n\n- Task Scheduler`
+    });
+}
+
+module.exports = { send };
\ No newline at end of file
@@ -0,0 +1,25 @@
+// backend/notifications/index.js
+// Registry of reminder delivery channels
+
+const channels = {
+    console: require('./console'),
+    webhook: require('./webhook'),
+    email: require('./email')
+};
+
+// Replace how a channel delivers (e.g. another email provider); `channel.send(reminder, user)`
+// should reject when delivery fails so the scheduler retries it
+function registerChannel(name, channel) {
+    channels[name] = channel;
+}
+
+async function deliver(name, reminder, user) {
+    const channel = channels[name];
+    if (!channel) throw new Error(`Unknown reminder channel: ${name}`);
+    await channel.send(reminder, user);
+}
+
+module.exports = {
+    registerChannel,
+    deliver
+};
\ No newline at end of file
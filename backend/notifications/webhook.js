@@ -0,0 +1,35 @@
+// backend/notifications/webhook.js
+// Webhook channel: POSTs the reminder as JSON to the user's webhook URL
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+// When set, requests carry an X-Reminder-Signature header (hex HMAC-SHA256 of the body)
+const WEBHOOK_SECRET = process.env.REMINDER_WEBHOOK_SECRET || null;
+
+function payload(reminder) {
+    return {
+        type: 'task.reminder',
+        reminderId: String(reminder._id),
+        taskId: String(reminder.task),
+        title: reminder.title,
+        start: reminder.start,
+        minutesBefore: reminder.minutesBefore,
+        fireAt: reminder.fireAt
+    };
+}
+
+async function send(reminder, user) {
+    if (!user.notifications.webhookUrl) throw new Error('No webhook URL set for reminders');
+
+    const body = JSON.stringify(payload(reminder));
+    const headers = { 'Content-Type': 'application/json' };
+    if (WEBHOOK_SECRET) {
+        headers['X-Reminder-Signature'] = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+    }
+
+    await axios.post(user.notifications.webhookUrl, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+}
+
+module.exports = { send, payload };
\ No newline at end of file
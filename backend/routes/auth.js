@@ -0,0 +1,117 @@
+// backend/routes/auth.js
+// API routes for user accounts, login and API tokens
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { storage } = require('../storage');
+const { authenticate, requireFullAccess, signToken, generateApiToken } = require('../middleware/auth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Tasks created before accounts existed belong to the first user. Every registration hands them
+// to the earliest account rather than to itself, so concurrent first registrations agree on
+// the owner instead of both seeing two users and leaving the tasks without one.
+async function assignOrphanTasks() {
+    if (!(await storage.tasks.exists({ owner: null }))) return;
+
+    const first = await storage.users.findOne({}, { sort: { createdAt: 1, _id: 1 } });
+    await storage.tasks.updateMany({ owner: null }, { owner: first._id });
+}
+
+// POST register a new user
+router.post('/register', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ message: 'username and password are required' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        if (await storage.users.exists({ username: String(username).trim().toLowerCase() })) {
+            return res.status(409).json({ message: 'Username is already taken' });
+        }
+
+        const user = new User({
+            username: username,
+            passwordHash: await User.hashPassword(String(password))
+        });
+        const newUser = await storage.users.save(user);
+        await assignOrphanTasks();
+
+        res.status(201).json({ user: newUser, token: signToken(newUser) });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// POST log in and receive a token
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password) {
+        return res.status(400).json({ message: 'username and password are required' });
+    }
+
+    try {
+        const user = await storage.users.findOne({ username: String(username).trim().toLowerCase() });
+        if (!user || !(await user.verifyPassword(String(password)))) {
+            return res.status(401).json({ message: 'Invalid username or password' });
+        }
+
+        res.json({ user, token: signToken(user) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET the current user, with the scopes of the API token used (null: unrestricted)
+router.get('/me', authenticate, (req, res) => {
+    res.json({ ...req.user.toJSON(), scopes: req.scopes });
+});
+
+// POST create an API token (the token is only returned by this request), optionally
+// limited to scopes such as ["tasks:read"]
+router.post('/tokens', authenticate, requireFullAccess, async (req, res) => {
+    const scopes = req.body.scopes || [];
+    if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+        return res.status(400).json({ message: 'scopes must be an array of scope names such as "tasks:read"' });
+    }
+
+    try {
+        const token = generateApiToken();
+        req.user.apiTokens.push({
+            name: req.body.name || 'API token',
+            tokenHash: User.hashToken(token),
+            scopes
+        });
+        await storage.users.save(req.user);
+
+        const created = req.user.apiTokens[req.user.apiTokens.length - 1];
+        res.status(201).json({ _id: created._id, name: created.name, scopes: created.scopes, token });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// GET list API tokens (without their values)
+router.get('/tokens', authenticate, requireFullAccess, (req, res) => {
+    res.json(req.user.toJSON().apiTokens);
+});
+
+// DELETE revoke an API token
+router.delete('/tokens/:tokenId', authenticate, requireFullAccess, async (req, res) => {
+    try {
+        const token = req.user.apiTokens.id(req.params.tokenId);
+        if (!token) return res.status(404).json({ message: 'Token not found' });
+
+        token.deleteOne();
+        await storage.users.save(req.user);
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,267 @@
+// backend/routes/history.js
+// API routes for task history, restoring earlier versions and the trash bin
+// (mounted on /api/tasks ahead of the task routes)
+
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const { storage } = require('../storage');
+const reminderScheduler = require('../scheduler/reminders');
+const { TRACKED_FIELDS, snapshot, diffSnapshots, recordChange } = require('../utils/audit');
+
+const TRASH_LIMIT = 100;
+const CHANGES_LIMIT = 100;
+const NO_CHANGES_CURSOR = '000000000000000000000000'; // Before every audit log entry
+
+// Deleted tasks of a user, most recently deleted first (overrides deleted with their series are left out)
+async function trashEntries(owner) {
+    const entries = await storage.auditLogs.find(
+        { owner, action: 'delete', cascadeOf: null },
+        { sort: { createdAt: -1 }, limit: TRASH_LIMIT * 5 }
+    );
+
+    const existing = await storage.tasks.find({ _id: { $in: entries.map(entry => entry.task) } });
+    const skip = new Set(existing.map(task => String(task._id)));
+
+    // A task deleted, restored and deleted again only shows up once
+    return entries.filter(entry => {
+        const id = String(entry.task);
+        if (skip.has(id)) return false;
+        skip.add(id);
+        return true;
+    }).slice(0, TRASH_LIMIT);
+}
+
+// Put a deleted task back from a snapshot. A deleted occurrence override needs its
+// series, and the occurrence it replaced must stop being excluded from the series.
+// Sends a 409 and returns null when the series is gone.
+async function recreate(req, res, data, restoredFrom) {
+    if (data.seriesId) {
+        const series = await storage.tasks.findOne({ _id: data.seriesId, owner: req.user._id });
+        if (!series || !series.recurrence) {
+            res.status(409).json({ message: 'Restore the recurring task this occurrence belongs to first' });
+            return null;
+        }
+
+        const originalStart = new Date(data.originalStart).getTime();
+        if (series.recurrence.exdates.some(date => date.getTime() === originalStart)) {
+            const before = snapshot(series);
+            series.recurrence.exdates = series.recurrence.exdates.filter(date => date.getTime() !== originalStart);
+            await storage.tasks.save(series);
+            await recordChange(req, 'update', { task: series, before, after: series });
+        }
+    }
+
+    const task = await storage.tasks.create({ ...data, owner: req.user._id });
+    await recordChange(req, 'restore', { task, after: task, restoredFrom });
+    await reminderScheduler.syncTask(task);
+    return task;
+}
+
+// Overwrite the tracked fields of a task with those of a snapshot
+function applySnapshot(task, data) {
+    TRACKED_FIELDS.forEach(field => task.set(field, data[field] === undefined ? null : data[field]));
+}
+
+// Whether a task (or null for a missing one) is exactly in a recorded state
+function matchesState(task, state) {
+    if (!state || !task) return !state && !task;
+    return diffSnapshots(snapshot(task), state).length === 0;
+}
+
+// Put a task into a recorded state exactly (null deletes it). Unlike the task routes this
+// has no side effects on related tasks: an operation's entries already cover those.
+async function applyState(req, task, taskId, state) {
+    if (!state) {
+        if (!task) return null;
+        await storage.tasks.remove(task);
+        await recordChange(req, 'delete', { task, before: task });
+        await reminderScheduler.cancelTask(task._id);
+        return { taskId, title: task.title, result: 'deleted' };
+    }
+
+    const before = snapshot(task);
+    if (task) {
+        applySnapshot(task, state);
+    } else {
+        task = new Task({ ...state, owner: req.user._id });
+    }
+    const saved = await storage.tasks.save(task);
+    await recordChange(req, 'restore', { task: saved, before, after: saved });
+    await reminderScheduler.syncTask(saved);
+    return { taskId, title: saved.title, result: before ? 'updated' : 'restored' };
+}
+
+// POST undo or redo every change made by one MCP tool call (its X-Operation-Id)
+// Refused with 409 when one of the tasks was changed again since
+router.post('/operations/:operationId/:direction(undo|redo)', async (req, res) => {
+    const undo = req.params.direction === 'undo';
+
+    try {
+        const entries = await storage.auditLogs.find(
+            { owner: req.user._id, operation: req.params.operationId },
+            { sort: { createdAt: 1, _id: 1 } }
+        );
+        if (entries.length === 0) return res.status(404).json({ message: 'Operation not found' });
+
+        // A task may change more than once in an operation: undo goes back to the state
+        // before its first change, redo forward to the state after its last one
+        const tasks = new Map();
+        entries.forEach(entry => {
+            const id = String(entry.task);
+            if (!tasks.has(id)) tasks.set(id, { before: entry.before, after: entry.after });
+            tasks.get(id).after = entry.after;
+        });
+
+        const plan = [];
+        for (const [taskId, states] of tasks) {
+            const task = await storage.tasks.findOne({ _id: taskId, owner: req.user._id });
+            const expected = undo ? states.after : states.before;
+            if (!matchesState(task, expected)) {
+                const title = (task || expected || states.before || states.after).title;
+                return res.status(409).json({
+                    message: `"${title}" was changed again since, so this cannot be ${undo ? 'undone' : 'redone'} automatically`
+                });
+            }
+            plan.push({ taskId, task, state: undo ? states.before : states.after });
+        }
+
+        const results = [];
+        for (const step of plan) {
+            const result = await applyState(req, step.task, step.taskId, step.state);
+            if (result) results.push(result);
+        }
+
+        res.json({ operation: req.params.operationId, direction: req.params.direction, tasks: results });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET the trash bin: deleted tasks that can be restored
+router.get('/trash', async (req, res) => {
+    try {
+        const entries = await trashEntries(req.user._id);
+        res.json(entries.map(entry => ({
+            taskId: entry.task,
+            title: entry.before.title,
+            start: entry.before.start,
+            end: entry.before.end,
+            recurrence: entry.before.recurrence || null,
+            deletedAt: entry.createdAt,
+            source: entry.source,
+            tool: entry.tool,
+            version: entry.version
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST undelete a task from the trash (a recurring task comes back with its edited occurrences)
+router.post('/trash/:id/restore', async (req, res) => {
+    try {
+        if (await storage.tasks.exists({ _id: req.params.id, owner: req.user._id })) {
+            return res.status(409).json({ message: 'Task is not in the trash' });
+        }
+
+        const entry = await storage.auditLogs.findOne(
+            { task: req.params.id, owner: req.user._id, action: 'delete' },
+            { sort: { version: -1 } }
+        );
+        if (!entry) return res.status(404).json({ message: 'Task not found in the trash' });
+
+        const task = await recreate(req, res, entry.before, entry.version);
+        if (!task) return;
+
+        const cascaded = await storage.auditLogs.find({ cascadeOf: entry._id });
+        const occurrences = [];
+        for (const override of cascaded) {
+            if (await storage.tasks.exists({ _id: override.task })) continue;
+            occurrences.push(await recreate(req, res, override.before, override.version));
+        }
+
+        res.status(201).json({ task, occurrences });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET the user's audit log entries after a cursor, oldest first, so clients can follow changes
+// Query parameters: after - the cursor from the previous call; without it nothing is returned
+// but the current cursor, to follow changes from now on.
+// Entries are ordered by ID; an entry written in a long transaction can become visible after
+// later ones, so followers may in rare cases miss it.
+router.get('/changes', async (req, res) => {
+    const { after } = req.query;
+    if (after !== undefined && !/^[0-9a-f]{24}$/i.test(after)) {
+        return res.status(400).json({ message: 'after must be a cursor returned by this endpoint' });
+    }
+
+    try {
+        if (after === undefined) {
+            const latest = await storage.auditLogs.findOne({ owner: req.user._id }, { sort: { _id: -1 } });
+            return res.json({ changes: [], cursor: latest ? String(latest._id) : NO_CHANGES_CURSOR, hasMore: false });
+        }
+
+        const changes = await storage.auditLogs.find(
+            { owner: req.user._id, _id: { $gt: after } },
+            { sort: { _id: 1 }, limit: CHANGES_LIMIT }
+        );
+        res.json({
+            changes,
+            cursor: changes.length > 0 ? String(changes[changes.length - 1]._id) : after,
+            hasMore: changes.length === CHANGES_LIMIT
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET the change history of a task (also works for deleted tasks), newest first
+router.get('/:id/history', async (req, res) => {
+    try {
+        const entries = await storage.auditLogs.find(
+            { task: req.params.id, owner: req.user._id },
+            { sort: { version: -1 } }
+        );
+        if (entries.length === 0) return res.status(404).json({ message: 'No history found for this task' });
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST restore a task to an earlier version
+// Body: { version } - the task as it was after that change (or just before it, for a delete)
+router.post('/:id/restore', async (req, res) => {
+    const version = Number(req.body.version);
+    if (!Number.isInteger(version) || version < 1) {
+        return res.status(400).json({ message: 'version must be a positive integer' });
+    }
+
+    try {
+        const entry = await storage.auditLogs.findOne({ task: req.params.id, owner: req.user._id, version });
+        if (!entry) return res.status(404).json({ message: 'Version not found' });
+        const data = entry.after || entry.before;
+
+        const task = await storage.tasks.findOne({ _id: req.params.id, owner: req.user._id });
+        if (!task) {
+            const recreated = await recreate(req, res, data, version);
+            if (recreated) res.status(201).json(recreated);
+            return;
+        }
+
+        const before = snapshot(task);
+        applySnapshot(task, data);
+        const restoredTask = await storage.tasks.save(task);
+        await recordChange(req, 'restore', { task: restoredTask, before, after: restoredTask, restoredFrom: version });
+        await reminderScheduler.syncTask(restoredTask);
+
+        res.json(restoredTask);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
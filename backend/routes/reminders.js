@@ -0,0 +1,73 @@
+// backend/routes/reminders.js
+// API routes for reminders: upcoming and delivered reminders, and where they are sent
+
+const express = require('express');
+const router = express.Router();
+const { storage } = require('../storage');
+
+const NOTIFICATION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// GET reminders that are scheduled but not sent yet
+router.get('/', async (req, res) => {
+    try {
+        const reminders = await storage.reminders.find(
+            { owner: req.user._id, status: { $in: ['pending', 'sending'] } },
+            { sort: { fireAt: 1 } }
+        );
+        res.json(reminders);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// GET console reminders that have fired but were not shown yet (polled by the Ollama client)
+router.get('/notifications', async (req, res) => {
+    try {
+        const reminders = await storage.reminders.find({
+            owner: req.user._id,
+            delivered: 'console',
+            acknowledgedAt: null,
+            fireAt: { $gte: new Date(Date.now() - NOTIFICATION_MAX_AGE_MS) }
+        }, { sort: { fireAt: 1 } });
+        res.json(reminders);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST mark console reminders as shown
+// Body: { ids: [reminderId, ...] }
+router.post('/notifications/ack', async (req, res) => {
+    if (!Array.isArray(req.body.ids)) {
+        return res.status(400).json({ message: 'ids must be an array of reminder IDs' });
+    }
+
+    try {
+        const result = await storage.reminders.updateMany(
+            { _id: { $in: req.body.ids }, owner: req.user._id, acknowledgedAt: null },
+            { acknowledgedAt: new Date() }
+        );
+        res.json({ acknowledged: result.modifiedCount });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// GET where webhook and email reminders are delivered
+router.get('/settings', (req, res) => {
+    res.json(req.user.toJSON().notifications);
+});
+
+// PUT change the email address or webhook URL (null removes it)
+router.put('/settings', async (req, res) => {
+    try {
+        if (req.body.email !== undefined) req.user.notifications.email = req.body.email || null;
+        if (req.body.webhookUrl !== undefined) req.user.notifications.webhookUrl = req.body.webhookUrl || null;
+        await storage.users.save(req.user);
+        res.json(req.user.toJSON().notifications);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
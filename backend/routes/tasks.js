@@ -4,21 +4,452 @@
 const express = require('express');
 const router = express.Router();
 const Task = require('../models/Task');
+const { storage } = require('../storage');
+const { normalizeRecurrence, occurrencesIn, isOccurrence } = require('../utils/recurrence');
+const {
+    parseListQuery,
+    buildFilter,
+    cursorCondition,
+    sortSpec,
+    compareTasks,
+    isAfterCursor,
+    encodeCursor
+} = require('../utils/taskQuery');
+const { occupiedSlots, findConflicts } = require('../utils/conflicts');
+const { parseSlotOptions, findFreeSlots } = require('../utils/freeSlots');
+const { UID_DOMAIN, parseICS, tasksToICS } = require('../utils/ical');
+const { normalizeReminders } = require('../utils/reminders');
+const reminderScheduler = require('../scheduler/reminders');
+const { snapshot, recordChange } = require('../utils/audit');
+
+const MAX_BATCH_OPERATIONS = 200;
+
+// Parse a date query parameter, returning null when it is missing or invalid
+function parseDateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Combine filter conditions into a single query
+function andQuery(conditions) {
+    const parts = conditions.filter(Boolean);
+    return parts.length > 0 ? { $and: parts } : {};
+}
+
+// Find tasks without a window; recurring tasks are returned as stored
+async function findTasks(options) {
+    const tasks = await storage.tasks.find(andQuery([...buildFilter(options), cursorCondition(options)]), {
+        sort: sortSpec(options),
+        // Fetch one extra row to know whether another page exists
+        limit: options.limit ? options.limit + 1 : null
+    });
+    return tasks.map(task => task.toObject());
+}
+
+// Conditions for plain tasks overlapping a window
+function singlesInRange(rangeStart, rangeEnd) {
+    return [
+        { recurrence: null },
+        { start: { $lt: rangeEnd } },
+        { end: { $gte: rangeStart } }
+    ];
+}
+
+// Conditions for recurring series that may have occurrences in a window
+function seriesInRange(rangeStart, rangeEnd) {
+    return [
+        { recurrence: { $ne: null } },
+        { start: { $lt: rangeEnd } },
+        {
+            $or: [
+                { 'recurrence.until': null },
+                { 'recurrence.until': { $gte: rangeStart } }
+            ]
+        }
+    ];
+}
+
+// Find tasks in a window, expanding recurring series into their occurrences
+async function findTasksInRange(options) {
+    const { rangeStart, rangeEnd } = options;
+    const filter = buildFilter(options);
+
+    const [singleTasks, seriesTasks] = await Promise.all([
+        storage.tasks.find(andQuery([
+            ...filter,
+            cursorCondition(options),
+            ...singlesInRange(rangeStart, rangeEnd)
+        ]), {
+            sort: sortSpec(options),
+            limit: options.limit ? options.limit + 1 : null
+        }),
+        storage.tasks.find(andQuery([...filter, ...seriesInRange(rangeStart, rangeEnd)]))
+    ]);
+
+    // Occurrences that were edited individually are returned as their own tasks
+    const overrides = await storage.tasks.find({ seriesId: { $in: seriesTasks.map(task => task._id) } });
+    const overridden = new Set(overrides.map(task => `${task.seriesId}|${task.originalStart.getTime()}`));
+
+    // A page needs at most `limit` + 1 occurrences of each series. Occurrences of one series sort
+    // by their start, so with an ascending sort expansion stops once there are enough; with a
+    // descending one only the latest are kept.
+    const wanted = options.limit ? options.limit + 1 : Infinity;
+    const occurrences = [];
+    seriesTasks.forEach(task => {
+        const data = task.toObject();
+        const kept = [];
+        for (const { start, end } of occurrencesIn(task, rangeStart, rangeEnd)) {
+            if (overridden.has(`${task._id}|${start.getTime()}`)) continue;
+            const occurrence = {
+                ...data,
+                start,
+                end,
+                seriesId: task._id,
+                originalStart: start
+            };
+            if (!isAfterCursor(options, occurrence)) {
+                // Descending, the rest of the series comes before the cursor too
+                if (options.sort.direction === -1) break;
+                continue;
+            }
+
+            kept.push(occurrence);
+            if (options.sort.direction === 1 && kept.length === wanted) break;
+            if (kept.length > wanted) kept.shift();
+        }
+        occurrences.push(...kept);
+    });
+
+    return [...singleTasks.map(task => task.toObject()), ...occurrences]
+        .sort((a, b) => compareTasks(options.sort, a, b));
+}
+
+// Copy editable fields from a request body onto a task
+function applyUpdates(task, body) {
+    if (body.title) task.title = body.title;
+    if (body.description !== undefined) task.description = body.description;
+    if (body.start) task.start = body.start;
+    if (body.end) task.end = body.end;
+    if (body.tags) task.tags = body.tags;
+    if (body.color) task.color = body.color;
+    if (body.reminders !== undefined) task.reminders = normalizeReminders(body.reminders);
+}
+
+// Look up a recurring task and validate an occurrence date
+async function findSeriesOccurrence(owner, id, occurrenceParam, res) {
+    const task = await storage.tasks.findOne({ _id: id, owner });
+    if (!task) {
+        res.status(404).json({ message: 'Task not found' });
+        return null;
+    }
+    if (!task.recurrence) {
+        res.status(400).json({ message: 'Task is not recurring' });
+        return null;
+    }
+
+    const occurrence = parseDateParam(occurrenceParam);
+    if (!occurrence) {
+        res.status(400).json({ message: 'Invalid occurrence date' });
+        return null;
+    }
+
+    return { task, occurrence };
+}
+
+// Load the task a PUT would save with the changes applied (not saved yet), together
+// with a predicate telling which existing tasks it replaces for conflict checks,
+// whether its time slots changed and a snapshot of it before the changes (for the audit log)
+async function prepareUpdate(owner, id, occurrenceParam, body, res) {
+    if (occurrenceParam) {
+        const found = await findSeriesOccurrence(owner, id, occurrenceParam, res);
+        if (!found) return null;
+        const { task: series, occurrence } = found;
+
+        const duration = series.end - series.start;
+        let override = await storage.tasks.findOne({ seriesId: series._id, originalStart: occurrence });
+        const before = snapshot(override);
+        if (!override) {
+            if (!isOccurrence(series, occurrence)) {
+                res.status(404).json({ message: 'Occurrence not found' });
+                return null;
+            }
+            override = new Task({
+                title: series.title,
+                description: series.description,
+                start: occurrence,
+                end: new Date(occurrence.getTime() + duration),
+                tags: series.tags,
+                color: series.color,
+                reminders: series.reminders,
+                owner: series.owner,
+                seriesId: series._id,
+                originalStart: occurrence
+            });
+        }
+
+        applyUpdates(override, body);
+        const moved = override.isNew
+            ? override.start.getTime() !== occurrence.getTime() || override.end - override.start !== duration
+            : override.isModified('start') || override.isModified('end');
+        return {
+            task: override,
+            before,
+            moved,
+            replaces: other => String(other._id) === String(override._id) ||
+                (String(other._id) === String(series._id) &&
+                    new Date(other.originalStart).getTime() === occurrence.getTime())
+        };
+    }
+
+    const task = await storage.tasks.findOne({ _id: id, owner });
+    if (!task) {
+        res.status(404).json({ message: 'Task not found' });
+        return null;
+    }
+
+    const before = snapshot(task);
+
+    // Update fields if provided
+    applyUpdates(task, body);
+    if (body.recurrence !== undefined && !task.seriesId) {
+        task.recurrence = normalizeRecurrence(body.recurrence);
+    }
+
+    return {
+        task,
+        before,
+        moved: task.isModified('start') || task.isModified('end') || task.isModified('recurrence'),
+        // A series replaces all of its occurrences, including individually edited ones
+        replaces: other => String(other._id) === String(task._id) ||
+            (task.recurrence && String(other.seriesId) === String(task._id))
+    };
+}
+
+// Existing tasks of the same owner that overlap the time slots a task would occupy
+async function conflictsFor(task, replaces) {
+    const slots = occupiedSlots(task);
+    if (slots.length === 0) return [];
+
+    // The window must not be empty, even for a zero-length task
+    const rangeEnd = Math.max(slots[0].start.getTime() + 1, ...slots.map(slot => slot.end.getTime()));
+    const options = parseListQuery({
+        start: slots[0].start.toISOString(),
+        end: new Date(rangeEnd).toISOString()
+    });
+    options.owner = task.owner;
+    const existing = await findTasksInRange(options);
+    return findConflicts(slots, existing, replaces);
+}
+
+// Reply with 409 when the task overlaps others, unless the caller allowed it
+async function rejectOverlap(task, replaces, body, res) {
+    if (body.allowOverlap === true || body.allowOverlap === 'true') return false;
+
+    const conflicts = await conflictsFor(task, replaces);
+    if (conflicts.length === 0) return false;
+
+    res.status(409).json({
+        message: `Task overlaps with ${conflicts.length} existing task(s). Send allowOverlap: true to save anyway.`,
+        conflicts
+    });
+    return true;
+}
 
 // GET all tasks
+// Query parameters:
+//   start, end   - only tasks overlapping this window, with recurring tasks expanded
+//   tags         - comma separated; tasks having any of these tags
+//   q            - case-insensitive text match on title or description
+//   sort         - start (default), end, title, createdAt or updatedAt; prefix "-" for descending
+//   limit/cursor - page size and the X-Next-Cursor value from the previous page
 router.get('/', async (req, res) => {
+    let options;
+    try {
+        options = parseListQuery(req.query);
+        options.owner = req.user._id;
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
     try {
-        const tasks = await Task.find();
+        let tasks = options.rangeStart ? await findTasksInRange(options) : await findTasks(options);
+
+        if (options.limit && tasks.length > options.limit) {
+            tasks = tasks.slice(0, options.limit);
+            res.set('X-Next-Cursor', encodeCursor(options.sort, tasks[tasks.length - 1]));
+        }
+
         res.json(tasks);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
+// Free slots for a task of the given duration, computed from the tasks in the window
+async function freeSlotsFor(owner, input) {
+    const options = parseSlotOptions(input);
+    const query = parseListQuery({
+        start: options.windowStart.toISOString(),
+        end: options.windowEnd.toISOString(),
+        tags: input.busyTags
+    });
+    query.owner = owner;
+    const busy = await findTasksInRange(query);
+    return findFreeSlots(busy, options);
+}
+
+// GET ranked free slots
+// Query parameters: duration (minutes, required), start/end (search window, default next 7 days),
+// workStart/workEnd ("09:00"), workDays ("MO,TU,WE,TH,FR"), prefer (earliest|latest), step, limit,
+// busyTags (only tasks with these tags block time)
+router.get('/free-slots', async (req, res) => {
+    try {
+        const slots = await freeSlotsFor(req.user._id, req.query);
+        res.json({ slots });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// POST create a task in the best free slot
+// Body: title, description, tags, color plus the same slot options as GET /free-slots
+router.post('/auto-schedule', async (req, res) => {
+    try {
+        const slots = await freeSlotsFor(req.user._id, req.body);
+        if (slots.length === 0) {
+            return res.status(404).json({ message: 'No free slot found in the requested window' });
+        }
+
+        const [best, ...alternatives] = slots;
+        const task = new Task({
+            title: req.body.title,
+            description: req.body.description,
+            start: best.start,
+            end: best.end,
+            tags: req.body.tags || ['other'],
+            color: req.body.color || '#3788d8',
+            reminders: normalizeReminders(req.body.reminders),
+            owner: req.user._id
+        });
+
+        const newTask = await storage.tasks.save(task);
+        await recordChange(req, 'create', { task: newTask, after: newTask });
+        await reminderScheduler.syncTask(newTask);
+        res.status(201).json({ task: newTask, slot: best, alternatives });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Find a task by iCalendar UID; tasks exported from here use "<_id>@task-scheduler"
+async function findByUid(owner, uid) {
+    const ownId = new RegExp(`^([0-9a-f]{24})@${UID_DOMAIN}$`).exec(uid);
+    return storage.tasks.findOne({ owner, ...(ownId ? { $or: [{ uid }, { _id: ownId[1] }] } : { uid }) });
+}
+
+// GET tasks as an iCalendar file (accepts the start, end, tags and q filters of GET /)
+// Recurring tasks are exported once with their RRULE rather than expanded
+router.get('/export.ics', async (req, res) => {
+    let options;
+    try {
+        options = parseListQuery(req.query);
+        options.owner = req.user._id;
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const conditions = buildFilter(options);
+        if (options.rangeStart) {
+            conditions.push({
+                $or: [
+                    andQuery(singlesInRange(options.rangeStart, options.rangeEnd)),
+                    andQuery(seriesInRange(options.rangeStart, options.rangeEnd))
+                ]
+            });
+        }
+
+        const tasks = await storage.tasks.find(andQuery(conditions), { sort: { start: 1 } });
+        res.type('text/calendar')
+            .set('Content-Disposition', 'attachment; filename="tasks.ics"')
+            .send(tasksToICS(tasks));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// POST import an iCalendar file (as a text/calendar body or JSON { ics })
+// Events whose UID was already imported are reported as duplicates and left alone
+router.post('/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body.ics;
+    if (!text) return res.status(400).json({ message: 'An iCalendar file is required' });
+
+    let parsed;
+    try {
+        parsed = parseICS(text);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const imported = [];
+        const duplicates = [];
+        const skipped = [...parsed.errors];
+
+        // Import series before their modified occurrences (RECURRENCE-ID) so those can be linked
+        const events = [
+            ...parsed.events.filter(event => !event.recurrenceId),
+            ...parsed.events.filter(event => event.recurrenceId)
+        ];
+
+        for (const event of events) {
+            const { uid, recurrenceId, ...fields } = event;
+
+            try {
+                if (recurrenceId) {
+                    const series = uid ? await findByUid(req.user._id, uid) : null;
+                    if (!series || !series.recurrence) {
+                        skipped.push({ uid, summary: event.title, reason: 'Recurring task for RECURRENCE-ID not found' });
+                        continue;
+                    }
+                    if (await storage.tasks.exists({ seriesId: series._id, originalStart: recurrenceId })) {
+                        duplicates.push({ uid, title: event.title, occurrence: recurrenceId });
+                        continue;
+                    }
+                    const override = await storage.tasks.create({ ...fields, owner: req.user._id, seriesId: series._id, originalStart: recurrenceId });
+                    await recordChange(req, 'create', { task: override, after: override });
+                    imported.push(override);
+                    continue;
+                }
+
+                if (uid && await findByUid(req.user._id, uid)) {
+                    duplicates.push({ uid, title: event.title });
+                    continue;
+                }
+                const task = await storage.tasks.create({ ...fields, uid, owner: req.user._id });
+                await recordChange(req, 'create', { task, after: task });
+                imported.push(task);
+            } catch (error) {
+                skipped.push({ uid, summary: event.title, reason: error.message });
+            }
+        }
+
+        res.status(201).json({
+            imported: imported.length,
+            tasks: imported,
+            duplicates,
+            skipped
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // GET single task
 router.get('/:id', async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
+        const task = await storage.tasks.findOne({ _id: req.params.id, owner: req.user._id });
         if (!task) return res.status(404).json({ message: 'Task not found' });
         res.json(task);
     } catch (error) {
@@ -26,54 +457,259 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// POST create new task
-router.post('/', async (req, res) => {
+// POST check a new or changed task for conflicts without saving it
+// Body: { start, end, recurrence } for a new task, or { id, occurrence?, ...changes } for an update
+router.post('/conflicts', async (req, res) => {
+    try {
+        let candidate;
+        if (req.body.id) {
+            candidate = await prepareUpdate(req.user._id, req.body.id, req.body.occurrence, req.body, res);
+            if (!candidate) return;
+        } else {
+            if (!parseDateParam(req.body.start) || !parseDateParam(req.body.end)) {
+                return res.status(400).json({ message: 'start and end must be valid dates' });
+            }
+            candidate = {
+                task: {
+                    start: new Date(req.body.start),
+                    end: new Date(req.body.end),
+                    recurrence: normalizeRecurrence(req.body.recurrence),
+                    owner: req.user._id
+                },
+                replaces: () => false
+            };
+        }
+
+        const conflicts = await conflictsFor(candidate.task, candidate.replaces);
+        res.json({ hasConflicts: conflicts.length > 0, conflicts });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// How the task helpers below change reminders: right away by default. A batch collects the
+// changes with deferredReminders() instead, to apply them once its transaction committed.
+const IMMEDIATE_REMINDERS = {
+    sync: task => reminderScheduler.syncTask(task),
+    cancel: taskId => reminderScheduler.cancelTask(taskId)
+};
+
+function deferredReminders() {
+    const changes = [];
+    return {
+        sync: task => {
+            changes.push(() => reminderScheduler.syncTask(task));
+        },
+        cancel: taskId => {
+            changes.push(() => reminderScheduler.cancelTask(taskId));
+        },
+        async apply() {
+            for (const change of changes) await change();
+        }
+    };
+}
+
+// Create a task from a request body. Like the other helpers below it sends an error
+// through `res` and returns null when the task cannot be saved (validation errors throw).
+async function createTask(req, body, res, reminders = IMMEDIATE_REMINDERS) {
     const task = new Task({
-        title: req.body.title,
-        description: req.body.description,
-        start: req.body.start,
-        end: req.body.end,
-        tags: req.body.tags || ['other'],
-        color: req.body.color || '#3788d8'
+        title: body.title,
+        description: body.description,
+        start: body.start,
+        end: body.end,
+        tags: body.tags || ['other'],
+        color: body.color || '#3788d8',
+        recurrence: normalizeRecurrence(body.recurrence),
+        reminders: normalizeReminders(body.reminders),
+        owner: req.user._id
     });
 
+    await task.validate();
+    if (await rejectOverlap(task, () => false, body, res)) return null;
+
+    const newTask = await storage.tasks.save(task);
+    await recordChange(req, 'create', { task: newTask, after: newTask });
+    await reminders.sync(newTask);
+    return newTask;
+}
+
+async function updateTask(req, id, occurrenceParam, body, res, reminders = IMMEDIATE_REMINDERS) {
+    const prepared = await prepareUpdate(req.user._id, id, occurrenceParam, body, res);
+    if (!prepared) return null;
+    const { task, before, replaces, moved } = prepared;
+
+    await task.validate();
+    if (moved && await rejectOverlap(task, replaces, body, res)) return null;
+
+    const updatedTask = await storage.tasks.save(task);
+    await recordChange(req, before ? 'update' : 'create', { task: updatedTask, before, after: updatedTask });
+    await reminders.sync(updatedTask);
+    return updatedTask;
+}
+
+async function deleteTask(req, id, occurrenceParam, res, reminders = IMMEDIATE_REMINDERS) {
+    if (occurrenceParam) {
+        const found = await findSeriesOccurrence(req.user._id, id, occurrenceParam, res);
+        if (!found) return null;
+        const { task: series, occurrence } = found;
+
+        const override = await storage.tasks.findOne({ seriesId: series._id, originalStart: occurrence });
+        if (!override && !isOccurrence(series, occurrence)) {
+            res.status(404).json({ message: 'Occurrence not found' });
+            return null;
+        }
+
+        if (override) {
+            await storage.tasks.remove(override);
+            await recordChange(req, 'delete', { task: override, before: override });
+            await reminders.cancel(override._id);
+        }
+        const before = snapshot(series);
+        series.recurrence.exdates.push(occurrence);
+        await storage.tasks.save(series);
+        await recordChange(req, 'update', { task: series, before, after: series });
+        return { message: 'Occurrence deleted' };
+    }
+
+    const task = await storage.tasks.findOne({ _id: id, owner: req.user._id });
+    if (!task) {
+        res.status(404).json({ message: 'Task not found' });
+        return null;
+    }
+
+    await storage.tasks.remove(task);
+    const entry = await recordChange(req, 'delete', { task, before: task });
+    await reminders.cancel(task._id);
+
+    if (task.recurrence) {
+        // Deleting a series also removes its individually edited occurrences
+        // (they go to the trash with it and are restored along with it)
+        const overrides = await storage.tasks.find({ seriesId: task._id });
+        for (const override of overrides) {
+            await storage.tasks.remove(override);
+            await recordChange(req, 'delete', { task: override, before: override, cascadeOf: entry._id });
+        }
+    } else if (task.seriesId) {
+        // Keep the original occurrence from reappearing once its override is gone
+        const series = await storage.tasks.findById(task.seriesId);
+        if (series && series.recurrence) {
+            const before = snapshot(series);
+            series.recurrence.exdates.addToSet(task.originalStart);
+            await storage.tasks.save(series);
+            await recordChange(req, 'update', { task: series, before, after: series });
+        }
+    }
+
+    return { message: 'Task deleted' };
+}
+
+// Stand-in for `res` that keeps the error a helper would have sent, so a batch can report it
+function errorCollector() {
+    return {
+        statusCode: 500,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// POST apply a list of operations all-or-nothing in one MongoDB transaction
+// Body: { operations: [{ op: "create", task: {...} }, { op: "update", id, occurrence?, changes: {...} },
+//       { op: "delete", id, occurrence? }], allowOverlap? }
+// With MongoDB storage this needs a replica set (transactions are not available on a standalone server)
+router.post('/batch', async (req, res) => {
+    const { operations } = req.body;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({ message: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        return res.status(400).json({ message: `A batch can contain at most ${MAX_BATCH_OPERATIONS} operations` });
+    }
+
+    let results = [];
+    let index = 0;
+    let failure = null;
+    let reminders = null;
+    try {
+        await storage.transaction(async () => {
+            // Runs again from the start if MongoDB retries the transaction
+            results = [];
+            failure = null;
+            reminders = deferredReminders();
+            for (index = 0; index < operations.length; index++) {
+                const operation = operations[index] || {};
+                const collector = errorCollector();
+                const allowOverlap = { allowOverlap: req.body.allowOverlap === true || operation.allowOverlap === true };
+                let result = null;
+
+                switch (operation.op) {
+                    case 'create':
+                        result = await createTask(req, { ...operation.task, ...allowOverlap }, collector, reminders);
+                        break;
+                    case 'update':
+                        result = await updateTask(req, operation.id, operation.occurrence, { ...operation.changes, ...allowOverlap }, collector, reminders);
+                        break;
+                    case 'delete':
+                        result = await deleteTask(req, operation.id, operation.occurrence, collector, reminders);
+                        break;
+                    default:
+                        collector.status(400).json({ message: `Unknown op "${operation.op}" (use create, update or delete)` });
+                }
+
+                if (!result) {
+                    failure = collector;
+                    throw new Error(collector.body.message);
+                }
+                results.push(result instanceof Task ? { op: operation.op, task: result } : { op: operation.op, ...result });
+            }
+        });
+    } catch (error) {
+        const status = failure ? failure.statusCode : 400;
+        const op = operations[index] && operations[index].op;
+        return res.status(status).json({
+            ...(failure ? failure.body : {}),
+            message: `Operation ${index + 1} (${op}) failed, nothing was changed: ${error.message}`,
+            index
+        });
+    }
+
+    // Only now that the changes are committed; a failed batch leaves the reminders alone
+    await reminders.apply();
+    res.json({ count: results.length, results });
+});
+
+// POST create new task (rejected with 409 on overlap unless allowOverlap is true)
+router.post('/', async (req, res) => {
     try {
-        const newTask = await task.save();
-        res.status(201).json(newTask);
+        const newTask = await createTask(req, req.body, res);
+        if (newTask) res.status(201).json(newTask);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// PUT update task
+// PUT update task (pass ?occurrence=<original start> to change a single occurrence)
+// Rejected with 409 when the new time overlaps other tasks, unless allowOverlap is true
 router.put('/:id', async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
-        if (!task) return res.status(404).json({ message: 'Task not found' });
-
-        // Update fields if provided
-        if (req.body.title) task.title = req.body.title;
-        if (req.body.description !== undefined) task.description = req.body.description;
-        if (req.body.start) task.start = req.body.start;
-        if (req.body.end) task.end = req.body.end;
-        if (req.body.tags) task.tags = req.body.tags;
-        if (req.body.color) task.color = req.body.color;
-
-        const updatedTask = await task.save();
-        res.json(updatedTask);
+        const updatedTask = await updateTask(req, req.params.id, req.query.occurrence, req.body, res);
+        if (updatedTask) res.json(updatedTask);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// DELETE task
+// DELETE task (pass ?occurrence=<original start> to delete a single occurrence)
 router.delete('/:id', async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
-        if (!task) return res.status(404).json({ message: 'Task not found' });
-
-        await task.deleteOne();
-        res.json({ message: 'Task deleted' });
+        const result = await deleteTask(req, req.params.id, req.query.occurrence, res);
+        if (result) res.json(result);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -0,0 +1,191 @@
+// backend/scheduler/reminders.js
+// Background scheduler that stores upcoming reminders and delivers them when they are due
+
+const { storage } = require('../storage');
+const { MAX_MINUTES_BEFORE, dueReminders, stillDue } = require('../utils/reminders');
+const { deliver } = require('../notifications');
+
+const MINUTE = 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.REMINDER_POLL_SECONDS || 30) * 1000;
+const PLAN_AHEAD_MS = 60 * MINUTE; // Reminders are stored up to an hour before they fire
+const LATE_LIMIT_MS = 60 * MINUTE; // Reminders missed while the backend was down are still sent this late
+const STALE_SENDING_MS = 5 * MINUTE; // A reminder left "sending" by a crash is picked up again after this
+const MAX_ATTEMPTS = 5;
+
+let timer = null;
+let ticking = false;
+
+// Store the reminders of one task that fire in [from, to). Reminders that were already
+// due when the task was last saved are skipped, so creating a task that starts in five
+// minutes does not immediately fire its one-day reminder.
+async function planTask(task, from, to) {
+    const since = new Date(Math.max(from.getTime(), new Date(task.updatedAt || 0).getTime()));
+    if (since >= to) return;
+
+    const overrides = task.recurrence ? await storage.tasks.find({ seriesId: task._id }) : [];
+    const skip = new Set(overrides.map(override => override.originalStart.getTime()));
+
+    for (const due of dueReminders(task, since, to, skip)) {
+        await storage.reminders.createIfMissing(
+            { task: task._id, start: due.start, minutesBefore: due.minutesBefore },
+            {
+                owner: task.owner,
+                title: task.title,
+                fireAt: due.fireAt,
+                nextAttemptAt: due.fireAt,
+                channels: due.channels
+            }
+        );
+    }
+}
+
+// Store every reminder that fires within the planning horizon
+async function plan(now) {
+    const from = new Date(now.getTime() - LATE_LIMIT_MS);
+    const to = new Date(now.getTime() + PLAN_AHEAD_MS);
+    const latestStart = new Date(to.getTime() + MAX_MINUTES_BEFORE * MINUTE);
+
+    const tasks = await storage.tasks.find({
+        'reminders.0': { $exists: true },
+        $or: [
+            { recurrence: null, start: { $gte: from, $lt: latestStart } },
+            {
+                recurrence: { $ne: null },
+                start: { $lt: latestStart },
+                $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }]
+            }
+        ]
+    });
+
+    for (const task of tasks) {
+        await planTask(task, from, to);
+    }
+}
+
+// Take the next due reminder so that no other scheduler delivers it too
+function claimNext(now) {
+    return storage.reminders.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } }
+            ]
+        },
+        { status: 'sending' },
+        { sort: { nextAttemptAt: 1 } }
+    );
+}
+
+// The reminder's task, or null when it no longer wants this reminder (moved, edited or deleted)
+async function currentTask(reminder) {
+    const task = await storage.tasks.findById(reminder.task);
+    if (!stillDue(task, reminder.start, reminder.minutesBefore)) return null;
+    if (!task.recurrence) return task;
+
+    // An occurrence that was edited separately has its own reminders
+    return await storage.tasks.exists({ seriesId: task._id, originalStart: reminder.start }) ? null : task;
+}
+
+// Deliver one reminder on each of its channels, retrying failed channels later
+async function fire(reminder, now) {
+    if (reminder.fireAt < new Date(now.getTime() - LATE_LIMIT_MS)) {
+        reminder.status = 'missed';
+        return storage.reminders.save(reminder);
+    }
+
+    const user = await storage.users.findById(reminder.owner);
+    const task = user && await currentTask(reminder);
+    if (!task) {
+        reminder.status = 'cancelled';
+        return storage.reminders.save(reminder);
+    }
+    reminder.title = task.title;
+
+    const errors = [];
+    for (const channel of reminder.channels) {
+        if (reminder.delivered.includes(channel)) continue;
+        try {
+            await deliver(channel, reminder, user);
+            reminder.delivered.push(channel);
+        } catch (error) {
+            errors.push(`${channel}: ${error.message}`);
+        }
+    }
+
+    if (errors.length === 0) {
+        reminder.status = 'sent';
+        reminder.sentAt = now;
+        reminder.lastError = null;
+    } else {
+        reminder.attempts += 1;
+        reminder.lastError = errors.join('; ');
+        if (reminder.attempts >= MAX_ATTEMPTS) {
+            reminder.status = 'failed';
+            console.log(`Reminder ${reminder._id} failed: ${reminder.lastError}`);
+        } else {
+            reminder.status = 'pending';
+            reminder.nextAttemptAt = new Date(now.getTime() + reminder.attempts * reminder.attempts * MINUTE);
+        }
+    }
+
+    return storage.reminders.save(reminder);
+}
+
+// One scheduler pass: plan ahead, then deliver everything that is due
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const now = new Date();
+        await plan(now);
+
+        let reminder;
+        while ((reminder = await claimNext(now))) {
+            await fire(reminder, now);
+        }
+    } catch (error) {
+        console.log('Reminder scheduler error:', error.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    tick();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Re-plan a task's reminders after it was created or changed
+async function syncTask(task) {
+    try {
+        await storage.reminders.deleteMany({ task: task._id, status: { $in: ['pending', 'cancelled'] } });
+        const now = new Date();
+        await planTask(task, now, new Date(now.getTime() + PLAN_AHEAD_MS));
+    } catch (error) {
+        console.log(`Could not schedule reminders for task ${task._id}:`, error.message);
+    }
+}
+
+// Drop the pending reminders of a deleted task
+async function cancelTask(taskId) {
+    try {
+        await storage.reminders.updateMany({ task: taskId, status: 'pending' }, { status: 'cancelled' });
+    } catch (error) {
+        console.log(`Could not cancel reminders for task ${taskId}:`, error.message);
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    tick,
+    syncTask,
+    cancelTask
+};
\ No newline at end of file
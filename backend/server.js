@@ -2,27 +2,43 @@
 // This is our main server file that sets up Express and connects to MongoDB
 
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
+const { storage } = require('./storage');
+const reminderScheduler = require('./scheduler/reminders');
 
 // Create Express app
 const app = express();
 
+// Only the listed origins may call the API from a browser (comma-separated, e.g. http://localhost:8080)
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:8080,http://127.0.0.1:8080,null')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
 // Middleware
-app.use(cors()); // Allows frontend to communicate with backend
+app.use(cors({ origin: corsOrigins, exposedHeaders: ['X-Next-Cursor'] })); // Allows frontend to communicate with backend
 app.use(express.json()); // Parses JSON bodies
 
-// MongoDB connection
-mongoose.connect('mongodb://localhost:27017/taskscheduler', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
+// Storage connection (MongoDB unless STORAGE says otherwise)
+storage.connect()
+.then(() => {
+    console.log(`Storage connected (${storage.type})`);
+    // Reminders are stored, so the scheduler picks up where it left off after a restart
+    reminderScheduler.start();
 })
-.then(() => console.log('MongoDB connected'))
-.catch(err => console.log('MongoDB connection error:', err));
+.catch(err => console.log('Storage connection error:', err));
 
 // Routes
+const { authenticate, requireScope } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const historyRoutes = require('./routes/history');
 const taskRoutes = require('./routes/tasks');
-app.use('/api/tasks', taskRoutes);
+const reminderRoutes = require('./routes/reminders');
+app.use('/api/auth', authRoutes);
+// Every task route acts on the logged-in user's tasks; history and trash come first so
+// /api/tasks/trash is not taken for a task ID
+app.use('/api/tasks', authenticate, requireScope('tasks', { readPaths: ['/conflicts'] }), historyRoutes, taskRoutes);
+app.use('/api/reminders', authenticate, requireScope('reminders'), reminderRoutes);
 
 // Start server
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,15 @@
+// backend/storage/collections.js
+// The collections every store provides and the Mongoose model that defines each one.
+// The models are used by all stores for defaults, casting and validation.
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const AuditLog = require('../models/AuditLog');
+
+module.exports = {
+    tasks: Task,
+    users: User,
+    reminders: Reminder,
+    auditLogs: AuditLog
+};
\ No newline at end of file
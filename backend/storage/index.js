@@ -0,0 +1,40 @@
+// backend/storage/index.js
+// Storage backends behind the routes, selected with the STORAGE environment variable:
+// mongo (default), json (a single file, no database needed) or memory (lost on restart)
+//
+// Every store has a collection per model (tasks, users, reminders, auditLogs) with the same
+// methods: find, findOne, findById, exists, count, create, save, remove, updateMany, deleteMany,
+// findOneAndUpdate and createIfMissing. Filters and sorts use MongoDB syntax and results are
+// Mongoose documents. transaction(fn) applies all changes made in fn or none of them, and
+// inTransaction() tells whether the caller runs inside one.
+
+const path = require('path');
+const { createMongoStorage } = require('./mongo');
+const { createJsonStorage } = require('./json');
+const { createMemoryStorage } = require('./memory');
+
+const STORES = {
+    mongo: createMongoStorage,
+    json: createJsonStorage,
+    memory: createMemoryStorage
+};
+const STORAGE_TYPES = Object.keys(STORES);
+
+function createStorage(type, options = {}) {
+    if (!STORES[type]) {
+        throw new Error(`Unknown storage "${type}" (use one of: ${STORAGE_TYPES.join(', ')})`);
+    }
+    return STORES[type](options);
+}
+
+// The store the application uses
+const storage = createStorage(process.env.STORAGE || 'mongo', {
+    uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/taskscheduler',
+    file: process.env.STORAGE_FILE || path.join(__dirname, '..', '..', 'data', 'taskscheduler.json')
+});
+
+module.exports = {
+    STORAGE_TYPES,
+    createStorage,
+    storage
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// backend/storage/json.js
+// JSON file store: the in-memory store, saved to a single file after every change
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+function createJsonStorage({ file }) {
+    let writing = Promise.resolve();
+
+    // Writes go to a temporary file that replaces the old one, so a crash never leaves half a file.
+    // They are queued so an older state can never overwrite a newer one.
+    function persist(data) {
+        const text = JSON.stringify(data, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(`${file}.tmp`, text);
+            await fs.rename(`${file}.tmp`, file);
+        });
+        return writing;
+    }
+
+    const storage = createMemoryStorage({ persist });
+    storage.type = 'json';
+
+    storage.connect = async () => {
+        try {
+            storage.load(JSON.parse(await fs.readFile(file, 'utf8')));
+        } catch (error) {
+            // A missing file is an empty store; it is created on the first change
+            if (error.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${error.message}`);
+        }
+    };
+
+    storage.close = () => writing;
+
+    return storage;
+}
+
+module.exports = {
+    createJsonStorage
+};
\ No newline at end of file
@@ -0,0 +1,254 @@
+// backend/storage/memory.js
+// In-memory store for tests and for running without MongoDB. Documents are kept as plain
+// objects and handed out as Mongoose documents, so the routes work the same on every store.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const COLLECTIONS = require('./collections');
+const { matches, sorter } = require('./query');
+
+// Deep copy of a stored record (ObjectIds are immutable and can be shared)
+function clone(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object' && value._bsontype === undefined) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+// The rules Mongoose applies on save: createdAt once, updatedAt whenever something changed
+function setTimestamps(doc, now) {
+    if (!doc.schema.options.timestamps) return;
+    if ((doc.isNew || doc.$isSubdocument) && !doc.get('createdAt')) {
+        doc.$set('createdAt', now, undefined, { overwriteImmutable: true });
+    }
+    if (doc.isNew || doc.isModified()) doc.set('updatedAt', doc.isNew ? doc.get('createdAt') : now);
+}
+
+function duplicateKeyError(Model, fields) {
+    const error = new Error(`E11000 duplicate key error collection: ${Model.collection.collectionName} index: ${Object.keys(fields).join('_')}`);
+    error.code = 11000;
+    return error;
+}
+
+// `records` maps the string _id of each document to its stored form; a stored record is
+// never changed in place, only replaced, so a shallow copy of the Map is a full snapshot
+function createCollection(Model, records, write) {
+    const timestamps = Boolean(Model.schema.options.timestamps);
+    const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique);
+
+    const toDocument = record => Model.hydrate(clone(record));
+
+    function select(filter, { sort, limit } = {}) {
+        // Cast like MongoDB would (string IDs and dates), failing with the same CastError
+        const query = Model.find(filter || {}).cast(Model);
+        let result = [...records.values()].filter(record => matches(record, query));
+        if (sort) result.sort(sorter(sort));
+        if (limit) result = result.slice(0, limit);
+        return result;
+    }
+
+    // Enforce the model's unique indexes like MongoDB does
+    function store(record) {
+        const id = String(record._id);
+        uniqueIndexes.forEach(([fields]) => {
+            const conflict = [...records.values()].some(other => String(other._id) !== id &&
+                Object.keys(fields).every(field => matches(other, { [field]: record[field] ?? null })));
+            if (conflict) throw duplicateKeyError(Model, fields);
+        });
+        records.set(id, record);
+    }
+
+    // Stored form of a record with `changes` (paths to values) applied, or null when nothing changed
+    function applyChanges(record, changes) {
+        const doc = toDocument(record);
+        doc.set(changes);
+        if (!doc.isModified()) return null;
+        if (timestamps) doc.set('updatedAt', new Date());
+        return doc.toObject();
+    }
+
+    return {
+        async find(filter, options) {
+            return select(filter, options).map(toDocument);
+        },
+
+        async findOne(filter, { sort } = {}) {
+            const [record] = select(filter, { sort, limit: 1 });
+            return record ? toDocument(record) : null;
+        },
+
+        async findById(id) {
+            return this.findOne({ _id: id });
+        },
+
+        async exists(filter) {
+            return select(filter).length > 0;
+        },
+
+        async count(filter) {
+            return select(filter).length;
+        },
+
+        async create(data) {
+            return this.save(new Model(data));
+        },
+
+        async save(doc) {
+            await doc.validate();
+
+            if (doc.isNew && doc.get('__v') === undefined) doc.set('__v', 0);
+            const now = new Date();
+            [doc, ...doc.$getAllSubdocs()].forEach(item => setTimestamps(item, now));
+
+            const record = doc.toObject();
+            await write(() => {
+                if (!doc.isNew && !records.has(String(record._id))) {
+                    throw new Error(`No document found for query "{ _id: ${record._id} }" on model "${Model.modelName}"`);
+                }
+                store(record);
+            });
+            doc.isNew = false;
+            return doc;
+        },
+
+        async remove(doc) {
+            await write(() => records.delete(String(doc._id)));
+        },
+
+        async updateMany(filter, changes) {
+            return write(() => {
+                let modifiedCount = 0;
+                select(filter).forEach(record => {
+                    const updated = applyChanges(record, changes);
+                    if (!updated) return;
+                    store(updated);
+                    modifiedCount += 1;
+                });
+                return { modifiedCount };
+            });
+        },
+
+        async deleteMany(filter) {
+            return write(() => {
+                const matched = select(filter);
+                matched.forEach(record => records.delete(String(record._id)));
+                return { deletedCount: matched.length };
+            });
+        },
+
+        async findOneAndUpdate(filter, changes, { sort } = {}) {
+            return write(() => {
+                const [record] = select(filter, { sort, limit: 1 });
+                if (!record) return null;
+                const updated = applyChanges(record, changes);
+                if (updated) store(updated);
+                return toDocument(updated || record);
+            });
+        },
+
+        async createIfMissing(filter, fields) {
+            return write(() => {
+                if (select(filter).length > 0) return false;
+
+                const doc = new Model({ ...filter, ...fields, __v: 0 });
+                setTimestamps(doc, new Date());
+                const record = doc.toObject();
+                try {
+                    store(record);
+                } catch (error) {
+                    if (error.code === 11000) return false;
+                    throw error;
+                }
+                return true;
+            });
+        }
+    };
+}
+
+// `persist` is called with every collection's records after each change that is not part
+// of a transaction, and once when a transaction commits (used by the JSON file store)
+function createMemoryStorage({ persist = async () => {} } = {}) {
+    const data = {};
+    Object.keys(COLLECTIONS).forEach(name => {
+        data[name] = new Map();
+    });
+
+    const transactions = new AsyncLocalStorage();
+    let running = null; // Settles when the transaction in progress has finished
+
+    const dump = () => Object.fromEntries(Object.entries(data).map(([name, records]) => [name, [...records.values()]]));
+
+    // Writes outside a transaction wait until a running transaction has committed or rolled back
+    async function write(change) {
+        const inTransaction = transactions.getStore();
+        while (!inTransaction && running) await running;
+        const result = change();
+        if (!inTransaction) await persist(dump());
+        return result;
+    }
+
+    const storage = {
+        type: 'memory',
+
+        async connect() {},
+
+        async close() {},
+
+        // All-or-nothing: every change made inside fn is rolled back when it throws.
+        // Transactions run one at a time.
+        async transaction(fn) {
+            if (transactions.getStore()) return fn();
+            while (running) await running;
+
+            let finish;
+            running = new Promise(resolve => {
+                finish = resolve;
+            });
+            const backup = Object.entries(data).map(([name, records]) => [name, new Map(records)]);
+
+            try {
+                const result = await transactions.run(true, fn);
+                await persist(dump());
+                return result;
+            } catch (error) {
+                backup.forEach(([name, records]) => {
+                    data[name].clear();
+                    records.forEach((record, id) => data[name].set(id, record));
+                });
+                throw error;
+            } finally {
+                running = null;
+                finish();
+            }
+        },
+
+        // Whether the caller runs inside transaction()
+        inTransaction() {
+            return Boolean(transactions.getStore());
+        },
+
+        // Every collection's records in their stored form
+        dump,
+
+        // Replace all data, e.g. with records read back from a file (cast through the models)
+        load(saved) {
+            Object.entries(COLLECTIONS).forEach(([name, Model]) => {
+                data[name].clear();
+                (saved[name] || []).forEach(record => {
+                    const stored = Model.hydrate(record).toObject();
+                    data[name].set(String(stored._id), stored);
+                });
+            });
+        }
+    };
+
+    Object.entries(COLLECTIONS).forEach(([name, Model]) => {
+        storage[name] = createCollection(Model, data[name], write);
+    });
+    return storage;
+}
+
+module.exports = {
+    createMemoryStorage
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+// backend/storage/mongo.js
+// MongoDB store: the collections map straight onto the Mongoose models
+
+const mongoose = require('mongoose');
+const COLLECTIONS = require('./collections');
+
+function createCollection(Model) {
+    return {
+        async find(filter, { sort, limit } = {}) {
+            const query = Model.find(filter);
+            if (sort) query.sort(sort);
+            if (limit) query.limit(limit);
+            return query;
+        },
+
+        async findOne(filter, { sort } = {}) {
+            const query = Model.findOne(filter);
+            if (sort) query.sort(sort);
+            return query;
+        },
+
+        async findById(id) {
+            return Model.findById(id);
+        },
+
+        async exists(filter) {
+            return Boolean(await Model.exists(filter));
+        },
+
+        async count(filter = {}) {
+            return Model.countDocuments(filter);
+        },
+
+        async create(data) {
+            return new Model(data).save();
+        },
+
+        async save(doc) {
+            return doc.save();
+        },
+
+        async remove(doc) {
+            await doc.deleteOne();
+        },
+
+        async updateMany(filter, changes) {
+            const result = await Model.updateMany(filter, { $set: changes });
+            return { modifiedCount: result.modifiedCount };
+        },
+
+        async deleteMany(filter) {
+            const result = await Model.deleteMany(filter);
+            return { deletedCount: result.deletedCount };
+        },
+
+        // Atomically change the first matching document and return it as changed
+        async findOneAndUpdate(filter, changes, { sort } = {}) {
+            return Model.findOneAndUpdate(filter, { $set: changes }, { new: true, sort });
+        },
+
+        // Insert a document made of the filter's values and `fields` unless one matches the filter.
+        // Returns whether it was inserted.
+        async createIfMissing(filter, fields) {
+            try {
+                const result = await Model.updateOne(filter, { $setOnInsert: fields }, { upsert: true });
+                return result.upsertedCount > 0;
+            } catch (error) {
+                // Two callers inserting the same document at once; one of them wins
+                if (error.code === 11000) return false;
+                throw error;
+            }
+        }
+    };
+}
+
+function createMongoStorage({ uri }) {
+    // Queries inside transaction() join its session automatically
+    mongoose.set('transactionAsyncLocalStorage', true);
+
+    const storage = {
+        type: 'mongo',
+
+        connect() {
+            return mongoose.connect(uri, {
+                useNewUrlParser: true,
+                useUnifiedTopology: true
+            });
+        },
+
+        close() {
+            return mongoose.disconnect();
+        },
+
+        // Needs MongoDB running as a replica set (transactions are not available on a standalone server)
+        transaction(fn) {
+            return mongoose.connection.transaction(fn);
+        },
+
+        // Whether the caller runs inside transaction() (its queries then join the session)
+        inTransaction() {
+            const store = mongoose.transactionAsyncLocalStorage && mongoose.transactionAsyncLocalStorage.getStore();
+            return Boolean(store && store.session);
+        }
+    };
+
+    Object.entries(COLLECTIONS).forEach(([name, Model]) => {
+        storage[name] = createCollection(Model);
+    });
+    return storage;
+}
+
+module.exports = {
+    createMongoStorage
+};
\ No newline at end of file
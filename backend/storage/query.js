@@ -0,0 +1,118 @@
+// backend/storage/query.js
+// Evaluates the subset of MongoDB filters and sorts used by the routes against plain objects,
+// so the in-memory and JSON file stores answer queries the same way MongoDB does
+
+const OPERATORS = ['$in', '$nin', '$ne', '$gt', '$gte', '$lt', '$lte', '$exists'];
+
+// Dates compare by time and ObjectIds by their hex string
+function normalize(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value && value._bsontype === 'ObjectId') return value.toHexString();
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof RegExp) && value._bsontype === undefined;
+}
+
+function isOperatorObject(value) {
+    const keys = isPlainObject(value) ? Object.keys(value) : [];
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+// Values found at a dotted path. Like MongoDB, paths reach into arrays of subdocuments
+// ("apiTokens.tokenHash"), a numeric segment picks an array element ("reminders.0"), and
+// an array at the end of the path also matches by its elements.
+function valuesAt(doc, path) {
+    let values = [doc];
+    for (const segment of path.split('.')) {
+        values = values.flatMap(value => {
+            if (value === null || value === undefined) return [undefined];
+            if (Array.isArray(value)) {
+                if (/^\d+$/.test(segment)) return [value[Number(segment)]];
+                return value.map(item => (isPlainObject(item) ? item[segment] : undefined));
+            }
+            return [typeof value === 'object' ? value[segment] : undefined];
+        });
+    }
+    return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function equals(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined;
+    if (Array.isArray(a) || isPlainObject(a)) return JSON.stringify(a) === JSON.stringify(b);
+    return normalize(a) === normalize(b);
+}
+
+// -1, 0 or 1, or null when the values are of different types (MongoDB never matches those in ranges)
+function compare(a, b) {
+    const x = normalize(a);
+    const y = normalize(b);
+    if (typeof x !== typeof y) return null;
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Whether one condition (a value, a RegExp or operators like { $gte: date }) holds for a path
+function matchesCondition(values, condition) {
+    if (condition instanceof RegExp) {
+        return values.some(value => typeof value === 'string' && condition.test(value));
+    }
+    if (!isOperatorObject(condition)) {
+        return values.some(value => equals(condition, value));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$in':
+                return operand.some(item => matchesCondition(values, item));
+            case '$nin':
+                return !operand.some(item => matchesCondition(values, item));
+            case '$ne':
+                return !matchesCondition(values, operand);
+            case '$gt':
+                return values.some(value => compare(value, operand) === 1);
+            case '$gte':
+                return values.some(value => [0, 1].includes(compare(value, operand)));
+            case '$lt':
+                return values.some(value => compare(value, operand) === -1);
+            case '$lte':
+                return values.some(value => [-1, 0].includes(compare(value, operand)));
+            case '$exists':
+                return values.some(value => value !== undefined) === Boolean(operand);
+            default:
+                throw new Error(`Unsupported query operator ${operator} (supported: ${OPERATORS.join(', ')})`);
+        }
+    });
+}
+
+// Whether a stored document matches a (cast) MongoDB filter
+function matches(doc, filter) {
+    return Object.entries(filter || {}).every(([key, condition]) => {
+        if (key === '$and') return condition.every(part => matches(doc, part));
+        if (key === '$or') return condition.some(part => matches(doc, part));
+        if (key === '$nor') return !condition.some(part => matches(doc, part));
+        return matchesCondition(valuesAt(doc, key), condition);
+    });
+}
+
+// Comparator for a MongoDB sort specification like { start: 1, _id: 1 }; missing values sort first
+function sorter(spec) {
+    const fields = Object.entries(spec || {});
+    return (a, b) => {
+        for (const [field, direction] of fields) {
+            const x = valuesAt(a, field)[0];
+            const y = valuesAt(b, field)[0];
+            const missingX = x === null || x === undefined;
+            const missingY = y === null || y === undefined;
+            const result = missingX || missingY ? missingY - missingX : compare(x, y) || 0;
+            if (result !== 0) return result * direction;
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    matches,
+    sorter
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+// backend/utils/audit.js
+// Recording task changes in the audit log
+
+const { storage } = require('../storage');
+
+const MAX_VERSION_ATTEMPTS = 5; // Tries at taking a task's next version when changes to it race
+
+// Fields compared between versions and written back on restore
+const TRACKED_FIELDS = [
+    'title', 'description', 'start', 'end', 'tags', 'color',
+    'recurrence', 'reminders', 'seriesId', 'originalStart', 'uid'
+];
+
+// Plain copy of a task as stored in the audit log
+function snapshot(task) {
+    if (!task) return null;
+    const data = typeof task.toObject === 'function' ? task.toObject() : { ...task };
+    delete data.__v;
+    return data;
+}
+
+// Comparable form of a field value (Dates, ObjectIds and subdocuments become JSON)
+function comparable(value) {
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// [{ field, from, to }] for every tracked field that differs
+function diffSnapshots(before, after) {
+    return TRACKED_FIELDS
+        .map(field => ({
+            field,
+            from: before ? before[field] ?? null : null,
+            to: after ? after[field] ?? null : null
+        }))
+        .filter(change => comparable(change.from) !== comparable(change.to));
+}
+
+// Add an entry for a change made by the request's user. MCP tool calls are marked
+// by the X-MCP-Tool and X-Operation-Id headers the MCP server sends along.
+async function recordChange(req, action, { task, before = null, after = null, cascadeOf = null, restoredFrom = null }) {
+    const tool = req.get('X-MCP-Tool') || null;
+
+    for (let attempt = 1; ; attempt++) {
+        const last = await storage.auditLogs.findOne({ task: task._id }, { sort: { version: -1 } });
+        try {
+            return await storage.auditLogs.create({
+                task: task._id,
+                owner: task.owner,
+                actor: req.user._id,
+                source: tool ? 'mcp' : 'rest',
+                tool,
+                action,
+                version: last ? last.version + 1 : 1,
+                before: snapshot(before),
+                after: snapshot(after),
+                changes: diffSnapshots(snapshot(before), snapshot(after)),
+                cascadeOf,
+                restoredFrom,
+                operation: req.get('X-Operation-Id') || null
+            });
+        } catch (error) {
+            // A concurrent change took this version first (unique task and version index): take the
+            // next one. A failed write aborts a MongoDB transaction, so inside one the whole
+            // transaction has to fail instead.
+            if (error.code !== 11000 || storage.inTransaction() || attempt === MAX_VERSION_ATTEMPTS) throw error;
+        }
+    }
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    snapshot,
+    diffSnapshots,
+    recordChange
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+// backend/utils/conflicts.js
+// Overlap detection between a task being saved and the tasks already scheduled
+
+const { expandOccurrences } = require('./recurrence');
+
+// How far ahead the occurrences of an open-ended series are checked
+const CONFLICT_HORIZON_DAYS = 365;
+
+// Two time slots overlap when each starts before the other ends (touching is fine)
+function overlaps(a, b) {
+    return new Date(a.start) < new Date(b.end) && new Date(b.start) < new Date(a.end);
+}
+
+// Time slots occupied by a task: one for a plain task, one per occurrence for a series
+function occupiedSlots(task) {
+    const start = new Date(task.start);
+    const end = new Date(task.end);
+
+    if (!task.recurrence) return [{ start, end }];
+
+    const horizon = new Date(start.getTime() + CONFLICT_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    return expandOccurrences(task, start, horizon);
+}
+
+// Existing tasks (as returned by a window query) that overlap any of the slots
+function findConflicts(slots, tasks, ignore = () => false) {
+    return tasks.filter(task => !ignore(task) && slots.some(slot => overlaps(slot, task)));
+}
+
+module.exports = {
+    CONFLICT_HORIZON_DAYS,
+    overlaps,
+    occupiedSlots,
+    findConflicts
+};
@@ -0,0 +1,164 @@
+// backend/utils/freeSlots.js
+// Finding and ranking free time slots between existing tasks
+
+const { WEEKDAYS } = require('./recurrence');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MAX_WINDOW_DAYS = 62;
+const DEFAULTS = {
+    windowDays: 7,
+    workStart: '09:00',
+    workEnd: '17:00',
+    workDays: ['MO', 'TU', 'WE', 'TH', 'FR'],
+    step: 15, // minutes between candidate start times
+    limit: 5
+};
+
+// "09:30" -> minutes after midnight
+function parseTimeOfDay(value, name) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`${name} must be a time like 09:00`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parsePositiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error(`${name} must be a positive integer`);
+    return number;
+}
+
+// Validate slot search input from a query string or JSON body
+function parseSlotOptions(input) {
+    if (input.duration === undefined) throw new Error('duration (in minutes) is required');
+    const duration = parsePositiveInteger(input.duration, 'duration') * MINUTE;
+
+    const step = parsePositiveInteger(input.step || DEFAULTS.step, 'step') * MINUTE;
+    const now = Math.ceil(Date.now() / step) * step;
+    const windowStart = input.start ? new Date(input.start) : new Date(now);
+    const windowEnd = input.end ? new Date(input.end) : new Date(windowStart.getTime() + DEFAULTS.windowDays * DAY);
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime())) {
+        throw new Error('start and end must be valid dates');
+    }
+    if (windowEnd <= windowStart) throw new Error('end must be after start');
+    if (windowEnd - windowStart > MAX_WINDOW_DAYS * DAY) {
+        throw new Error(`The search window cannot be longer than ${MAX_WINDOW_DAYS} days`);
+    }
+
+    const workStart = parseTimeOfDay(input.workStart || DEFAULTS.workStart, 'workStart');
+    const workEnd = parseTimeOfDay(input.workEnd || DEFAULTS.workEnd, 'workEnd');
+    if (workEnd <= workStart) throw new Error('workEnd must be after workStart');
+
+    const days = input.workDays
+        ? (Array.isArray(input.workDays) ? input.workDays : String(input.workDays).split(','))
+        : DEFAULTS.workDays;
+    const workDays = days.map(day => {
+        const code = String(day).trim().toUpperCase();
+        if (!WEEKDAYS.includes(code)) throw new Error(`Invalid work day: ${day}`);
+        return WEEKDAYS.indexOf(code);
+    });
+
+    const prefer = input.prefer || 'earliest';
+    if (!['earliest', 'latest'].includes(prefer)) throw new Error('prefer must be earliest or latest');
+
+    return {
+        duration,
+        windowStart,
+        windowEnd,
+        workStart,
+        workEnd,
+        workDays,
+        step,
+        prefer,
+        limit: input.limit ? parsePositiveInteger(input.limit, 'limit') : DEFAULTS.limit
+    };
+}
+
+// Working-hour intervals inside the search window (local time)
+function workingIntervals(options) {
+    const intervals = [];
+    const firstDay = new Date(options.windowStart);
+    firstDay.setHours(0, 0, 0, 0);
+
+    for (let day = firstDay; day < options.windowEnd; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        if (!options.workDays.includes(day.getDay())) continue;
+
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, options.workStart);
+        const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, options.workEnd);
+        const clippedStart = start < options.windowStart ? options.windowStart : start;
+        const clippedEnd = end > options.windowEnd ? options.windowEnd : end;
+        if (clippedStart < clippedEnd) intervals.push({ start: clippedStart, end: clippedEnd });
+    }
+
+    return intervals;
+}
+
+// Remove busy periods from an interval, leaving the free gaps
+function subtractBusy(interval, busy) {
+    const gaps = [];
+    let cursor = interval.start.getTime();
+    const end = interval.end.getTime();
+
+    busy.forEach(task => {
+        const busyStart = new Date(task.start).getTime();
+        const busyEnd = new Date(task.end).getTime();
+        if (busyEnd <= cursor || busyStart >= end) return;
+        if (busyStart > cursor) gaps.push({ start: cursor, end: busyStart });
+        cursor = Math.max(cursor, busyEnd);
+    });
+
+    if (cursor < end) gaps.push({ start: cursor, end });
+    return gaps;
+}
+
+// Rank candidate slots: earlier (or later) first, with a bonus for breathing room
+// around the slot so the user is not booked back-to-back
+function scoreSlot(options, gap, start) {
+    const end = start + options.duration;
+    const windowLength = options.windowEnd - options.windowStart;
+    const position = (start - options.windowStart) / windowLength;
+    const timeScore = options.prefer === 'earliest' ? 1 - position : position;
+    const buffer = Math.min(start - gap.start, gap.end - end, 30 * MINUTE) / (30 * MINUTE);
+
+    return Math.round((timeScore * 2 + buffer) * 1000) / 1000;
+}
+
+// Free slots of the requested duration, best first and never overlapping each other
+function findFreeSlots(busyTasks, options) {
+    const busy = busyTasks
+        .filter(task => new Date(task.end) > new Date(task.start))
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    const candidates = [];
+    workingIntervals(options).forEach(interval => {
+        subtractBusy(interval, busy).forEach(gap => {
+            const firstStart = Math.ceil(gap.start / options.step) * options.step;
+            for (let start = firstStart; start + options.duration <= gap.end; start += options.step) {
+                candidates.push({ start, end: start + options.duration, score: scoreSlot(options, gap, start) });
+            }
+        });
+    });
+
+    candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+
+    const slots = [];
+    for (const candidate of candidates) {
+        if (slots.length >= options.limit) break;
+        if (slots.some(slot => candidate.start < slot.end && slot.start < candidate.end)) continue;
+        slots.push(candidate);
+    }
+
+    return slots.map(slot => ({
+        start: new Date(slot.start),
+        end: new Date(slot.end),
+        score: slot.score
+    }));
+}
+
+module.exports = {
+    DEFAULTS,
+    parseSlotOptions,
+    findFreeSlots
+};
@@ -0,0 +1,287 @@
+// backend/utils/ical.js
+// Converting between tasks and iCalendar (RFC 5545) VEVENTs
+
+const { parseICalDate, formatICalDate, parseRRule, formatRRule, normalizeRecurrence } = require('./recurrence');
+const { colorToHex, hexToColorName } = require('./colors');
+
+const PRODID = '-//task-scheduler//MCP Task Scheduler//EN';
+const UID_DOMAIN = 'task-scheduler';
+const TAGS = ['work', 'personal', 'family', 'health', 'other'];
+// A task's exact hex color; COLOR (RFC 7986) only takes CSS color names
+const COLOR_PROPERTY = 'X-TASK-SCHEDULER-COLOR';
+
+// Text values escape backslashes, semicolons, commas and newlines
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split on commas that are not escaped
+function splitList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+// Wall-clock time in an IANA time zone -> Date, using Intl to find the zone's offset
+function zonedTimeToDate(parts, timeZone) {
+    let formatter;
+    try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+    } catch (error) {
+        // Unknown zone: fall back to the server's local time
+        return new Date(...parts);
+    }
+
+    const wallClock = Date.UTC(...parts);
+    let guess = wallClock;
+    // Two passes settle the offset even right next to a DST change
+    for (let i = 0; i < 2; i++) {
+        const shown = {};
+        formatter.formatToParts(new Date(guess)).forEach(part => { shown[part.type] = Number(part.value); });
+        const shownTime = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute, shown.second);
+        guess += wallClock - shownTime;
+    }
+    return new Date(guess);
+}
+
+// Parse a DATE or DATE-TIME property value, honouring VALUE=DATE and TZID
+function parseDateValue(value, params) {
+    if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+        return { date: parseICalDate(value.slice(0, 8)), allDay: true };
+    }
+
+    if (params.TZID && !value.endsWith('Z')) {
+        const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/.exec(value);
+        if (!match) throw new Error(`Invalid iCalendar date: ${value}`);
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return { date: zonedTimeToDate([year, month - 1, day, hours, minutes, seconds], params.TZID), allDay: false };
+    }
+
+    return { date: parseICalDate(value), allDay: false };
+}
+
+// "PT1H30M", "P1D" -> milliseconds
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+    if (!match) throw new Error(`Invalid duration: ${value}`);
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// Unfold lines and split them into { name, params, value }
+function parseLines(text) {
+    const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+
+    return unfolded.split('\n').filter(line => line.trim()).map(line => {
+        // The value starts at the first colon that is not inside a quoted parameter
+        let colon = -1;
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            if (line[i] === ':' && !quoted) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) throw new Error(`Invalid iCalendar line: ${line}`);
+
+        const [name, ...rawParams] = line.slice(0, colon).split(';');
+        const params = {};
+        rawParams.forEach(param => {
+            const [key, ...rest] = param.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    });
+}
+
+// Turn one VEVENT's properties into task fields (plus uid and recurrenceId)
+function eventToTask(props) {
+    const get = name => props.find(prop => prop.name === name);
+
+    const dtstart = get('DTSTART');
+    if (!dtstart) throw new Error('VEVENT has no DTSTART');
+    const { date: start, allDay } = parseDateValue(dtstart.value, dtstart.params);
+
+    let end;
+    const dtend = get('DTEND');
+    const duration = get('DURATION');
+    if (dtend) {
+        end = parseDateValue(dtend.value, dtend.params).date;
+    } else if (duration) {
+        end = new Date(start.getTime() + parseDuration(duration.value));
+    } else {
+        // RFC 5545: all-day events last one day, timed events without an end are instants
+        end = allDay ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1) : new Date(start);
+    }
+
+    const categories = props
+        .filter(prop => prop.name === 'CATEGORIES')
+        .flatMap(prop => splitList(prop.value))
+        .map(category => category.trim().toLowerCase());
+    const tags = categories.filter(category => TAGS.includes(category));
+
+    const task = {
+        uid: get('UID') ? get('UID').value : null,
+        title: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : 'Untitled',
+        description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : '',
+        start,
+        end,
+        tags: tags.length > 0 ? tags : ['other'],
+        recurrence: null,
+        recurrenceId: null
+    };
+
+    // COLOR is a CSS name, or a hex color in files exported before COLOR_PROPERTY existed
+    const color = [COLOR_PROPERTY, 'COLOR', 'X-APPLE-CALENDAR-COLOR']
+        .map(name => get(name) && colorToHex(get(name).value))
+        .find(Boolean);
+    if (color) task.color = color;
+
+    const rrule = get('RRULE');
+    if (rrule) {
+        const exdates = props
+            .filter(prop => prop.name === 'EXDATE')
+            .flatMap(prop => prop.value.split(',').map(value => parseDateValue(value, prop.params).date));
+        task.recurrence = normalizeRecurrence({ ...parseRRule(rrule.value), exdates });
+    }
+
+    const recurrenceId = get('RECURRENCE-ID');
+    if (recurrenceId) {
+        task.recurrenceId = parseDateValue(recurrenceId.value, recurrenceId.params).date;
+    }
+
+    return task;
+}
+
+// Parse an .ics file into task-shaped events. Events that cannot be read are
+// reported in `errors` instead of failing the whole file.
+function parseICS(text) {
+    const lines = parseLines(text);
+    if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+        throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+    }
+
+    const events = [];
+    const errors = [];
+    let current = null;
+    let nested = 0; // VALARMs and other components inside a VEVENT
+
+    lines.forEach(line => {
+        const value = line.value.toUpperCase();
+
+        if (line.name === 'BEGIN' && value === 'VEVENT') {
+            current = [];
+        } else if (line.name === 'END' && value === 'VEVENT' && current) {
+            try {
+                events.push(eventToTask(current));
+            } catch (error) {
+                const summary = current.find(prop => prop.name === 'SUMMARY');
+                errors.push({ summary: summary ? unescapeText(summary.value) : null, reason: error.message });
+            }
+            current = null;
+        } else if (current && line.name === 'BEGIN') {
+            nested++;
+        } else if (current && line.name === 'END') {
+            nested--;
+        } else if (current && nested === 0) {
+            current.push(line);
+        }
+    });
+
+    return { events, errors };
+}
+
+// UID used when exporting a task that did not come from another calendar
+function taskUid(task) {
+    return task.uid || `${task._id}@${UID_DOMAIN}`;
+}
+
+// Lines of one VEVENT; `series` is passed for tasks overriding one occurrence
+function taskToEvent(task, series) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${escapeText(series ? taskUid(series) : taskUid(task))}`,
+        `DTSTAMP:${formatICalDate(task.updatedAt || new Date())}`,
+        `DTSTART:${formatICalDate(task.start)}`,
+        `DTEND:${formatICalDate(task.end)}`,
+        `SUMMARY:${escapeText(task.title)}`
+    ];
+
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.tags && task.tags.length > 0) {
+        lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+    }
+    if (task.color) {
+        const name = hexToColorName(task.color);
+        if (name) lines.push(`COLOR:${name}`);
+        lines.push(`${COLOR_PROPERTY}:${task.color}`);
+    }
+
+    if (task.recurrence) {
+        lines.push(`RRULE:${formatRRule(task.recurrence)}`);
+        if (task.recurrence.exdates && task.recurrence.exdates.length > 0) {
+            lines.push(`EXDATE:${task.recurrence.exdates.map(formatICalDate).join(',')}`);
+        }
+    }
+
+    if (series) lines.push(`RECURRENCE-ID:${formatICalDate(task.originalStart)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Build a VCALENDAR document from stored tasks (overrides are matched to their series)
+function tasksToICS(tasks) {
+    const byId = new Map(tasks.map(task => [String(task._id), task]));
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+
+    tasks.forEach(task => {
+        const series = task.seriesId ? byId.get(String(task.seriesId)) : null;
+        lines.push(...taskToEvent(task, series));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    UID_DOMAIN,
+    parseICS,
+    tasksToICS,
+    taskUid
+};
@@ -0,0 +1,248 @@
+// backend/utils/recurrence.js
+// Helpers for recurring tasks: RRULE parsing/formatting and occurrence expansion
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Same order as Date#getDay()
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Safety net so an endless rule can never spin forever
+const MAX_PERIODS = 10000;
+
+// Parse an iCalendar date ("20240120", "20240120T143000" or "20240120T143000Z")
+function parseICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) throw new Error(`Invalid iCalendar date: ${value}`);
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+    const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+}
+
+// Format a date as an iCalendar UTC timestamp ("20240120T143000Z")
+function formatICalDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Parse an RRULE string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10"
+function parseRRule(rule) {
+    const recurrence = {};
+    const body = rule.trim().replace(/^RRULE:/i, '');
+
+    body.split(';').filter(Boolean).forEach(part => {
+        const [rawKey, value = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+
+        switch (key) {
+            case 'FREQ':
+                recurrence.freq = value.toLowerCase();
+                break;
+            case 'INTERVAL':
+                recurrence.interval = Number(value);
+                break;
+            case 'BYDAY':
+                recurrence.byDay = value.toUpperCase().split(',');
+                break;
+            case 'COUNT':
+                recurrence.count = Number(value);
+                break;
+            case 'UNTIL':
+                recurrence.until = parseICalDate(value);
+                break;
+            case 'WKST':
+                // Weeks always start on Monday here, which is the RFC 5545 default
+                break;
+            default:
+                throw new Error(`Unsupported RRULE part: ${key}`);
+        }
+    });
+
+    return recurrence;
+}
+
+// Turn a stored recurrence back into an RRULE string (without EXDATEs)
+function formatRRule(recurrence) {
+    const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+    if (recurrence.interval && recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+    if (recurrence.byDay && recurrence.byDay.length > 0) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+    if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+    if (recurrence.until) parts.push(`UNTIL=${formatICalDate(recurrence.until)}`);
+    return parts.join(';');
+}
+
+// Accept an RRULE string or a plain object and return a validated recurrence (or null)
+function normalizeRecurrence(input) {
+    if (input === undefined || input === null || input === '') return null;
+
+    const source = typeof input === 'string' ? parseRRule(input) : input;
+    if (typeof source !== 'object' || Array.isArray(source)) {
+        throw new Error('Recurrence must be an RRULE string or an object');
+    }
+
+    const freq = String(source.freq || '').toLowerCase();
+    if (!FREQUENCIES.includes(freq)) {
+        throw new Error(`Recurrence freq must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = source.interval === undefined ? 1 : Number(source.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new Error('Recurrence interval must be a positive integer');
+    }
+
+    const byDay = (source.byDay || []).map(day => String(day).toUpperCase());
+    byDay.forEach(day => {
+        const match = BYDAY_PATTERN.exec(day);
+        if (!match) throw new Error(`Invalid BYDAY value: ${day}`);
+        if (match[1] && freq !== 'monthly') {
+            throw new Error('Ordinal BYDAY values (e.g. 1MO) are only allowed for monthly recurrence');
+        }
+    });
+
+    let count = null;
+    if (source.count !== undefined && source.count !== null) {
+        count = Number(source.count);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Recurrence count must be a positive integer');
+        }
+    }
+
+    let until = null;
+    if (source.until !== undefined && source.until !== null && source.until !== '') {
+        until = new Date(source.until);
+        if (isNaN(until.getTime())) throw new Error('Recurrence until must be a valid date');
+    }
+
+    if (count && until) {
+        throw new Error('Recurrence cannot have both count and until');
+    }
+
+    const exdates = (source.exdates || []).map(value => {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) throw new Error(`Invalid exception date: ${value}`);
+        return date;
+    });
+
+    return { freq, interval, byDay, count, until, exdates };
+}
+
+// Copy the wall-clock time of `time` onto the given calendar day (local time)
+function atTimeOf(time, year, month, day) {
+    return new Date(year, month, day, time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds());
+}
+
+// All candidate start dates in the n-th period (day, week or month) after dtstart
+function periodStarts(recurrence, dtstart, offset) {
+    const byDay = recurrence.byDay || [];
+
+    if (recurrence.freq === 'daily') {
+        const date = atTimeOf(dtstart, dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate() + offset);
+        if (byDay.length > 0 && !byDay.includes(WEEKDAYS[date.getDay()])) return [];
+        return [date];
+    }
+
+    if (recurrence.freq === 'weekly') {
+        // Weeks start on Monday
+        const mondayOffset = (dtstart.getDay() + 6) % 7;
+        const weekStart = dtstart.getDate() - mondayOffset + offset * 7;
+        const days = byDay.length > 0 ? byDay : [WEEKDAYS[dtstart.getDay()]];
+
+        return days
+            .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+            .sort((a, b) => a - b)
+            .map(dayIndex => atTimeOf(dtstart, dtstart.getFullYear(), dtstart.getMonth(), weekStart + dayIndex));
+    }
+
+    // Monthly
+    const firstOfMonth = new Date(dtstart.getFullYear(), dtstart.getMonth() + offset, 1);
+    const year = firstOfMonth.getFullYear();
+    const month = firstOfMonth.getMonth();
+
+    if (byDay.length === 0) {
+        const date = atTimeOf(dtstart, year, month, dtstart.getDate());
+        // Skip months that don't have this day (e.g. the 31st), as RFC 5545 does
+        return date.getMonth() === month ? [date] : [];
+    }
+
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const days = new Set();
+
+    byDay.forEach(entry => {
+        const [, ordinal, weekday] = BYDAY_PATTERN.exec(entry);
+        const matching = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (WEEKDAYS[new Date(year, month, day).getDay()] === weekday) matching.push(day);
+        }
+
+        if (!ordinal) {
+            matching.forEach(day => days.add(day));
+        } else {
+            const n = Number(ordinal);
+            const day = n > 0 ? matching[n - 1] : matching[matching.length + n];
+            if (day) days.add(day);
+        }
+    });
+
+    return Array.from(days)
+        .sort((a, b) => a - b)
+        .map(day => atTimeOf(dtstart, year, month, day));
+}
+
+// Yield every start date of the series in order, honouring COUNT and UNTIL
+function* occurrenceStarts(recurrence, dtstart) {
+    const interval = recurrence.interval || 1;
+    const until = recurrence.until ? new Date(recurrence.until) : null;
+    let produced = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const date of periodStarts(recurrence, dtstart, period * interval)) {
+            if (date < dtstart) continue;
+            if (until && date > until) return;
+            if (recurrence.count && produced >= recurrence.count) return;
+            produced++;
+            yield date;
+        }
+    }
+}
+
+// Yield the occurrences ({ start, end }) of a recurring task overlapping [rangeStart, rangeEnd) in
+// order, so callers that need only the first few can stop early
+function* occurrencesIn(task, rangeStart, rangeEnd) {
+    const recurrence = task.recurrence;
+    const dtstart = new Date(task.start);
+    const duration = new Date(task.end) - dtstart;
+    const excluded = new Set((recurrence.exdates || []).map(date => new Date(date).getTime()));
+
+    for (const start of occurrenceStarts(recurrence, dtstart)) {
+        if (start >= rangeEnd) return;
+
+        const end = new Date(start.getTime() + duration);
+        if ((end > rangeStart || start >= rangeStart) && !excluded.has(start.getTime())) {
+            yield { start, end };
+        }
+    }
+}
+
+// Expand a recurring task into the occurrences overlapping [rangeStart, rangeEnd)
+function expandOccurrences(task, rangeStart, rangeEnd) {
+    return [...occurrencesIn(task, rangeStart, rangeEnd)];
+}
+
+// Check whether `date` is a (non-excluded) occurrence start of the series
+function isOccurrence(task, date) {
+    const time = new Date(date).getTime();
+    return expandOccurrences(task, new Date(time), new Date(time + 1))
+        .some(occurrence => occurrence.start.getTime() === time);
+}
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    BYDAY_PATTERN,
+    parseICalDate,
+    formatICalDate,
+    parseRRule,
+    formatRRule,
+    normalizeRecurrence,
+    occurrencesIn,
+    expandOccurrences,
+    isOccurrence
+};
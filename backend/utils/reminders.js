@@ -0,0 +1,108 @@
+// backend/utils/reminders.js
+// Reminder offsets on tasks and the times at which they fire
+
+const { expandOccurrences, isOccurrence } = require('./recurrence');
+
+const MINUTE = 60 * 1000;
+const CHANNELS = ['console', 'webhook', 'email'];
+const DEFAULT_CHANNELS = ['console'];
+const MAX_REMINDERS = 10;
+const MAX_MINUTES_BEFORE = 28 * 24 * 60; // Four weeks
+
+// "10", "10m", "2h", "1d" or 10 -> minutes
+function parseOffset(value) {
+    if (typeof value === 'number') return value;
+
+    const match = /^\s*(\d+)\s*([mhdw]?)\s*$/i.exec(String(value));
+    if (!match) throw new Error(`Invalid reminder offset: ${value} (use minutes, or e.g. 10m, 2h, 1d)`);
+    const unit = { '': 1, m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 }[match[2].toLowerCase()];
+    return Number(match[1]) * unit;
+}
+
+// Accepts [10, "1d", { minutesBefore: 30, channels: ["email"] }]; returns a list
+// sorted from earliest to latest reminder (throws on bad input)
+function normalizeReminders(input) {
+    if (input === undefined || input === null || input === '') return [];
+    if (!Array.isArray(input)) throw new Error('reminders must be an array');
+    if (input.length > MAX_REMINDERS) throw new Error(`A task can have at most ${MAX_REMINDERS} reminders`);
+
+    const reminders = new Map();
+    input.forEach(item => {
+        const object = item !== null && typeof item === 'object';
+        const minutesBefore = parseOffset(object ? item.minutesBefore : item);
+        if (!Number.isInteger(minutesBefore) || minutesBefore < 0 || minutesBefore > MAX_MINUTES_BEFORE) {
+            throw new Error(`Reminder offsets must be whole minutes between 0 and ${MAX_MINUTES_BEFORE}`);
+        }
+
+        const channels = object && item.channels ? item.channels : DEFAULT_CHANNELS;
+        if (!Array.isArray(channels) || channels.length === 0) throw new Error('Reminder channels must be a non-empty array');
+        channels.forEach(channel => {
+            if (!CHANNELS.includes(channel)) {
+                throw new Error(`Unknown reminder channel: ${channel} (use ${CHANNELS.join(', ')})`);
+            }
+        });
+
+        reminders.set(minutesBefore, { minutesBefore, channels: [...new Set(channels)] });
+    });
+
+    return [...reminders.values()].sort((a, b) => b.minutesBefore - a.minutesBefore);
+}
+
+// Reminders of a task that fire within [from, to): [{ start, minutesBefore, channels, fireAt }]
+// `start` is the occurrence start; occurrences listed in `skip` (overridden) are left out
+function dueReminders(task, from, to, skip = new Set()) {
+    if (!task.reminders || task.reminders.length === 0) return [];
+
+    const longest = Math.max(...task.reminders.map(reminder => reminder.minutesBefore)) * MINUTE;
+    const occurrences = task.recurrence
+        ? expandOccurrences(task, from, new Date(to.getTime() + longest))
+        : [{ start: new Date(task.start) }];
+
+    const due = [];
+    occurrences.forEach(occurrence => {
+        if (skip.has(occurrence.start.getTime())) return;
+
+        task.reminders.forEach(reminder => {
+            const fireAt = new Date(occurrence.start.getTime() - reminder.minutesBefore * MINUTE);
+            if (fireAt >= from && fireAt < to) {
+                due.push({
+                    start: occurrence.start,
+                    minutesBefore: reminder.minutesBefore,
+                    channels: [...reminder.channels],
+                    fireAt
+                });
+            }
+        });
+    });
+
+    return due;
+}
+
+// Whether a stored reminder still matches its task (it may have been moved or edited since)
+function stillDue(task, start, minutesBefore) {
+    if (!task || !(task.reminders || []).some(reminder => reminder.minutesBefore === minutesBefore)) return false;
+
+    return task.recurrence
+        ? isOccurrence(task, start)
+        : new Date(task.start).getTime() === new Date(start).getTime();
+}
+
+// "in 10 minutes", "in 1 day" - how a reminder describes its lead time
+function describeOffset(minutesBefore) {
+    if (minutesBefore === 0) return 'now';
+
+    const units = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    const [unit, size] = units.find(([, size]) => minutesBefore % size === 0);
+    const count = minutesBefore / size;
+    return `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+    CHANNELS,
+    DEFAULT_CHANNELS,
+    MAX_MINUTES_BEFORE,
+    normalizeReminders,
+    dueReminders,
+    stillDue,
+    describeOffset
+};
\ No newline at end of file
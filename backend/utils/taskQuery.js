@@ -0,0 +1,184 @@
+// backend/utils/taskQuery.js
+// Parsing of GET /api/tasks query parameters into MongoDB filters, sorting and cursors
+
+const SORT_FIELDS = ['start', 'end', 'title', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['start', 'end', 'createdAt', 'updatedAt'];
+const MAX_LIMIT = 500;
+
+// Escape user input so it can be used inside a RegExp
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accept ?tags=work,family as well as ?tags=work&tags=family
+function parseList(value) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new Error(`${name} must be a valid date`);
+    return date;
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and key
+function encodeCursor(sort, task) {
+    const value = task[sort.field];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        k: taskKey(task)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(sort, cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!/^[0-9a-f]{24}(:\d+)?$/.test(payload.k)) throw new Error('Invalid cursor key');
+        const value = DATE_FIELDS.includes(sort.field) ? new Date(payload.v) : payload.v;
+        return { value, key: payload.k };
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+}
+
+// Unique, sortable key of a task; occurrences of a series share an _id so add their start
+function taskKey(task) {
+    const id = String(task._id);
+    return task.recurrence && task.originalStart ? `${id}:${new Date(task.originalStart).getTime()}` : id;
+}
+
+// Turn req.query into a validated list query (throws on bad input)
+function parseListQuery(query) {
+    const options = {
+        rangeStart: null,
+        rangeEnd: null,
+        tags: parseList(query.tags),
+        q: query.q ? String(query.q).trim() : '',
+        sort: { field: 'start', direction: 1 },
+        limit: null,
+        cursor: null,
+        owner: null // Set by the route from the authenticated user
+    };
+
+    if (query.start || query.end) {
+        if (!query.start || !query.end) throw new Error('Both start and end are required for a date window');
+        options.rangeStart = parseDate(query.start, 'start');
+        options.rangeEnd = parseDate(query.end, 'end');
+        if (options.rangeEnd <= options.rangeStart) throw new Error('end must be after start');
+    }
+
+    if (query.sort) {
+        const sort = String(query.sort);
+        const field = sort.replace(/^[-+]/, '');
+        if (!SORT_FIELDS.includes(field)) {
+            throw new Error(`sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+        }
+        options.sort = { field, direction: sort.startsWith('-') ? -1 : 1 };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+        options.limit = limit;
+    }
+
+    if (query.cursor) {
+        options.cursor = decodeCursor(options.sort, String(query.cursor));
+    }
+
+    return options;
+}
+
+// Owner, tag and text conditions shared by every task query
+function buildFilter(options) {
+    const conditions = [];
+
+    if (options.owner) {
+        conditions.push({ owner: options.owner });
+    }
+
+    if (options.tags.length > 0) {
+        conditions.push({ tags: { $in: options.tags } });
+    }
+
+    if (options.q) {
+        const pattern = new RegExp(escapeRegex(options.q), 'i');
+        conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+
+    return conditions;
+}
+
+// MongoDB condition selecting documents that come after the cursor
+function cursorCondition(options) {
+    if (!options.cursor) return null;
+
+    const { field, direction } = options.sort;
+    const op = direction === 1 ? '$gt' : '$lt';
+    // Only the 24-character ObjectId part matters for stored documents
+    const id = options.cursor.key.split(':')[0];
+
+    return {
+        $or: [
+            { [field]: { [op]: options.cursor.value } },
+            { [field]: options.cursor.value, _id: { [op]: id } }
+        ]
+    };
+}
+
+// MongoDB sort specification matching compareTasks
+function sortSpec(options) {
+    const { field, direction } = options.sort;
+    return { [field]: direction, _id: direction };
+}
+
+// In-memory equivalent of the MongoDB sort, used after expanding recurring tasks
+function compareTasks(sort, a, b) {
+    const valueA = a[sort.field] instanceof Date ? a[sort.field].getTime() : a[sort.field];
+    const valueB = b[sort.field] instanceof Date ? b[sort.field].getTime() : b[sort.field];
+
+    if (valueA < valueB) return -sort.direction;
+    if (valueA > valueB) return sort.direction;
+
+    const keyA = taskKey(a);
+    const keyB = taskKey(b);
+    if (keyA === keyB) return 0;
+    return keyA < keyB ? -sort.direction : sort.direction;
+}
+
+// Whether a task sorts after the cursor position
+function isAfterCursor(options, task) {
+    if (!options.cursor) return true;
+
+    const cursorTask = {
+        [options.sort.field]: options.cursor.value,
+        _id: options.cursor.key.split(':')[0]
+    };
+    const [, occurrence] = options.cursor.key.split(':');
+    if (occurrence) {
+        cursorTask.recurrence = true;
+        cursorTask.originalStart = new Date(Number(occurrence));
+    }
+
+    return compareTasks(options.sort, task, cursorTask) > 0;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    MAX_LIMIT,
+    parseListQuery,
+    buildFilter,
+    cursorCondition,
+    sortSpec,
+    compareTasks,
+    isAfterCursor,
+    encodeCursor
+};
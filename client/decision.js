@@ -0,0 +1,98 @@
+// client/decision.js
+// The model's decision for the next step of a request - { action, parameters, explanation,
+// validation_summary, missing_info } - read from its answer and checked against the tools the MCP
+// server advertises. The problems are [{ path, message }], like the tools' own argument checks,
+// so they can be sent back to the model to repair its answer.
+
+const { validate, validateArguments } = require('../mcp-server/validation');
+
+// Actions that answer the user instead of calling a tool
+const REPLY_ACTIONS = ['respond', 'ask_clarification'];
+const MAX_CORRECTIONS = 2; // Times the model is asked to repair an answer that is not a valid step
+
+const DECISION_SCHEMA = {
+    type: 'object',
+    required: ['action'],
+    additionalProperties: true,
+    properties: {
+        action: { type: 'string' },
+        parameters: { type: ['object', 'null'], additionalProperties: true },
+        explanation: { type: 'string' },
+        validation_summary: { type: 'string' },
+        missing_info: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The decision in a JSON mode answer, ignoring text around the object: { decision }, or { errors }
+// when the answer holds no JSON object
+function parseDecision(text) {
+    const candidates = [text, (/\{[\s\S]*\}/.exec(text) || [])[0]].filter(Boolean);
+    let problem = 'the answer is empty';
+    for (const candidate of candidates) {
+        try {
+            const decision = JSON.parse(candidate);
+            if (isPlainObject(decision)) return { decision };
+            problem = 'the answer must be a JSON object';
+        } catch (error) {
+            problem = `the answer is not valid JSON (${error.message})`;
+        }
+    }
+    return { errors: [{ path: '', message: problem }] };
+}
+
+// Problems with a decision: its fields, its action (one of `toolSchemas`, or a reply) and, for a
+// tool call, its parameters against the tool's input schema
+function checkDecision(decision, toolSchemas) {
+    const errors = validate(DECISION_SCHEMA, decision);
+    if (errors.length > 0) return errors;
+
+    if (decision.action === 'respond') {
+        return decision.explanation && decision.explanation.trim()
+            ? []
+            : [{ path: 'explanation', message: 'is required: it is the answer shown to the user' }];
+    }
+    if (decision.action === 'ask_clarification') {
+        const asks = (decision.explanation && decision.explanation.trim()) || (decision.missing_info || []).length > 0;
+        return asks ? [] : [{ path: 'missing_info', message: 'is required: list what the user has to add' }];
+    }
+
+    if (!toolSchemas[decision.action]) {
+        return [{ path: 'action', message: `unknown tool "${decision.action}" (expected: ${Object.keys(toolSchemas).join(', ')}, ${REPLY_ACTIONS.join(' or ')})` }];
+    }
+    return validateArguments(toolSchemas[decision.action], decision.parameters);
+}
+
+// The problems of a rejected decision, one per line, for the model to repair
+function describeProblems(errors) {
+    return errors.map(error => `- ${error.path || 'answer'}: ${error.message}`).join('\n');
+}
+
+// The model's decision for a step. `ask(correction)` resolves to the model's decision (with
+// `parseErrors` when its answer held no JSON object); an invalid one is asked for again with the
+// correction { previous, errors }, up to `maxCorrections` times, calling onRepair(errors, attempt)
+// before each. Resolves to { decision, errors }, where errors is empty for a valid decision.
+async function decideWithRepairs(ask, toolSchemas, { maxCorrections = MAX_CORRECTIONS, onRepair = () => {} } = {}) {
+    const problemsOf = decision => decision.parseErrors || checkDecision(decision, toolSchemas);
+
+    let decision = await ask(null);
+    let errors = problemsOf(decision);
+    for (let attempt = 1; errors.length > 0 && attempt <= maxCorrections; attempt++) {
+        onRepair(errors, attempt);
+        decision = await ask({ previous: decision, errors });
+        errors = problemsOf(decision);
+    }
+    return { decision, errors };
+}
+
+module.exports = {
+    REPLY_ACTIONS,
+    MAX_CORRECTIONS,
+    parseDecision,
+    checkDecision,
+    describeProblems,
+    decideWithRepairs
+};
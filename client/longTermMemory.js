@@ -0,0 +1,168 @@
+// client/longTermMemory.js
+// Long-term memory: facts the user asked to remember and earlier turns of the conversation, kept
+// with their embeddings in one JSON file per profile, so the ones relevant to a request can be
+// recalled into the prompt long after they left the conversation window
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { profileDir } = require('./sessions');
+
+// Cosine similarity; vectors from another embedding model (another length) never match
+function similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Deterministic stand-in for an embedding model: the words of a text hashed into `dims` buckets.
+// Texts that share words are similar; for tests, and for machines without an embedding model.
+function hashEmbedding(dims = 256) {
+    return async texts => texts.map(text => {
+        const vector = new Array(dims).fill(0);
+        for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+            vector[crypto.createHash('md5').update(word).digest().readUInt32BE(0) % dims] += 1;
+        }
+        return vector;
+    });
+}
+
+// What callers see of an item: everything but its embedding
+function publicItem({ embedding, ...item }) {
+    return item;
+}
+
+// The long-term memory of a profile in `dir`. embed(texts) resolves to one vector per text, e.g.
+// from Ollama's /api/embed. Facts stay until they are forgotten; of the turns only the latest
+// `maxTurns` are kept.
+function createLongTermMemory({ dir, profile, embed, maxTurns = 500 }) {
+    const file = `${profileDir(dir, profile)}.json`;
+    let items = [];
+    let loading = null;
+    let writing = Promise.resolve();
+
+    // Read the file once, on first use
+    function load() {
+        loading = loading || fs.readFile(file, 'utf8').then(
+            text => { items = JSON.parse(text).items || []; },
+            error => {
+                if (error.code !== 'ENOENT') throw new Error(`Could not read ${file}: ${error.message}`);
+            }
+        );
+        return loading;
+    }
+
+    // Writes go through a temporary file and are queued, like the session store's
+    function save() {
+        const text = JSON.stringify({ items }, null, 2);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(`${file}.tmp`, text);
+            await fs.rename(`${file}.tmp`, file);
+        });
+        return writing;
+    }
+
+    // Store a text of `kind` "fact" or "turn"; the same text is stored once
+    async function add(kind, text) {
+        await load();
+        const existing = items.find(item => item.kind === kind && item.text.toLowerCase() === text.toLowerCase());
+        if (existing) return publicItem(existing);
+
+        const [embedding] = await embed([text]);
+        const item = {
+            id: crypto.randomBytes(4).toString('hex'),
+            kind,
+            text,
+            createdAt: new Date().toISOString(),
+            embedding
+        };
+        items.push(item);
+
+        const turns = items.filter(entry => entry.kind === 'turn');
+        if (turns.length > maxTurns) {
+            const dropped = new Set(turns.slice(0, turns.length - maxTurns));
+            items = items.filter(entry => !dropped.has(entry));
+        }
+        await save();
+        return publicItem(item);
+    }
+
+    // The items most similar to `query`, best first, each with its `score`
+    async function recall(query, { limit = 5, minScore = 0.5 } = {}) {
+        await load();
+        if (items.length === 0) return [];
+
+        const [vector] = await embed([query]);
+        return items
+            .map(item => ({ ...publicItem(item), score: similarity(vector, item.embedding) }))
+            .filter(item => item.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // Remembered facts, oldest first
+    async function facts() {
+        await load();
+        return items.filter(item => item.kind === 'fact').map(publicItem);
+    }
+
+    // Drop a fact by its number in facts() (1 is the oldest), or the one a text names: the fact
+    // containing it, else the most similar one. Resolves to the dropped fact, or null.
+    async function forget(reference, { minScore = 0.5 } = {}) {
+        const known = await facts();
+        let fact;
+        if (/^\d+$/.test(reference)) {
+            fact = known[Number(reference) - 1];
+        } else {
+            fact = known.find(item => item.text.toLowerCase().includes(reference.toLowerCase()));
+            if (!fact && known.length > 0) {
+                const [vector] = await embed([reference]);
+                const best = items
+                    .filter(item => item.kind === 'fact')
+                    .map(item => ({ item, score: similarity(vector, item.embedding) }))
+                    .sort((a, b) => b.score - a.score)[0];
+                if (best.score >= minScore) fact = publicItem(best.item);
+            }
+        }
+        if (!fact) return null;
+
+        items = items.filter(item => item.id !== fact.id);
+        await save();
+        return fact;
+    }
+
+    return {
+        file,
+        add,
+        remember: text => add('fact', text),
+        recall,
+        facts,
+        forget,
+        // Resolves when every queued write is on disk
+        flush: () => writing.catch(() => {})
+    };
+}
+
+// The long-term memory command in a line the user typed - "/remember <fact>", "/forget <n|text>" or
+// "/memories" - as { name, argument } (argument null when left out), or null for anything else.
+// They are slash commands so requests like "remember to call mom at 5pm" still reach the model.
+function parseMemoryCommand(input) {
+    const command = /^\/(remember|forget|memories)(?:\s+(.+))?$/i.exec(input.trim());
+    if (!command) return null;
+    return { name: command[1].toLowerCase(), argument: command[2] ? command[2].trim() : null };
+}
+
+module.exports = {
+    createLongTermMemory,
+    parseMemoryCommand,
+    hashEmbedding,
+    similarity
+};
@@ -0,0 +1,63 @@
+// client/providers/http.js
+// Requests to model servers, with their errors turned into plain errors carrying the server's
+// message and status
+
+const axios = require('axios');
+const { readBody } = require('../stream');
+
+// The server's explanation of a failed request; error responses to streamed requests arrive as
+// streams too
+async function requestError(error) {
+    if (!error.response) return error; // e.g. ECONNREFUSED: the server is not running
+
+    let body = error.response.data;
+    if (body && typeof body.pipe === 'function') body = await readBody(body);
+    const message = (body && body.error && (body.error.message || body.error)) ||
+        (body && body.message) || (typeof body === 'string' && body) || error.message;
+    const failure = new Error(String(message));
+    failure.status = error.response.status;
+    return failure;
+}
+
+// Aborting a request with Ctrl+C cancels it; AbortSignal.timeout() makes it time out
+function abortError(signal) {
+    const timedOut = Boolean(signal.reason && signal.reason.name === 'TimeoutError');
+    const error = new Error(timedOut ? 'The model took too long to answer' : 'The answer was cancelled');
+    error.code = timedOut ? 'TIMEOUT' : 'CANCELLED';
+    return error;
+}
+
+// POST `body` and read the streamed answer with `read` (readNdjson or readSse), which calls
+// onChunk with each chunk. Aborting `signal` rejects with an error whose code is 'CANCELLED'.
+async function postStream(url, body, { read, onChunk, signal, headers }) {
+    try {
+        const response = await axios.post(url, body, { responseType: 'stream', signal, headers });
+        if (signal) signal.addEventListener('abort', () => response.data.destroy(new Error('aborted')), { once: true });
+        await read(response.data, onChunk);
+    } catch (error) {
+        if (signal && signal.aborted) throw abortError(signal);
+        throw await requestError(error);
+    }
+}
+
+async function postJson(url, body, { headers, timeout } = {}) {
+    try {
+        return (await axios.post(url, body, { headers, timeout })).data;
+    } catch (error) {
+        throw await requestError(error);
+    }
+}
+
+async function getJson(url, { headers, timeout } = {}) {
+    try {
+        return (await axios.get(url, { headers, timeout })).data;
+    } catch (error) {
+        throw await requestError(error);
+    }
+}
+
+module.exports = {
+    postStream,
+    postJson,
+    getJson
+};
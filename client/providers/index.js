@@ -0,0 +1,62 @@
+// client/providers/index.js
+// The language models the client can talk to: ollama (default), openai (any OpenAI-compatible
+// server, e.g. llama.cpp, vLLM or LM Studio) or mock (scripted answers, for tests)
+//
+// Every provider has the same methods: chat({ messages, tools, onText, signal }) resolves to
+// { content, toolCalls }, generate({ prompt, json, onText, signal }) to the answer's text,
+// embed(texts) to one vector per text and listModels() to the names of the models it serves.
+// Messages and tool calls use Ollama's /api/chat format. onText(text) is called with the answer
+// so far while it streams in; aborting `signal` rejects with an error whose code is 'CANCELLED'.
+// A model without tool calling makes chat() reject with code 'TOOLS_UNSUPPORTED'.
+// `model` is the model in use and setModel(name) switches it.
+
+const fs = require('fs');
+const { createOllamaProvider } = require('./ollama');
+const { createOpenAiProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+    ollama: createOllamaProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider
+};
+const PROVIDER_TYPES = Object.keys(PROVIDERS);
+
+function createProvider(type, options = {}) {
+    if (!PROVIDERS[type]) {
+        throw new Error(`Unknown provider "${type}" (use one of: ${PROVIDER_TYPES.join(', ')})`);
+    }
+    return PROVIDERS[type](options);
+}
+
+// The provider settings file: { default: {...}, profiles: { <profile>: {...} } }; {} when missing
+function loadProviderConfig(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// The settings ({ provider, model, ...options }) of a profile: its own entry in the config, or else
+// the default one, with `overrides` (e.g. from environment variables) on top
+function providerSettings(config, profile, overrides = {}) {
+    const profiles = config.profiles || {};
+    const base = (profile && profiles[profile]) || config.default || {};
+    const set = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== ''));
+    return { provider: 'ollama', ...base, ...set };
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    createProvider,
+    loadProviderConfig,
+    providerSettings
+};
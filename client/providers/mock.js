@@ -0,0 +1,55 @@
+// client/providers/mock.js
+// Scripted provider for tests and demos: every chat or prompt gets the next answer of the script,
+// so a conversation with the client can be replayed without a model
+
+const fs = require('fs');
+const { hashEmbedding } = require('../longTermMemory');
+
+// `script` is a list of answers, or the path of a JSON file with one. An answer is its text, or
+// { content, toolCalls } (toolCalls in Ollama's format), or { error } to make the call fail.
+function createMockProvider({ script = [], model = 'mock', jsonMode = false } = {}) {
+    const answers = typeof script === 'string' ? JSON.parse(fs.readFileSync(script, 'utf8')) : script.slice();
+    const calls = [];
+    let current = model;
+
+    // The next answer, shown word by word through onText as if it were streamed
+    async function answer(request, onText, signal) {
+        calls.push(request);
+        if (answers.length === 0) throw new Error('The mock provider has no more answers');
+        const next = answers.shift();
+        if (next.error) throw Object.assign(new Error(next.error), { code: next.code, status: next.status });
+
+        const content = typeof next === 'string' ? next : next.content || '';
+        const words = content.match(/\S+\s*|\s+/g) || [];
+        let text = '';
+        for (const word of words) {
+            if (signal && signal.aborted) throw Object.assign(new Error('The answer was cancelled'), { code: 'CANCELLED' });
+            text += word;
+            onText(text);
+        }
+        return { content, toolCalls: (typeof next === 'string' ? null : next.toolCalls) || [] };
+    }
+
+    return {
+        type: 'mock',
+        url: null,
+        get model() {
+            return current;
+        },
+        setModel(name) {
+            current = name;
+        },
+        embeddingModel: 'hash',
+        jsonMode,
+        // Every request made, oldest first: { method, messages, tools } or { method, prompt, json }
+        calls,
+        chat: ({ messages, tools = [], onText = () => {}, signal }) =>
+            answer({ method: 'chat', model: current, messages, tools }, onText, signal),
+        generate: async ({ prompt, json = false, onText = () => {}, signal }) =>
+            (await answer({ method: 'generate', model: current, prompt, json }, onText, signal)).content,
+        embed: hashEmbedding(),
+        listModels: async () => [current]
+    };
+}
+
+module.exports = { createMockProvider };
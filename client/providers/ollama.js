@@ -0,0 +1,104 @@
+// client/providers/ollama.js
+// Models served by Ollama: /api/chat with native tool calling, /api/generate for prompts (with
+// format: "json" in JSON mode) and /api/embed for embeddings
+
+const { postStream, postJson, getJson } = require('./http');
+const { readNdjson } = require('../stream');
+
+function createOllamaProvider({
+    url = 'http://localhost:11434',
+    model = 'llama2',
+    embeddingModel = 'nomic-embed-text',
+    temperature = 0.1,
+    contextSize = null, // Tokens the model sees (num_ctx); the model's default when unset
+    jsonMode = false
+} = {}) {
+    const base = url.replace(/\/+$/, '');
+    let current = model;
+
+    function options() {
+        return contextSize ? { temperature, num_ctx: contextSize } : { temperature };
+    }
+
+    // The answer to chat `messages` (Ollama's /api/chat format), possibly with tool calls.
+    // onText(text) is called with the text so far as it streams in.
+    async function chat({ messages, tools = [], onText = () => {}, signal }) {
+        const message = { content: '', toolCalls: [] };
+        try {
+            await postStream(`${base}/api/chat`, {
+                model: current,
+                messages,
+                tools: tools.length > 0 ? tools : undefined,
+                stream: true,
+                options: options()
+            }, {
+                read: readNdjson,
+                signal,
+                onChunk: chunk => {
+                    if (!chunk.message) return;
+                    if (chunk.message.content) {
+                        message.content += chunk.message.content;
+                        onText(message.content);
+                    }
+                    // Tool calls come in their own chunks
+                    if (chunk.message.tool_calls) message.toolCalls.push(...chunk.message.tool_calls);
+                }
+            });
+        } catch (error) {
+            // Ollama refuses requests with tools for models that were not trained for tool calling
+            if (error.status === 400 && /does not support tools/i.test(error.message)) error.code = 'TOOLS_UNSUPPORTED';
+            throw error;
+        }
+        return message;
+    }
+
+    // The answer to a single prompt; `json` makes it a JSON object
+    async function generate({ prompt, json = false, onText = () => {}, signal }) {
+        let text = '';
+        await postStream(`${base}/api/generate`, {
+            model: current,
+            prompt,
+            format: json ? 'json' : undefined,
+            stream: true,
+            options: options()
+        }, {
+            read: readNdjson,
+            signal,
+            onChunk: chunk => {
+                text += chunk.response || '';
+                onText(text);
+            }
+        });
+        return text;
+    }
+
+    async function embed(texts) {
+        const result = await postJson(`${base}/api/embed`, { model: embeddingModel, input: texts }, { timeout: 30 * 1000 });
+        return result.embeddings;
+    }
+
+    // Models pulled into this Ollama; fails when Ollama is not running
+    async function listModels() {
+        const result = await getJson(`${base}/api/tags`, { timeout: 5 * 1000 });
+        return result.models.map(item => item.name);
+    }
+
+    return {
+        type: 'ollama',
+        url: base,
+        get model() {
+            return current;
+        },
+        setModel(name) {
+            current = name;
+        },
+        embeddingModel,
+        jsonMode,
+        chat,
+        generate,
+        embed,
+        listModels
+    };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,136 @@
+// client/providers/openai.js
+// Any server with an OpenAI-compatible API, such as llama.cpp's llama-server, vLLM or LM Studio:
+// /chat/completions (streamed as server-sent events) for chats and prompts, /embeddings and /models.
+// There is no contextSize option: these servers fix the context size when they start.
+
+const { postStream, postJson, getJson } = require('./http');
+const { readSse } = require('../stream');
+
+// Ollama-format chat messages as OpenAI expects them: tool calls with ids and their arguments as
+// JSON text, and each tool result pointing to its call
+function toOpenAiMessages(messages) {
+    let count = 0;
+    let pending = [];
+    return messages.map(message => {
+        if (message.tool_calls) {
+            const calls = message.tool_calls.map(call => ({
+                id: `call_${++count}`,
+                type: 'function',
+                function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments || {}) }
+            }));
+            pending = calls.slice();
+            return { role: 'assistant', content: message.content || null, tool_calls: calls };
+        }
+        if (message.role === 'tool') {
+            const index = pending.findIndex(call => call.function.name === message.tool_name);
+            const call = pending.splice(index === -1 ? 0 : index, 1)[0];
+            // A result without its call is refused; the model still gets to see it
+            if (!call) return { role: 'user', content: `Result of ${message.tool_name}: ${message.content}` };
+            return { role: 'tool', tool_call_id: call.id, content: message.content };
+        }
+        return { role: message.role, content: message.content };
+    });
+}
+
+function createOpenAiProvider({
+    url = 'http://localhost:8080/v1',
+    apiKey = null, // Most local servers need none
+    model = 'default',
+    embeddingModel = model,
+    temperature = 0.1,
+    jsonMode = false
+} = {}) {
+    const base = url.replace(/\/+$/, '');
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    let current = model;
+
+    // Streams a completion; resolves to its text and tool calls (in Ollama's format)
+    async function complete(body, onText, signal) {
+        let content = '';
+        const calls = [];
+        await postStream(`${base}/chat/completions`, { model: current, temperature, ...body, stream: true }, {
+            read: readSse,
+            signal,
+            headers,
+            onChunk: chunk => {
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+                if (!delta) return;
+                if (delta.content) {
+                    content += delta.content;
+                    onText(content);
+                }
+                // The name and arguments of a call arrive in pieces, by the call's index
+                (delta.tool_calls || []).forEach(part => {
+                    const index = part.index === undefined ? calls.length : part.index;
+                    const call = calls[index] = calls[index] || { name: '', arguments: '' };
+                    if (part.function && part.function.name) call.name += part.function.name;
+                    if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+                });
+            }
+        });
+
+        const toolCalls = calls.filter(Boolean).map(call => {
+            let args;
+            try {
+                args = JSON.parse(call.arguments || '{}');
+            } catch (error) {
+                args = call.arguments; // Checking the call against its schema reports it
+            }
+            return { function: { name: call.name, arguments: args } };
+        });
+        return { content, toolCalls };
+    }
+
+    async function chat({ messages, tools = [], onText = () => {}, signal }) {
+        try {
+            return await complete({
+                messages: toOpenAiMessages(messages),
+                tools: tools.length > 0 ? tools : undefined
+            }, onText, signal);
+        } catch (error) {
+            // e.g. llama-server without --jinja, or vLLM without --enable-auto-tool-choice
+            if (error.status >= 400 && /tool/i.test(error.message)) error.code = 'TOOLS_UNSUPPORTED';
+            throw error;
+        }
+    }
+
+    async function generate({ prompt, json = false, onText = () => {}, signal }) {
+        const result = await complete({
+            messages: [{ role: 'user', content: prompt }],
+            response_format: json ? { type: 'json_object' } : undefined
+        }, onText, signal);
+        return result.content;
+    }
+
+    async function embed(texts) {
+        const result = await postJson(`${base}/embeddings`, { model: embeddingModel, input: texts }, { headers, timeout: 30 * 1000 });
+        return result.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+
+    async function listModels() {
+        const result = await getJson(`${base}/models`, { headers, timeout: 5 * 1000 });
+        return result.data.map(item => item.id);
+    }
+
+    return {
+        type: 'openai',
+        url: base,
+        get model() {
+            return current;
+        },
+        setModel(name) {
+            current = name;
+        },
+        embeddingModel,
+        jsonMode,
+        chat,
+        generate,
+        embed,
+        listModels
+    };
+}
+
+module.exports = {
+    createOpenAiProvider,
+    toOpenAiMessages
+};
@@ -0,0 +1,113 @@
+// client/sessions.js
+// Chat sessions saved to disk, one JSON file per session in a directory per profile, so a
+// conversation can be resumed after the client exits
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Profile names become directory names
+function profileDir(dir, profile) {
+    const safe = String(profile).toLowerCase().replace(/[^a-z0-9_-]+/g, '_') || 'default';
+    return path.join(dir, safe);
+}
+
+// Sortable and short enough to type: 20250702-150405-3fa2
+function newSessionId(date = new Date()) {
+    const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Sessions of a profile in `dir`. Only the newest `maxSessions` are kept, and none that were
+// last used more than `maxAgeDays` ago (0 turns a limit off).
+function createSessionStore({ dir, profile, maxSessions = 20, maxAgeDays = 30 }) {
+    const root = profileDir(dir, profile);
+    const fileOf = id => path.join(root, `${id}.json`);
+    let writing = Promise.resolve();
+
+    // Saved sessions, most recently used first
+    async function list() {
+        let files;
+        try {
+            files = await fs.readdir(root);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Could not read ${root}: ${error.message}`);
+        }
+
+        const sessions = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                sessions.push(JSON.parse(await fs.readFile(path.join(root, file), 'utf8')));
+            } catch (error) {
+                // A damaged file is skipped rather than blocking every other session
+                console.error(`⚠️  Skipping unreadable session ${file}: ${error.message}`);
+            }
+        }
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    // A session by id, or by its number in list() (1 is the most recent); null when not found
+    async function find(reference) {
+        const sessions = await list();
+        if (/^\d+$/.test(reference)) return sessions[Number(reference) - 1] || null;
+        return sessions.find(session => session.id === reference) || null;
+    }
+
+    async function remove(id) {
+        await writing.catch(() => {});
+        try {
+            await fs.unlink(fileOf(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    // Drop the sessions beyond the retention limits
+    async function prune() {
+        const sessions = await list();
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+        const expired = sessions.filter((session, index) =>
+            (maxSessions > 0 && index >= maxSessions) || new Date(session.updatedAt).getTime() < cutoff
+        );
+        for (const session of expired) await remove(session.id);
+        return expired.length;
+    }
+
+    // Write a session ({ id, title, createdAt, summary, messages }); one without messages is
+    // removed instead. Writes go through a temporary file and are queued, like the JSON store's.
+    function save(session) {
+        if (session.messages.length === 0 && !session.summary) {
+            writing = writing.catch(() => {}).then(() => fs.unlink(fileOf(session.id)).catch(() => {}));
+            return writing;
+        }
+
+        const text = JSON.stringify({ ...session, updatedAt: new Date().toISOString() }, null, 2);
+        const file = fileOf(session.id);
+        writing = writing.catch(() => {}).then(async () => {
+            await fs.mkdir(root, { recursive: true });
+            await fs.writeFile(`${file}.tmp`, text);
+            await fs.rename(`${file}.tmp`, file);
+        });
+        return writing;
+    }
+
+    return {
+        dir: root,
+        list,
+        find,
+        save,
+        remove,
+        prune,
+        // Resolves when every queued write is on disk
+        flush: () => writing.catch(() => {})
+    };
+}
+
+module.exports = {
+    createSessionStore,
+    newSessionId,
+    profileDir
+};
\ No newline at end of file
@@ -0,0 +1,121 @@
+// client/stream.js
+// Streamed model answers, read as they arrive so they can be shown while the model is still
+// writing: Ollama sends one JSON object per line (NDJSON), OpenAI-compatible servers send
+// server-sent events
+
+// Call onLine with every non-empty line of a text stream; resolves after the last one. An error
+// thrown by onLine rejects.
+function readLines(stream, onLine) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let failed = false;
+        let ended = false;
+
+        function handle(line) {
+            if (line.trim()) onLine(line);
+        }
+
+        function fail(error) {
+            if (failed) return;
+            failed = true;
+            stream.destroy();
+            reject(error);
+        }
+
+        stream.setEncoding('utf8');
+        stream.on('data', data => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Lines can be split across data events
+            try {
+                lines.forEach(handle);
+            } catch (error) {
+                fail(error);
+            }
+        });
+        stream.on('end', () => {
+            ended = true;
+            if (failed) return;
+            try {
+                handle(buffer);
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        });
+        stream.on('error', fail);
+        // A closed connection does not always come with an error
+        stream.on('close', () => {
+            if (!ended) fail(new Error('The response ended early'));
+        });
+    });
+}
+
+// Call onChunk with every object of an NDJSON stream. An { error } line from Ollama rejects, like
+// a failed request would.
+function readNdjson(stream, onChunk) {
+    return readLines(stream, line => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(chunk.error);
+        onChunk(chunk);
+    });
+}
+
+// Call onChunk with the data of every server-sent event: "data: {...}" lines, up to "data: [DONE]"
+function readSse(stream, onChunk) {
+    return readLines(stream, line => {
+        if (!line.startsWith('data:')) return; // Comments and other fields
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.error) throw new Error(chunk.error.message || chunk.error);
+        onChunk(chunk);
+    });
+}
+
+// The body of an error response that was requested as a stream, parsed as JSON when it is
+async function readBody(stream) {
+    let text = '';
+    stream.setEncoding('utf8');
+    for await (const data of stream) text += data;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// The value of a string field in a JSON object that is still being written, as far as it has
+// arrived: '' before the field starts. Lets JSON mode show its "explanation" while it streams.
+function partialStringField(json, field) {
+    const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(json);
+    if (!start) return '';
+
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+    let value = '';
+    for (let i = start.index + start[0].length; i < json.length; i++) {
+        const char = json[i];
+        if (char === '"') break;
+        if (char !== '\\') {
+            value += char;
+            continue;
+        }
+        if (i + 1 >= json.length) break; // The escape is not complete yet
+        const next = json[++i];
+        if (next === 'u') {
+            if (i + 4 >= json.length) break;
+            value += String.fromCharCode(parseInt(json.slice(i + 1, i + 5), 16));
+            i += 4;
+        } else {
+            value += escapes[next] || next;
+        }
+    }
+    return value;
+}
+
+module.exports = {
+    readNdjson,
+    readSse,
+    readBody,
+    partialStringField
+};
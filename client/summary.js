@@ -0,0 +1,62 @@
+// client/summary.js
+// Token estimates and the summary kept of messages that left the conversation window, for
+// when the model cannot write it: short notes with the tasks' ids, titles and times
+
+const MAX_TASKS_PER_RESULT = 5;
+
+// Roughly 4 characters per token for English text and JSON; good enough to decide when to summarize
+function estimateTokens(message) {
+    const calls = message.toolCalls ? JSON.stringify(message.toolCalls) : '';
+    return Math.ceil(((message.content || '').length + calls.length) / 4);
+}
+
+function clip(text, length) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+// The tasks a tool result mentions; results cut off in memory are no longer JSON and only keep their tool
+function resultNotes(toolName, content) {
+    let result;
+    try {
+        result = JSON.parse(content);
+    } catch (error) {
+        return [`${toolName} returned a long result`];
+    }
+
+    if (result.success === false) return [`${toolName} failed: ${clip(result.error, 120)}`];
+
+    const tasks = [].concat(result.task || [], result.tasks || []);
+    const notes = tasks.slice(0, MAX_TASKS_PER_RESULT).map(task =>
+        `${toolName}: "${task.title}" (id ${task.id || task._id}, ${task.start})`
+    );
+    if (tasks.length > MAX_TASKS_PER_RESULT) notes.push(`${toolName}: ${tasks.length - MAX_TASKS_PER_RESULT} more task(s)`);
+    if (notes.length === 0) notes.push(`${toolName}: ${clip(result.message || 'done', 120)}`);
+    return notes;
+}
+
+function notesOf(message) {
+    if (message.role === 'user') return [`User: ${clip(message.content, 160)}`];
+    if (message.role === 'tool') return resultNotes(message.toolName, message.content);
+    // The results of tool calls are noted with the tool messages
+    return message.content ? [`Assistant: ${clip(message.content, 160)}`] : [];
+}
+
+// At most maxChars, dropping the oldest lines first
+function capSummary(summary, maxChars) {
+    const lines = summary.trim().split('\n').filter(line => line.trim());
+    while (lines.length > 1 && lines.join('\n').length > maxChars) lines.shift();
+    return lines.join('\n').slice(-maxChars);
+}
+
+// The summary with notes on the given messages added
+function fallbackSummary(summary, messages, maxChars) {
+    const notes = messages.flatMap(notesOf);
+    return capSummary([summary, ...notes].filter(Boolean).join('\n'), maxChars);
+}
+
+module.exports = {
+    estimateTokens,
+    capSummary,
+    fallbackSummary
+};
\ No newline at end of file
@@ -3,6 +3,8 @@
 
 const axios = require('axios');
 const MCP_SERVER_URL = 'http://localhost:6000';
+// Tool calls act as the owner of this API token (create one with POST /api/auth/tokens)
+const TASK_API_TOKEN = process.env.TASK_API_TOKEN;
 
 // Simple Memory Management (same as in main client)
 class ConversationMemory {
@@ -72,7 +74,8 @@ async function executeMCPTool(action, parameters) {
     try {
         const response = await axios.post(
             `${MCP_SERVER_URL}/mcp/v1/tools/${action}`,
-            { arguments: parameters }
+            { arguments: parameters },
+            { headers: { Authorization: `Bearer ${TASK_API_TOKEN}` } }
         );
         return response.data.result;
     } catch (error) {
@@ -146,4 +149,9 @@ async function demoMemory() {
     console.log('\n✨ This context would be passed to the LLM for intelligent responses!');
 }
 
+if (!TASK_API_TOKEN) {
+    console.error('❌ Set TASK_API_TOKEN to an API token (create one with POST /api/auth/tokens): the MCP server refuses tool calls without one.');
+    process.exit(1);
+}
+
 demoMemory().catch(console.error);
@@ -1,47 +1,94 @@
 // mcp-ollama-client.js
-// This client integrates Ollama with our MCP server and simple memory management
+// This client integrates a local language model (Ollama, or any OpenAI-compatible server) with
+// our MCP server and simple memory management
 
 const axios = require('axios');
 const readline = require('readline');
+const os = require('os');
+const path = require('path');
+const { formatErrors } = require('./mcp-server/validation');
+const { parseDecision, describeProblems, decideWithRepairs, REPLY_ACTIONS, MAX_CORRECTIONS } = require('./client/decision');
+const { createSessionStore, newSessionId } = require('./client/sessions');
+const { createLongTermMemory, hashEmbedding, parseMemoryCommand } = require('./client/longTermMemory');
+const { partialStringField } = require('./client/stream');
+const { createProvider, loadProviderConfig, providerSettings } = require('./client/providers');
+const { estimateTokens, capSummary, fallbackSummary } = require('./client/summary');
 const today = new Date();
 
 // Simple Memory Management
 class ConversationMemory {
-    constructor(maxMessages = 20) {
+    // When the messages grow past maxTokens (estimated), the oldest are folded into the summary
+    // until half of that is left. summarize(summary, messages, maxChars) writes the new summary,
+    // e.g. with the model; without it, or when it fails, notes on the messages are added instead.
+    // The summary is kept under maxSummaryChars. onChange is called after every change, e.g. to
+    // save the session.
+    constructor({ maxTokens = 4000, maxSummaryChars = 1500, summarize = null, onChange = () => {} } = {}) {
         this.messages = [];
-        this.maxMessages = maxMessages;
+        this.maxTokens = maxTokens;
+        this.maxSummaryChars = maxSummaryChars;
         this.summary = '';
+        this.summarize = summarize;
+        this.onChange = onChange;
+        this.summarizing = Promise.resolve();
+        this.generation = 0; // Bumped by clear() and restore(), so late summaries are dropped
     }
 
-    addMessage(role, content) {
+    // `details` can hold the tool calls of an assistant message ({ toolCalls }) or the name of
+    // the tool whose result a 'tool' message is ({ toolName })
+    addMessage(role, content, details = {}) {
         this.messages.push({
-            role: role, // 'user' or 'assistant'
+            role: role, // 'user', 'assistant' or 'tool'
             content: content,
+            ...details,
             timestamp: new Date().toISOString()
         });
 
-        // Keep only recent messages to avoid context overflow
-        if (this.messages.length > this.maxMessages) {
-            // Summarize old messages before removing them
-            const oldMessages = this.messages.splice(0, this.messages.length - this.maxMessages);
-            this.updateSummary(oldMessages);
+        // Keep the context small enough for the model
+        if (this.tokenCount() > this.maxTokens) this.compact();
+        this.onChange();
+    }
+
+    tokenCount() {
+        return this.messages.reduce((total, msg) => total + estimateTokens(msg), 0);
+    }
+
+    // Move the oldest messages into the summary, keeping at least the latest one. A tool result
+    // leaves together with its call.
+    compact() {
+        let tokens = this.tokenCount();
+        let count = 0;
+        while (count < this.messages.length - 1 && (tokens > this.maxTokens / 2 || this.messages[count].role === 'tool')) {
+            tokens -= estimateTokens(this.messages[count]);
+            count++;
         }
+        const oldMessages = this.messages.splice(0, count);
+
+        // Each summary builds on the one before, so they are written one at a time
+        const generation = this.generation;
+        this.summarizing = this.summarizing.then(() => this.updateSummary(oldMessages, generation));
     }
 
-    updateSummary(oldMessages) {
-        if (oldMessages.length > 0) {
-            const taskActions = oldMessages.filter(msg => 
-                msg.content.includes('created') || 
-                msg.content.includes('scheduled') || 
-                msg.content.includes('deleted') || 
-                msg.content.includes('updated')
-            );
-            
-            if (taskActions.length > 0) {
-                this.summary += '\nPrevious session: ' + 
-                    taskActions.map(msg => msg.content).join('; ') + '.';
+    async updateSummary(oldMessages, generation) {
+        let summary = '';
+        if (this.summarize) {
+            try {
+                summary = (await this.summarize(this.summary, oldMessages, this.maxSummaryChars)).trim();
+            } catch (error) {
+                // The model may not be running; the notes below keep the facts
+                console.error(`(Could not summarize with the model: ${error.message})`);
             }
         }
+        if (generation !== this.generation) return;
+
+        this.summary = summary
+            ? capSummary(summary, this.maxSummaryChars)
+            : fallbackSummary(this.summary, oldMessages, this.maxSummaryChars);
+        this.onChange();
+    }
+
+    // Resolves once the messages that left the window are in the summary
+    settled() {
+        return this.summarizing;
     }
 
     getContextString() {
@@ -54,16 +101,48 @@ class ConversationMemory {
         if (this.messages.length > 0) {
             context += 'Recent conversation:\n';
             this.messages.forEach((msg, index) => {
-                context += `${msg.role}: ${msg.content}\n`;
+                const calls = msg.toolCalls ? ` [called ${msg.toolCalls.map(call => call.function.name).join(', ')}]` : '';
+                context += `${msg.role}: ${msg.content}${calls}\n`;
             });
         }
         
         return context;
     }
 
+    // The conversation as chat messages (Ollama's /api/chat format), after the summary
+    getChatMessages() {
+        const messages = [];
+        if (this.summary) {
+            messages.push({ role: 'system', content: `Summary of earlier conversation: ${this.summary}` });
+        }
+
+        this.messages.forEach(msg => {
+            if (msg.role === 'tool') {
+                // A result whose call was already dropped from the window means nothing to the model
+                if (messages.length === 0 || messages[messages.length - 1].role === 'system') return;
+                messages.push({ role: 'tool', content: msg.content, tool_name: msg.toolName });
+            } else if (msg.toolCalls) {
+                messages.push({ role: msg.role, content: msg.content, tool_calls: msg.toolCalls });
+            } else {
+                messages.push({ role: msg.role, content: msg.content });
+            }
+        });
+        return messages;
+    }
+
     clear() {
         this.messages = [];
         this.summary = '';
+        this.generation++;
+        this.onChange();
+    }
+
+    // Continue a saved conversation ({ messages, summary })
+    restore({ messages = [], summary = '' }) {
+        this.messages = messages.slice();
+        this.summary = summary;
+        this.generation++;
+        if (this.tokenCount() > this.maxTokens) this.compact();
     }
 
     getHistory() {
@@ -76,9 +155,40 @@ class ConversationMemory {
 }
 
 // Configuration
-const OLLAMA_URL = 'http://localhost:11434/api/generate';
 const MCP_SERVER_URL = 'http://localhost:6000';
-const MODEL_NAME = 'llama2'; // or 'mistral', 'codellama', etc.
+const AUTH_URL = process.env.TASK_AUTH_URL || 'http://localhost:5000/api/auth';
+const REMINDERS_URL = process.env.TASK_REMINDERS_URL || 'http://localhost:5000/api/reminders';
+const REMINDER_POLL_MS = 30 * 1000;
+const DEBUG = process.env.TASK_DEBUG === '1'; // Print the model's raw answers
+
+// Conversations are saved per profile (TASK_PROFILE, or the signed-in user) so they can be resumed
+const MEMORY_DIR = process.env.TASK_MEMORY_DIR || path.join(os.homedir(), '.task-scheduler', 'sessions');
+const MEMORY_MAX_SESSIONS = Number(process.env.TASK_MEMORY_MAX_SESSIONS || 20); // 0 keeps all
+const MEMORY_MAX_AGE_DAYS = Number(process.env.TASK_MEMORY_MAX_AGE_DAYS || 30); // 0 keeps them forever
+// Older messages are summarized once the conversation is estimated to pass this many tokens
+const MEMORY_MAX_TOKENS = Number(process.env.TASK_MEMORY_MAX_TOKENS || 4000);
+const MEMORY_SUMMARY_CHARS = Number(process.env.TASK_MEMORY_SUMMARY_CHARS || 1500);
+const SUMMARY_TIMEOUT_MS = 60 * 1000; // A stuck model must not hold up the conversation
+
+// The model and the server it runs on, per profile (see client/providers). The environment
+// variables override the settings file.
+const LLM_CONFIG_FILE = process.env.TASK_LLM_CONFIG || path.join(os.homedir(), '.task-scheduler', 'providers.json');
+const LLM_OVERRIDES = {
+    provider: process.env.TASK_LLM_PROVIDER,
+    model: process.env.TASK_LLM_MODEL,
+    url: process.env.TASK_LLM_URL,
+    embeddingModel: process.env.TASK_EMBEDDING_MODEL
+};
+
+// Long-term memory: remembered facts and earlier turns, recalled by similarity of their embeddings.
+// The embedding model "hash" matches texts by their words instead.
+const LONG_TERM_DIR = process.env.TASK_LONG_TERM_DIR || path.join(os.homedir(), '.task-scheduler', 'long-term');
+const RECALL_LIMIT = Number(process.env.TASK_RECALL_LIMIT || 5); // Items added to the prompt
+const RECALL_MIN_SCORE = Number(process.env.TASK_RECALL_MIN_SCORE || 0.5); // Least similarity (0 to 1)
+
+// Token the MCP server uses to act on your tasks: an API token from the environment,
+// or a login token obtained at startup
+let authToken = process.env.TASK_API_TOKEN || null;
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -87,11 +197,45 @@ const rl = readline.createInterface({
 });
 
 // Memory Management
-const conversationMemory = new ConversationMemory(15); // Keep last 15 messages
+const conversationMemory = new ConversationMemory({
+    maxTokens: MEMORY_MAX_TOKENS,
+    maxSummaryChars: MEMORY_SUMMARY_CHARS,
+    summarize: summarizeWithModel,
+    onChange: saveSession
+});
+
+// Saved sessions of this profile, and the one this conversation is saved as
+let sessionStore = null;
+let session = { id: newSessionId(), createdAt: new Date().toISOString() };
+
+// Facts and earlier turns of this profile, and what was recalled for the current request
+let longTermMemory = null;
+let recalled = { query: null, items: [] };
 
 // MCP Tools information for the prompt
 let TOOLS_INFO = '';
 
+// Input schema of each tool, to check the model's tool calls before running them
+let TOOL_SCHEMAS = {};
+// The tools in the providers' tool calling format, and their titles for action summaries
+let CHAT_TOOLS = [];
+let TOOL_TITLES = {};
+// Cleared when the model turns out not to support tool calling; it then answers in JSON mode
+let useToolCalling = true;
+const MAX_TOOL_RESULT_CHARS = 4000; // Longer tool results are cut off in the conversation memory
+const MAX_AGENT_STEPS = 6; // Tool calls the model may chain for one request
+// Tools that only read (readOnlyHint); they run without asking for confirmation
+let READ_ONLY_TOOLS = new Set();
+
+// Prompt templates offered by the MCP server, run with slash commands like "/plan-my-day"
+let PROMPTS = [];
+
+// The language model provider of this profile
+let llm = null;
+
+// Aborts the answer the model is writing (Ctrl+C); null while nothing is being generated
+let activeGeneration = null;
+
 // Initialize by fetching available tools and setting up memory
 async function initialize() {
     try {
@@ -100,6 +244,13 @@ async function initialize() {
         // Fetch available tools
         const toolsResponse = await axios.get(`${MCP_SERVER_URL}/mcp/v1/tools`);
         const tools = toolsResponse.data.tools;
+        TOOL_SCHEMAS = Object.fromEntries(tools.map(tool => [tool.name, tool.inputSchema]));
+        TOOL_TITLES = Object.fromEntries(tools.map(tool => [tool.name, tool.title || tool.name]));
+        READ_ONLY_TOOLS = new Set(tools.filter(tool => tool.annotations && tool.annotations.readOnlyHint).map(tool => tool.name));
+        CHAT_TOOLS = tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+        }));
         
         // Build tools description for the LLM
         TOOLS_INFO = tools.map(tool => {
@@ -109,6 +260,21 @@ async function initialize() {
         
         console.log('Connected! Available tools:');
         tools.forEach(tool => console.log(`  - ${tool.name}`));
+
+        const promptsResponse = await axios.get(`${MCP_SERVER_URL}/mcp/v1/prompts`);
+        PROMPTS = promptsResponse.data.prompts;
+
+        const username = await login();
+        const profile = process.env.TASK_PROFILE || username;
+        openProvider(profile);
+        await openSessions(profile);
+        longTermMemory = createLongTermMemory({
+            dir: LONG_TERM_DIR,
+            profile,
+            embed: llm.embeddingModel === 'hash' ? hashEmbedding() : texts => llm.embed(texts)
+        });
+        pollReminders();
+        setInterval(pollReminders, REMINDER_POLL_MS).unref(); // Does not keep the client running after "exit"
         console.log('\n✨ Smart memory system initialized for conversation history!');
         console.log('\nYou can now chat with your task scheduler!');
         console.log('Examples:');
@@ -116,6 +282,7 @@ async function initialize() {
         console.log('  - "Show me all my tasks"');
         console.log('  - "What tasks did I create earlier?"');
         console.log('  - "Delete the task about dentist appointment"');
+        console.log(`Slash commands: ${PROMPTS.map(prompt => `/${prompt.name}`).join(', ')} (type /help for details)`);
         console.log('\n');
         
     } catch (error) {
@@ -124,11 +291,412 @@ async function initialize() {
     }
 }
 
-// Process user message with Ollama and memory
-async function processWithOllama(userMessage) {
-    // Add user message to memory
-    conversationMemory.addMessage('user', userMessage);
-    
+// Log in so tool calls act on this user's tasks (TASK_USERNAME/TASK_PASSWORD or a prompt)
+async function login() {
+    try {
+        if (!authToken) {
+            const username = process.env.TASK_USERNAME || await askForMissingInfo('Username');
+            const password = process.env.TASK_PASSWORD || await askForMissingInfo('Password');
+            const response = await axios.post(`${AUTH_URL}/login`, { username, password });
+            authToken = response.data.token;
+        }
+
+        const me = await axios.get(`${AUTH_URL}/me`, {
+            headers: { Authorization: `Bearer ${authToken}` }
+        });
+        console.log(`\n🔐 Signed in as ${me.data.username}`);
+        return me.data.username;
+    } catch (error) {
+        console.error('Login failed:', error.response?.data?.message || error.message);
+        process.exit(1);
+    }
+}
+
+// The model provider set up for the profile in LLM_CONFIG_FILE, or its default one
+function openProvider(profile) {
+    try {
+        const settings = providerSettings(loadProviderConfig(LLM_CONFIG_FILE), profile, LLM_OVERRIDES);
+        llm = createProvider(settings.provider, settings);
+    } catch (error) {
+        console.error('Invalid model provider settings:', error.message);
+        process.exit(1);
+    }
+}
+
+// Start saving the conversation, after dropping sessions beyond the retention limits
+async function openSessions(profile) {
+    sessionStore = createSessionStore({
+        dir: MEMORY_DIR,
+        profile,
+        maxSessions: MEMORY_MAX_SESSIONS,
+        maxAgeDays: MEMORY_MAX_AGE_DAYS
+    });
+    try {
+        await sessionStore.prune();
+        const earlier = (await sessionStore.list()).length;
+        console.log(`💾 Conversations are saved in ${sessionStore.dir}` +
+            (earlier > 0 ? ` (${earlier} earlier session(s), type "sessions" to see them)` : ''));
+    } catch (error) {
+        console.error('⚠️  Saved conversations are not available:', error.message);
+    }
+}
+
+// Save the current conversation; its first request becomes the session's title
+function saveSession() {
+    if (!sessionStore) return;
+    const history = conversationMemory.getHistory();
+    const first = history.messages.find(msg => msg.role === 'user');
+    if (!session.title && first) session.title = first.content.slice(0, 60);
+
+    sessionStore.save({ ...session, summary: history.summary, messages: history.messages })
+        .catch(error => console.error('⚠️  Could not save the conversation:', error.message));
+}
+
+// "sessions", "resume [n|id]" and "delete session <n|id>"; false for any other input
+async function sessionCommand(input) {
+    const command = /^(sessions|resume|delete session)(?:\s+(\S+))?$/i.exec(input.trim());
+    if (!command) return false;
+    if (!sessionStore) {
+        console.log('\n❌ Saved conversations are not available.');
+        return true;
+    }
+
+    const [, name, reference] = command;
+    switch (name.toLowerCase()) {
+        case 'sessions': {
+            const sessions = await sessionStore.list();
+            if (sessions.length === 0) {
+                console.log('\n📭 No saved conversations yet.');
+                break;
+            }
+            console.log('\n💾 Saved conversations:');
+            sessions.forEach((saved, index) => {
+                const current = saved.id === session.id ? ' (current)' : '';
+                const when = new Date(saved.updatedAt).toLocaleString();
+                console.log(`  ${index + 1}. [${when}] ${saved.title || '(untitled)'} - ${saved.messages.length} message(s), ${saved.id}${current}`);
+            });
+            console.log('\nType "resume <number>" to continue one or "delete session <number>" to remove it.');
+            break;
+        }
+
+        case 'resume': {
+            // Without a reference: the most recent conversation before this one
+            const saved = reference
+                ? await sessionStore.find(reference)
+                : (await sessionStore.list()).find(item => item.id !== session.id);
+            if (!saved) {
+                console.log(`\n❌ No saved conversation ${reference || 'to resume'}. Type "sessions" to see them.`);
+                break;
+            }
+            // This conversation is already saved; from now on the resumed one is updated
+            session = { id: saved.id, title: saved.title, createdAt: saved.createdAt };
+            conversationMemory.restore(saved);
+            console.log(`\n✅ Resumed "${saved.title || saved.id}" (${saved.messages.length} message(s), last used ${new Date(saved.updatedAt).toLocaleString()}).`);
+            break;
+        }
+
+        default: {
+            if (!reference) {
+                console.log('\n❓ Usage: delete session <number or id>');
+                break;
+            }
+            const saved = await sessionStore.find(reference);
+            if (!saved || !(await sessionStore.remove(saved.id))) {
+                console.log(`\n❌ No saved conversation ${reference}. Type "sessions" to see them.`);
+                break;
+            }
+            console.log(`\n🗑️  Deleted "${saved.title || saved.id}".`);
+
+            // Deleting the current conversation starts a new one
+            if (saved.id === session.id) {
+                session = { id: newSessionId(), createdAt: new Date().toISOString() };
+                conversationMemory.restore({});
+            }
+        }
+    }
+    return true;
+}
+
+// "/remember <fact>", "/forget <n|text>" and "/memories"; false for any other input
+async function longTermCommand(input) {
+    const command = parseMemoryCommand(input);
+    if (!command) return false;
+    if (!longTermMemory) {
+        console.log('\n❌ Long-term memory is not available.');
+        return true;
+    }
+
+    const { name, argument } = command;
+    if (name !== 'memories' && !argument) {
+        console.log(name === 'remember'
+            ? '\n❓ Usage: /remember <fact>, e.g. "/remember gym is always at 7am"'
+            : '\n❓ Usage: /forget <n|text>, with a number from /memories or words from the fact');
+        return true;
+    }
+
+    try {
+        if (name === 'remember') {
+            const fact = await longTermMemory.remember(argument);
+            console.log(`\n🧠 I'll remember: ${fact.text}`);
+        } else if (name === 'forget') {
+            const fact = await longTermMemory.forget(argument, { minScore: RECALL_MIN_SCORE });
+            console.log(fact ? `\n🧹 Forgot: ${fact.text}` : '\n❓ No remembered fact matches that. Type "/memories" to see them.');
+        } else {
+            const facts = await longTermMemory.facts();
+            if (facts.length === 0) {
+                console.log('\n🧠 Nothing remembered yet. Use "/remember <fact>", e.g. "/remember gym is always at 7am".');
+            } else {
+                console.log('\n🧠 Remembered facts:');
+                facts.forEach((fact, index) => console.log(`  ${index + 1}. ${fact.text}`));
+            }
+        }
+    } catch (error) {
+        console.error(`\n❌ Long-term memory failed: ${error.message}` +
+            (error.status ? ` (is the embedding model ${llm.embeddingModel} available?)` : ''));
+    }
+    recalled = { query: null, items: [] }; // Facts changed, recall them again
+    return true;
+}
+
+// Remember a finished request with the assistant's last reply to it, so it can be recalled later
+async function rememberTurn(input) {
+    if (!longTermMemory) return;
+    const messages = conversationMemory.getHistory().messages;
+    const start = messages.map(msg => msg.role === 'user' && msg.content === input).lastIndexOf(true);
+    const reply = messages.slice(start + 1).filter(msg => msg.role === 'assistant' && msg.content).pop();
+
+    try {
+        await longTermMemory.add('turn', `User: ${input}${reply ? `\nAssistant: ${reply.content}` : ''}`);
+    } catch (error) {
+        // Without embeddings the conversation still works, it just is not remembered
+    }
+}
+
+// Remembered facts and earlier turns related to the request, as a prompt section ('' for none).
+// They are looked up once per request; its later steps reuse them.
+async function recallFor(userMessage) {
+    if (!longTermMemory) return '';
+    if (recalled.query !== userMessage) {
+        let items = [];
+        try {
+            items = await longTermMemory.recall(userMessage, { limit: RECALL_LIMIT, minScore: RECALL_MIN_SCORE });
+        } catch (error) {
+            console.error(`(Could not search long-term memory: ${error.message})`);
+        }
+        recalled = { query: userMessage, items };
+    }
+    if (recalled.items.length === 0) return '';
+
+    const lines = recalled.items.map(item => (item.kind === 'fact'
+        ? `- ${item.text}`
+        : `- Earlier (${new Date(item.createdAt).toDateString()}): ${item.text.replace(/\n/g, ' / ')}`));
+    return `What you remember about the user (facts they told you and earlier conversations; use them when relevant):\n${lines.join('\n')}`;
+}
+
+// The summary updated with messages that left the conversation window, written by the model
+async function summarizeWithModel(summary, messages, maxChars) {
+    const transcript = messages.map(msg => {
+        const calls = msg.toolCalls
+            ? ` [called ${msg.toolCalls.map(call => `${call.function.name} ${JSON.stringify(call.function.arguments || {})}`).join(', ')}]`
+            : '';
+        const role = msg.role === 'tool' ? `tool ${msg.toolName}` : msg.role;
+        return `${role}: ${msg.content.slice(0, 1000)}${calls}`;
+    }).join('\n');
+
+    const prompt = `You keep the running summary of a conversation between a user and their task scheduling assistant.
+
+Current summary:
+${summary || '(empty)'}
+
+Messages to add:
+${transcript}
+
+Write the updated summary: the current summary together with what these messages add. Keep the id, title, date and time of every task that was mentioned, created, changed or deleted, and what the user asked for and decided. Leave out greetings and small talk. Use short lines, at most ${maxChars} characters in total. Answer with the summary only.`;
+
+    return llm.generate({ prompt, signal: AbortSignal.timeout(SUMMARY_TIMEOUT_MS) });
+}
+
+// Show reminders that fired since the last poll, then mark them as seen
+async function pollReminders() {
+    try {
+        const headers = { Authorization: `Bearer ${authToken}` };
+        const response = await axios.get(`${REMINDERS_URL}/notifications`, { headers });
+        const reminders = response.data;
+        if (reminders.length === 0) return;
+
+        reminders.forEach(reminder => {
+            const start = new Date(reminder.start).toLocaleString();
+            console.log(`\n⏰ Reminder: "${reminder.title}" starts at ${start}`);
+        });
+        rl.prompt(true);
+
+        await axios.post(`${REMINDERS_URL}/notifications/ack`, { ids: reminders.map(reminder => reminder._id) }, { headers });
+    } catch (error) {
+        // The backend may be restarting; try again on the next poll
+    }
+}
+
+// How dates, tags, series, reminders and bulk changes map to tool parameters
+function schedulingGuidance() {
+    return `For dates and times:
+- Today is ${today.toISOString().split('T')[0]}. Use this as reference for any date calculations.
+- Convert natural language like "tomorrow at 2pm" to ISO format
+- If no time is specified, use 9am as default
+- If no end time is specified, add 1 hour to start time
+
+For tags, choose from: work, personal, family, health, other
+Infer appropriate tags from context.
+
+For repeating tasks ("every Monday", "monthly review"), pass a "recurrence" object like {"freq": "weekly", "byDay": ["MO"]}.
+To change or delete just one occurrence of a recurring task, pass its "occurrence" (the occurrence's original start); otherwise the whole series is changed.
+For reminders ("remind me 10 minutes before", "a day before"), pass "reminders" as offsets like ["10m", "1d"].
+To change or delete many tasks at once ("move all of Friday's tasks to Monday", "clear next week"), use bulk_update_tasks or bulk_delete_tasks with a filter (date, start/end, tags or query) instead of one call per task.
+Every change is recorded: to revert the latest changes use undo_last_action (and redo_last_action). For older changes use list_trash and restore_task for deleted tasks, or get_task_history and restore_task with a version for edited ones.`;
+}
+
+// Ask the model for the next step of the user's request (already in memory, with the results of
+// earlier steps). Resolves to its decision: { action, parameters, explanation,
+// validation_summary, missing_info }, where action is a tool name, "respond" (the request is
+// done; explanation is the answer) or "ask_clarification". `correction` ({ previous, errors })
+// asks the model to fix a decision whose parameters did not match the tool's schema.
+async function processWithOllama(userMessage, correction = null) {
+    console.log('Thinking...');
+    await conversationMemory.settled();
+    const memories = await recallFor(userMessage);
+    if (useToolCalling && !llm.jsonMode) {
+        try {
+            return await chatWithTools(correction, memories);
+        } catch (error) {
+            if (error.code !== 'TOOLS_UNSUPPORTED') {
+                if (error.code !== 'CANCELLED') console.error('Model error:', error.message);
+                throw error;
+            }
+            useToolCalling = false;
+            console.log(`(${llm.model} does not support tool calling - answering in JSON mode instead)`);
+        }
+    }
+    return generateJsonDecision(userMessage, correction, memories);
+}
+
+// Run a request to the model that Ctrl+C can cancel: fn(signal) passes the signal on to the provider
+async function cancellable(fn) {
+    const controller = new AbortController();
+    activeGeneration = controller;
+    try {
+        return await fn(controller.signal);
+    } finally {
+        activeGeneration = null;
+    }
+}
+
+// Shows the assistant's answer while it streams in; update() takes all of the text so far
+function streamPrinter() {
+    let printed = '';
+    return {
+        update(text) {
+            const visible = text.trimStart();
+            if (!visible || !visible.startsWith(printed)) return;
+            if (!printed) process.stdout.write('\n🤖 Assistant: ');
+            process.stdout.write(visible.slice(printed.length));
+            printed = visible;
+        },
+        // Ends the line; true when something was shown
+        end() {
+            if (printed) process.stdout.write('\n');
+            return printed.length > 0;
+        }
+    };
+}
+
+// A tool call as an assistant message in the chat history
+function toolCallMessage(decision) {
+    const parameters = decision.parameters;
+    return {
+        role: 'assistant',
+        content: decision.explanation || '',
+        // Arguments that were not an object cannot be sent back; the errors say what was wrong
+        tool_calls: [{ function: { name: decision.action, arguments: parameters && typeof parameters === 'object' && !Array.isArray(parameters) ? parameters : {} } }]
+    };
+}
+
+// One-line summary of a tool call for confirmation, e.g. 'Create task: title "Gym", start "2025-07-02T07:00:00"'
+function describeToolCall(action, parameters) {
+    const details = Object.entries(parameters || {})
+        .map(([key, value]) => `${key} ${JSON.stringify(value)}`);
+    const title = TOOL_TITLES[action] || action;
+    return details.length > 0 ? `${title}: ${details.join(', ')}` : title;
+}
+
+// Native tool calling through /api/chat: the tools come from the MCP server's inputSchemas and
+// the conversation is sent as messages, including earlier tool calls and their results.
+// `memories` is the recalled long-term memory section of the system prompt.
+async function chatWithTools(correction, memories) {
+    const messages = [
+        {
+            role: 'system',
+            content: `You are a helpful task scheduling assistant with access to a task management system through tools.
+
+${schedulingGuidance()}
+
+When the user asks you to do something, call the matching tool. A request may take several steps: call a tool, look at its result, then call the next one (e.g. search_tasks to find a task's id, then delete_task with it). When the request is done, answer the user in plain language without calling a tool.
+
+If the request is vague or missing critical information, do not call a tool: ask the user for what is missing.
+
+Use the conversation history to understand references like "the meeting I mentioned", "that task", etc.${memories ? `\n\n${memories}` : ''}`
+        },
+        ...conversationMemory.getChatMessages()
+    ];
+    if (correction) {
+        const problems = describeProblems(correction.errors);
+        if (REPLY_ACTIONS.includes(correction.previous.action)) {
+            messages.push({ role: 'assistant', content: correction.previous.explanation || '' }, {
+                role: 'user',
+                content: `That answer cannot be used:\n${problems}\nAnswer again, or call a tool if the request needs one.`
+            });
+        } else {
+            messages.push(toolCallMessage(correction.previous), {
+                role: 'tool',
+                tool_name: correction.previous.action,
+                content: `The call was not made, it is invalid:\n${problems}\nCall a tool again with corrected parameters.`
+            });
+        }
+    }
+
+    // The text is shown as it arrives
+    const printer = streamPrinter();
+    let message;
+    let streamed;
+    try {
+        message = await cancellable(signal => llm.chat({
+            messages: messages,
+            tools: CHAT_TOOLS,
+            onText: text => printer.update(text),
+            signal
+        }));
+    } finally {
+        streamed = printer.end();
+    }
+    if (DEBUG) console.log('LLM Response:', JSON.stringify(message));
+
+    // Without a tool call the model answers (or asks for details)
+    const call = message.toolCalls[0]; // Steps run one at a time
+    if (!call) {
+        return { action: 'respond', parameters: {}, explanation: message.content.trim(), streamed };
+    }
+
+    const parameters = call.function.arguments || {};
+    return {
+        action: call.function.name,
+        parameters: parameters,
+        explanation: message.content.trim(),
+        validation_summary: describeToolCall(call.function.name, parameters),
+        streamed
+    };
+}
+
+// JSON mode for models without tool calling: one prompt through /api/generate asking for a
+// { action, parameters, ... } object
+async function generateJsonDecision(userMessage, correction, memories) {
     // Get conversation context
     const conversationContext = conversationMemory.getContextString();
     
@@ -139,22 +707,17 @@ ${TOOLS_INFO}
 
 CONVERSATION CONTEXT:
 ${conversationContext}
-
+${memories ? `\n${memories}\n` : ''}
 When the user asks you to do something, analyze their request and respond with a JSON object containing:
-1. "action": The tool name to use (or "ask_clarification" if information is missing)
-2. "parameters": The parameters to pass to the tool (or empty object if asking for clarification)
-3. "explanation": A brief explanation of what you're doing
+1. "action": The tool name to use ("respond" when the request is done, or "ask_clarification" if information is missing)
+2. "parameters": The parameters to pass to the tool (or empty object for respond and ask_clarification)
+3. "explanation": A brief explanation of what you're doing (for respond: your answer to the user)
 4. "missing_info": Array of missing information needed (only if action is "ask_clarification")
 5. "validation_summary": A clear summary of what will be executed for user confirmation
 
-For dates and times:
-- Today is ${today.toISOString().split('T')[0]}. Use this as reference for any date calculations.
-- Convert natural language like "tomorrow at 2pm" to ISO format
-- If no time is specified, use 9am as default
-- If no end time is specified, add 1 hour to start time
+${schedulingGuidance()}
 
-For tags, choose from: work, personal, family, health, other
-Infer appropriate tags from context.
+A request may take several steps. The conversation then already contains the results of the tools you called for it (lines starting with "tool:"); use them for the next step, e.g. search_tasks to find a task's id and then delete_task with it. When the request is done, use the "respond" action.
 
 If the request is vague or missing critical information, use "ask_clarification" action.
 
@@ -170,41 +733,43 @@ User: "Schedule a team meeting tomorrow at 3pm"
 Response: {"action": "create_task", "parameters": {"title": "Team meeting", "start": "2025-07-02T15:00:00", "end": "2025-07-02T16:00:00", "tags": ["work"]}, "explanation": "Creating a work meeting for tomorrow at 3pm", "validation_summary": "Create 'Team meeting' on July 2, 2025 from 3:00 PM to 4:00 PM with work tag"}
 
 User: "Show me my tasks"
-Response: {"action": "list_tasks", "parameters": {}, "explanation": "Listing all your tasks", "validation_summary": "Display all your current tasks"}`;
+Response: {"action": "list_tasks", "parameters": {}, "explanation": "Listing all your tasks", "validation_summary": "Display all your current tasks"}
 
-    const prompt = `${systemPrompt}\n\nUser: ${userMessage}\nResponse:`;
+User: "Delete the dentist appointment"
+Response: {"action": "search_tasks", "parameters": {"query": "dentist"}, "explanation": "Looking up the dentist appointment", "validation_summary": "Search tasks for 'dentist'"}
+(after the search returned the task with id 6650f1c2a1b2c3d4e5f60718)
+Response: {"action": "delete_task", "parameters": {"id": "6650f1c2a1b2c3d4e5f60718"}, "explanation": "Deleting the dentist appointment", "validation_summary": "Delete 'Dentist' on July 3, 2025"}
+(after the task was deleted)
+Response: {"action": "respond", "parameters": {}, "explanation": "I deleted your dentist appointment on July 3.", "validation_summary": ""}`;
 
-    try {
-        console.log('Thinking...');
-        
-        const response = await axios.post(OLLAMA_URL, {
-            model: MODEL_NAME,
-            prompt: prompt,
-            stream: false,
-            temperature: 0.1, // Low temperature for more consistent JSON
-            format: "json" // Request JSON format
-        });
+    let prompt = `${systemPrompt}\n\nUser: ${userMessage}\nResponse:`;
+    if (correction) {
+        prompt += ` ${correction.previous.raw || JSON.stringify(correction.previous)}\n\nThat response is invalid:\n${describeProblems(correction.errors)}\n` +
+            'Respond again with one corrected JSON object.\nResponse:';
+    }
 
-        const llmResponse = response.data.response;
-        console.log('LLM Response:', llmResponse); // Debug
-        
-        // Parse the JSON response
-        let parsedResponse;
+    try {
+        // The explanation is shown as soon as the model starts writing it
+        let llmResponse;
+        const printer = streamPrinter();
+        let streamed;
         try {
-            parsedResponse = JSON.parse(llmResponse);
-        } catch (e) {
-            // Try to extract JSON from the response if it contains extra text
-            const jsonMatch = llmResponse.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                parsedResponse = JSON.parse(jsonMatch[0]);
-            } else {
-                throw new Error('Could not parse LLM response as JSON');
-            }
+            llmResponse = await cancellable(signal => llm.generate({
+                prompt: prompt,
+                json: true, // Request JSON format
+                onText: text => printer.update(partialStringField(text, 'explanation')),
+                signal
+            }));
+        } finally {
+            streamed = printer.end();
         }
-
-        return parsedResponse;
+        if (DEBUG) console.log('LLM Response:', llmResponse);
+        
+        // An answer that is not a JSON object is repaired like any other invalid decision
+        const { decision, errors } = parseDecision(llmResponse);
+        return { ...decision, raw: llmResponse, parseErrors: errors, streamed };
     } catch (error) {
-        console.error('Ollama error:', error.message);
+        if (error.code !== 'CANCELLED') console.error('Model error:', error.message);
         throw error;
     }
 }
@@ -214,7 +779,8 @@ async function executeMCPTool(action, parameters) {
     try {
         const response = await axios.post(
             `${MCP_SERVER_URL}/mcp/v1/tools/${action}`,
-            { arguments: parameters }
+            { arguments: parameters },
+            { headers: { Authorization: `Bearer ${authToken}` } }
         );
         
         return response.data.result;
@@ -224,6 +790,39 @@ async function executeMCPTool(action, parameters) {
     }
 }
 
+// Ask the MCP server whether a create/update would double-book the user
+async function checkForConflicts(action, parameters) {
+    const reschedules = action === 'update_task' &&
+        (parameters.start || parameters.end || parameters.recurrence !== undefined);
+    if (action !== 'create_task' && !reschedules) return [];
+
+    try {
+        const result = await executeMCPTool('check_conflicts', {
+            id: action === 'update_task' ? parameters.id : undefined,
+            occurrence: parameters.occurrence,
+            start: parameters.start,
+            end: parameters.end,
+            recurrence: parameters.recurrence
+        });
+        return result.conflicts || [];
+    } catch (error) {
+        // The backend still rejects overlaps on save, so a failed check is not fatal
+        return [];
+    }
+}
+
+// Run a bulk tool in preview mode so the user sees how many tasks it touches before confirming
+async function previewBulkAction(action, parameters) {
+    if (action !== 'bulk_update_tasks' && action !== 'bulk_delete_tasks') return null;
+
+    try {
+        return await executeMCPTool(action, { ...parameters, preview: true });
+    } catch (error) {
+        // A filter the tool rejects fails the same way when it is executed
+        return null;
+    }
+}
+
 // Format task for display
 function formatTask(task) {
     const start = new Date(task.start);
@@ -232,10 +831,19 @@ function formatTask(task) {
     const startTime = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     const endTime = end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     
+    let repeats = '';
+    if (task.recurrence) {
+        const days = task.recurrence.byDay && task.recurrence.byDay.length > 0 ? ` on ${task.recurrence.byDay.join(', ')}` : '';
+        repeats = `\n     Repeats: ${task.recurrence.freq}${days}`;
+    }
+    if (task.reminders && task.reminders.length > 0) {
+        repeats += `\n     Reminders: ${task.reminders.map(reminder => `${reminder.minutesBefore} min before`).join(', ')}`;
+    }
+    
     return `  📅 ${task.title}
      Date: ${dateStr}
      Time: ${startTime} - ${endTime}
-     Tags: ${task.tags.join(', ')}
+     Tags: ${task.tags.join(', ')}${repeats}
      ${task.description ? 'Description: ' + task.description : ''}`;
 }
 
@@ -257,11 +865,317 @@ function askForMissingInfo(prompt) {
     });
 }
 
+// Undo or redo the last `steps` changes made through the MCP tools; returns a summary for memory
+async function undoOrRedo(direction, steps) {
+    try {
+        const result = await executeMCPTool(`${direction}_last_action`, { steps });
+
+        if (!result.success) {
+            console.log(`\n❌ ${result.error}`);
+            return `${direction} failed: ${result.error}`;
+        }
+
+        console.log(`\n↩️  ${result.message}`);
+        (result.undone || result.redone).forEach(operation => {
+            operation.tasks.forEach(task => console.log(`   • ${task.title}: ${task.result}`));
+        });
+        console.log(`   (${result.canUndo} more to undo, ${result.canRedo} to redo)`);
+        return result.message;
+    } catch (error) {
+        console.error(`\n❌ Could not ${direction}:`, error.response?.data?.error?.message || error.message);
+        return `${direction} failed`;
+    }
+}
+
+// Usage line of a prompt's slash command, e.g. "/plan-my-day [date]"
+function promptUsage(prompt) {
+    const args = prompt.arguments.map(argument => (argument.required ? `<${argument.name}>` : `[${argument.name}]`));
+    return [`/${prompt.name}`, ...args].join(' ');
+}
+
+function showSlashCommands() {
+    console.log('\n📝 Slash commands:');
+    PROMPTS.forEach(prompt => {
+        console.log(`  ${promptUsage(prompt)} - ${prompt.description}`);
+        prompt.arguments.forEach(argument => console.log(`      ${argument.name}: ${argument.description}`));
+    });
+    console.log('  /model [name|n] - Show the models you can switch to, or switch to one for this session');
+    console.log('  /remember <fact> - Keep a fact in mind across conversations');
+    console.log('  /forget <n|text> - Drop a remembered fact, by its number or words from it');
+    console.log('  /memories - List the remembered facts');
+}
+
+// "/model" lists the provider's models, "/model <name|n>" switches to one
+async function switchModel(choice) {
+    let models = [];
+    try {
+        models = await llm.listModels();
+    } catch (error) {
+        if (!choice) {
+            console.log(`\n❌ Could not list the models of ${llm.type}: ${error.message}`);
+            return;
+        }
+    }
+
+    if (!choice) {
+        console.log(`\n🧩 Using ${llm.model} (${llm.type}${llm.url ? ` at ${llm.url}` : ''}). Available models:`);
+        models.forEach((name, index) => console.log(`  ${index + 1}. ${name}${name === llm.model ? ' (current)' : ''}`));
+        console.log('Switch with "/model <name>" or "/model <number>".');
+        return;
+    }
+
+    // Ollama lists "llama3.1:latest" for "llama3.1"
+    const name = /^\d+$/.test(choice) ? models[Number(choice) - 1]
+        : models.find(item => item === choice || item === `${choice}:latest`) || (models.length === 0 ? choice : null);
+    if (!name) {
+        console.log(`\n❓ ${llm.type} has no model "${choice}". Type /model to see the available ones.`);
+        return;
+    }
+
+    llm.setModel(name);
+    useToolCalling = true; // The new model may support tool calling
+    console.log(`\n🧩 Now using ${name}.`);
+}
+
+// Run a prompt template from the MCP server and show the model's answer; returns a summary for memory.
+// Words after the command fill the prompt's arguments in order, the last one takes the rest of the line.
+async function runPrompt(prompt, text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const args = {};
+    prompt.arguments.forEach((argument, index) => {
+        const value = index === prompt.arguments.length - 1 ? words.slice(index).join(' ') : words[index];
+        if (value) args[argument.name] = value;
+    });
+
+    const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+    if (missing.length > 0) {
+        console.log(`\n❓ Usage: ${promptUsage(prompt)}`);
+        return null;
+    }
+
+    try {
+        const response = await axios.post(
+            `${MCP_SERVER_URL}/mcp/v1/prompts/${prompt.name}`,
+            { arguments: args },
+            { headers: { Authorization: `Bearer ${authToken}` } }
+        );
+        const promptText = response.data.result.messages.map(message => message.content.text).join('\n\n');
+
+        console.log('Thinking...');
+        await conversationMemory.settled();
+        const context = conversationMemory.getContextString();
+        let answer;
+        const printer = streamPrinter();
+        try {
+            answer = await cancellable(signal => llm.generate({
+                prompt: `You are a helpful task scheduling assistant. Today is ${today.toDateString()}.\n\n${context}\nUser: ${promptText}\nAssistant:`,
+                onText: text => printer.update(text),
+                signal
+            }));
+        } finally {
+            printer.end();
+        }
+        return answer.trim();
+    } catch (error) {
+        if (error.code === 'CANCELLED') {
+            console.log('\n⏹️  Cancelled.');
+            return null;
+        }
+        console.error(`\n❌ Could not run /${prompt.name}:`, error.response?.data?.error?.message || error.message);
+        return null;
+    }
+}
+
+// The model's next step. An invalid one (not JSON, an unknown action, parameters that do not match
+// the tool's schema) goes back to the model with its problems, up to MAX_CORRECTIONS times;
+// null after telling the user it could not make a valid request.
+async function decideNextStep(input) {
+    const { decision, errors } = await decideWithRepairs(correction => processWithOllama(input, correction), TOOL_SCHEMAS, {
+        onRepair: (problems, attempt) => console.log(`🔁 Repairing the model's answer (attempt ${attempt} of ${MAX_CORRECTIONS}): ${formatErrors(problems)}`)
+    });
+    if (errors.length > 0) {
+        console.log(`\n❌ The model did not produce a valid request after ${MAX_CORRECTIONS + 1} attempts:`);
+        errors.forEach(error => console.log(`   • ${formatErrors([error])}`));
+        console.log('Nothing was changed. Please try rephrasing it, or try another model with /model.');
+        conversationMemory.addMessage('assistant', `Could not make a valid request: ${formatErrors(errors)}`);
+        return null;
+    }
+    return decision;
+}
+
+// Show what a changing step will do (with overlaps and bulk previews) and ask before running it
+async function confirmStep(decision) {
+    // Warn about double-booking before asking for confirmation
+    const conflicts = await checkForConflicts(decision.action, decision.parameters || {});
+    const preview = await previewBulkAction(decision.action, decision.parameters || {});
+
+    console.log(`\n📋 Action Summary: ${decision.validation_summary || describeToolCall(decision.action, decision.parameters)}`);
+
+    if (conflicts.length > 0) {
+        console.log(`\n⚠️  Warning: this overlaps with ${conflicts.length} existing task(s):`);
+        conflicts.forEach(task => console.log(formatTask(task)));
+    }
+
+    if (preview) {
+        console.log(`\n🔢 ${preview.message}${preview.count > 0 ? ':' : ''}`);
+        preview.tasks.forEach(task => console.log(formatTask(task)));
+    }
+
+    const confirmed = await askForConfirmation('\n❓ Do you want me to proceed with this action?');
+
+    // The user has seen the overlap and still wants it
+    if (confirmed && conflicts.length > 0) {
+        decision.parameters = { ...decision.parameters, allowOverlap: true };
+    }
+    return confirmed;
+}
+
+// Run a step's tool and keep the call and its result in the conversation, so the model can
+// build on it. Failures are results too: the model may be able to recover from them.
+async function runStep(decision) {
+    let result;
+    try {
+        result = await executeMCPTool(decision.action, decision.parameters || {});
+    } catch (error) {
+        result = { success: false, error: error.response?.data?.error?.message || error.message };
+    }
+
+    conversationMemory.addMessage('assistant', decision.explanation || '', {
+        toolCalls: toolCallMessage(decision).tool_calls
+    });
+    conversationMemory.addMessage('tool', JSON.stringify(result).slice(0, MAX_TOOL_RESULT_CHARS), {
+        toolName: decision.action
+    });
+    return result;
+}
+
+// Print a tool result for the user
+function showToolResult(action, result) {
+    if (result.success) {
+        if ((action === 'list_tasks' || action === 'search_tasks') && result.tasks) {
+            if (result.tasks.length === 0) {
+                console.log('\n📭 No tasks found.');
+            } else {
+                console.log(`\n📋 Found ${result.tasks.length} task(s):`);
+                result.tasks.forEach(task => {
+                    console.log(formatTask(task));
+                });
+            }
+            if (result.nextCursor) {
+                console.log('\n➡️  More tasks available - ask for the next page to see them.');
+            }
+        } else if (action === 'find_free_slots' && result.slots) {
+            console.log(`\n🕒 ${result.message}:`);
+            result.slots.forEach((slot, index) => {
+                const start = new Date(slot.start);
+                const end = new Date(slot.end);
+                console.log(`  ${index + 1}. ${start.toLocaleDateString()} ${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - ${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+            });
+        } else if (action === 'get_task_history' && result.history) {
+            console.log(`\n🕓 ${result.message}:`);
+            result.history.forEach(entry => {
+                const changed = entry.changes.length > 0 ? ` (${entry.changes.join(', ')})` : '';
+                console.log(`  v${entry.version} ${new Date(entry.at).toLocaleString()} - ${entry.action} via ${entry.via}${changed}`);
+            });
+        } else if (action === 'list_trash' && result.tasks) {
+            console.log(`\n🗑️  ${result.message}`);
+            result.tasks.forEach(task => {
+                console.log(`${formatTask({ tags: [], ...task })}\n     Deleted: ${new Date(task.deletedAt).toLocaleString()}`);
+            });
+        } else if (result.message) {
+            console.log(`\n✅ ${result.message}`);
+        } else if (result.task) {
+            console.log('\n✅ Task created successfully!');
+            console.log(formatTask(result.task));
+        } else {
+            console.log('\n✅ Action completed successfully!');
+        }
+    } else {
+        console.log(`\n❌ Error: ${result.error || 'Unknown error'}`);
+        if (result.conflicts && result.conflicts.length > 0) {
+            console.log('Conflicting tasks:');
+            result.conflicts.forEach(task => console.log(formatTask(task)));
+        }
+    }
+    
+
+}
+
+// Show the model's answer (or its question when details are missing) and remember it
+function showReply(decision) {
+    if (decision.action === 'ask_clarification') {
+        if (!decision.streamed) console.log(`\n🤔 ${decision.explanation}`);
+
+        if (decision.missing_info && decision.missing_info.length > 0) {
+            console.log('\nI need the following information:');
+            decision.missing_info.forEach((info, index) => {
+                console.log(`  ${index + 1}. ${info}`);
+            });
+
+            console.log('\nPlease provide more details and try again.');
+            conversationMemory.addMessage('assistant', `Asked for clarification: ${decision.missing_info.join(', ')}`);
+            return;
+        }
+    } else if (!decision.streamed) {
+        console.log(`\n🤖 Assistant: ${decision.explanation}`);
+    }
+    if (decision.explanation) conversationMemory.addMessage('assistant', decision.explanation);
+}
+
+// One request from the user: the model takes steps (tool calls), seeing the result of each,
+// until it answers in plain language. Steps that change something need the user's confirmation.
+async function runAgentTurn(input) {
+    conversationMemory.addMessage('user', input);
+
+    let previous = null;
+    for (let step = 1; step <= MAX_AGENT_STEPS; step++) {
+        const decision = await decideNextStep(input);
+        if (!decision) return;
+
+        if (REPLY_ACTIONS.includes(decision.action)) {
+            showReply(decision);
+            return;
+        }
+
+        // Small models sometimes repeat their last call instead of answering
+        if (previous && previous.action === decision.action &&
+            JSON.stringify(previous.parameters) === JSON.stringify(decision.parameters)) {
+            const done = `Done: ${describeToolCall(previous.action, previous.parameters)}`;
+            console.log(`\n🤖 Assistant: ${done}`);
+            conversationMemory.addMessage('assistant', done);
+            return;
+        }
+
+        if (decision.explanation && !decision.streamed) {
+            console.log(`\n🤖 Assistant: ${decision.explanation}`);
+        }
+
+        if (READ_ONLY_TOOLS.has(decision.action)) {
+            console.log(`\n🔎 ${decision.validation_summary || describeToolCall(decision.action, decision.parameters)}`);
+        } else {
+            const confirmed = await confirmStep(decision);
+            if (!confirmed) {
+                console.log('❌ Action cancelled.');
+                conversationMemory.addMessage('assistant', 'Action was cancelled by user');
+                return;
+            }
+            console.log('\n⏳ Executing...');
+        }
+
+        showToolResult(decision.action, await runStep(decision));
+        previous = decision;
+    }
+
+    console.log(`\n⚠️  Stopped after ${MAX_AGENT_STEPS} steps without finishing. Try splitting the request up.`);
+    conversationMemory.addMessage('assistant', `Stopped after ${MAX_AGENT_STEPS} steps without finishing the request`);
+}
+
 // Main chat loop with memory
 async function chatLoop() {
     rl.question('You: ', async (input) => {
         if (input.toLowerCase() === 'exit' || input.toLowerCase() === 'quit') {
             console.log('\n📝 Conversation Summary:');
+            await conversationMemory.settled();
             const history = conversationMemory.getHistory();
             if (history.summary) {
                 console.log(history.summary);
@@ -269,6 +1183,8 @@ async function chatLoop() {
             console.log(`Total messages in this session: ${history.totalMessages}`);
             console.log('\nGoodbye!');
             rl.close();
+            if (sessionStore) await sessionStore.flush();
+            if (longTermMemory) await longTermMemory.flush();
             return;
         }
 
@@ -282,9 +1198,12 @@ async function chatLoop() {
             }
             
             history.messages.forEach((msg, index) => {
-                const role = msg.role === 'user' ? 'You' : 'Assistant';
-                const time = new Date(msg.timestamp).toLocaleTimeString();
-                console.log(`${index + 1}. [${time}] ${role}: ${msg.content}`);
+                const role = { user: 'You', tool: `Tool ${msg.toolName}` }[msg.role] || 'Assistant';
+                // Resumed conversations can be from another day
+                const sent = new Date(msg.timestamp);
+                const time = sent.toDateString() === new Date().toDateString() ? sent.toLocaleTimeString() : sent.toLocaleString();
+                const calls = msg.toolCalls ? ` [called ${msg.toolCalls.map(call => call.function.name).join(', ')}]` : '';
+                console.log(`${index + 1}. [${time}] ${role}: ${msg.content}${calls}`);
             });
             console.log(`\nTotal messages: ${history.totalMessages}`);
             chatLoop();
@@ -299,90 +1218,66 @@ async function chatLoop() {
             return;
         }
 
+        // Saved conversations: list, resume or delete them
         try {
-            // Get LLM's interpretation
-            const llmResult = await processWithOllama(input);
-            
-            // Handle clarification requests
-            if (llmResult.action === 'ask_clarification') {
-                console.log(`\n🤔 ${llmResult.explanation}`);
-                
-                if (llmResult.missing_info && llmResult.missing_info.length > 0) {
-                    console.log('\nI need the following information:');
-                    llmResult.missing_info.forEach((info, index) => {
-                        console.log(`  ${index + 1}. ${info}`);
-                    });
-                    
-                    console.log('\nPlease provide more details and try again.');
-                    conversationMemory.addMessage('assistant', `Asked for clarification: ${llmResult.missing_info.join(', ')}`);
-                }
-                
-                console.log('\n' + '-'.repeat(50));
+            if (await sessionCommand(input)) {
                 chatLoop();
                 return;
             }
-            
-            // Show what the assistant plans to do
-            if (llmResult.explanation) {
-                console.log(`\n🤖 Assistant: ${llmResult.explanation}`);
-            }
-            
-            // Show validation summary and ask for confirmation
-            if (llmResult.validation_summary) {
-                console.log(`\n📋 Action Summary: ${llmResult.validation_summary}`);
-                
-                const confirmed = await askForConfirmation('\n❓ Do you want me to proceed with this action?');
-                
-                if (!confirmed) {
-                    console.log('❌ Action cancelled.');
-                    conversationMemory.addMessage('assistant', 'Action was cancelled by user');
-                    console.log('\n' + '-'.repeat(50));
-                    chatLoop();
-                    return;
-                }
-            }
+        } catch (error) {
+            console.error('\n❌ Error:', error.message);
+            chatLoop();
+            return;
+        }
 
-            // Execute the tool
-            console.log('\n⏳ Executing...');
-            const result = await executeMCPTool(llmResult.action, llmResult.parameters);
-            
-            // Prepare assistant response for memory
-            let assistantResponse = llmResult.explanation || 'Action completed';
-            
-            // Display results
-            if (result.success) {
-                if (llmResult.action === 'list_tasks' && result.tasks) {
-                    if (result.tasks.length === 0) {
-                        console.log('\n📭 No tasks found.');
-                        assistantResponse += '. No tasks found.';
-                    } else {
-                        console.log(`\n📋 Found ${result.tasks.length} task(s):`);
-                        result.tasks.forEach(task => {
-                            console.log(formatTask(task));
-                        });
-                        assistantResponse += `. Found ${result.tasks.length} tasks: ${result.tasks.map(t => t.title).join(', ')}.`;
-                    }
-                } else if (result.message) {
-                    console.log(`\n✅ ${result.message}`);
-                    assistantResponse += `. ${result.message}`;
-                } else if (result.task) {
-                    // For created tasks, add task details to memory
-                    console.log('\n✅ Task created successfully!');
-                    console.log(formatTask(result.task));
-                    assistantResponse += `. Successfully created task: "${result.task.title}" scheduled for ${new Date(result.task.start).toLocaleDateString()} at ${new Date(result.task.start).toLocaleTimeString()}.`;
-                } else {
-                    console.log('\n✅ Action completed successfully!');
-                    assistantResponse += '. Action completed successfully.';
-                }
+        // Facts for long-term memory
+        if (await longTermCommand(input)) {
+            chatLoop();
+            return;
+        }
+
+        // Slash commands run the MCP server's prompt templates
+        if (input.trim().startsWith('/')) {
+            const [command, ...rest] = input.trim().slice(1).split(/\s+/);
+            const prompt = PROMPTS.find(item => item.name === command.toLowerCase());
+
+            if (command.toLowerCase() === 'model') {
+                await switchModel(rest[0]);
+            } else if (!prompt) {
+                if (command.toLowerCase() !== 'help') console.log(`\n❓ Unknown command /${command}`);
+                showSlashCommands();
             } else {
-                console.log(`\n❌ Error: ${result.error || 'Unknown error'}`);
-                assistantResponse += `. Error: ${result.error || 'Unknown error'}`;
+                const answer = await runPrompt(prompt, rest.join(' '));
+                if (answer) {
+                    conversationMemory.addMessage('user', input.trim());
+                    conversationMemory.addMessage('assistant', answer);
+                }
             }
-            
-            // Add assistant response to memory
-            conversationMemory.addMessage('assistant', assistantResponse);
-            
+            console.log('\n' + '-'.repeat(50));
+            chatLoop();
+            return;
+        }
+
+        // Undo/redo commands revert the last executed change without asking the LLM
+        const undoCommand = /^(undo|redo)(?:\s+(\d+))?$/i.exec(input.trim());
+        if (undoCommand) {
+            const message = await undoOrRedo(undoCommand[1].toLowerCase(), Number(undoCommand[2] || 1));
+            conversationMemory.addMessage('assistant', message);
+            console.log('\n' + '-'.repeat(50));
+            chatLoop();
+            return;
+        }
+
+        try {
+            await runAgentTurn(input);
+            await rememberTurn(input);
         } catch (error) {
+            if (error.code === 'CANCELLED') {
+                console.log('\n⏹️  Cancelled.');
+                conversationMemory.addMessage('assistant', 'The answer was cancelled by the user');
+                chatLoop();
+                return;
+            }
             console.error('\n❌ Error:', error.message);
             console.log('Please try rephrasing your request.');
             
@@ -391,7 +1286,7 @@ async function chatLoop() {
         }
 
         console.log('\n' + '-'.repeat(50));
-        console.log('💡 Tip: Type "memory" to see history, "clear memory" to reset, or "exit" to quit.');
+        console.log('💡 Tip: Type "undo"/"redo" to revert changes, "/help" for slash commands, "memory" to see history, "clear memory" to reset, "sessions" to resume an earlier conversation, "/remember <fact>" to keep something in mind, or "exit" to quit.');
         console.log('-'.repeat(50) + '\n');
         chatLoop(); // Continue the conversation
     });
@@ -404,6 +1299,7 @@ async function simpleCLI() {
     console.log('  create <title> - Create a task (with interactive prompts)');
     console.log('  list - List all tasks');
     console.log('  search <query> - Search tasks');
+    console.log('  undo [n] / redo [n] - Revert or repeat the last change(s)');
     console.log('  exit - Quit\n');
 
     rl.question('Command: ', async (input) => {
@@ -479,6 +1375,17 @@ async function simpleCLI() {
                     console.log(`   Date & Time: ${taskDate.toLocaleDateString()} at ${taskDate.toLocaleTimeString()}`);
                     console.log(`   Tags: ${tags.join(', ')}`);
                     
+                    // Check the same slot that create_task will be given
+                    const taskEnd = new Date(taskDate.getTime() + 60 * 60 * 1000); // +1 hour
+                    const createConflicts = await checkForConflicts('create_task', {
+                        start: taskDate.toISOString(),
+                        end: taskEnd.toISOString()
+                    });
+                    if (createConflicts.length > 0) {
+                        console.log(`\n⚠️  Warning: this overlaps with ${createConflicts.length} existing task(s):`);
+                        createConflicts.forEach(task => console.log(formatTask(task)));
+                    }
+                    
                     const confirmed = await askForConfirmation('\n❓ Create this task?');
                     
                     if (!confirmed) {
@@ -490,7 +1397,9 @@ async function simpleCLI() {
                         title: title,
                         description: description,
                         start: taskDate.toISOString(),
-                        tags: tags
+                        end: taskEnd.toISOString(),
+                        tags: tags,
+                        allowOverlap: createConflicts.length > 0
                     });
                     
                     if (result.success) {
@@ -542,12 +1451,17 @@ async function simpleCLI() {
                     }
                     break;
 
+                case 'undo':
+                case 'redo':
+                    await undoOrRedo(command, Number(args[0] || 1));
+                    break;
+
                 case 'exit':
                     rl.close();
                     return;
 
                 default:
-                    console.log('❓ Unknown command. Use: create, list, search, or exit');
+                    console.log('❓ Unknown command. Use: create, list, search, undo, redo, or exit');
             }
         } catch (error) {
             console.error('❌ Error:', error.message);
@@ -565,24 +1479,29 @@ async function main() {
     
     await initialize();
     
-    // Check if Ollama is available
+    // Check if the model server is available
     try {
-        await axios.get('http://localhost:11434/api/tags');
-        console.log('🚀 Ollama detected! Starting AI chat mode with enhanced features...');
+        await llm.listModels();
+        console.log(`🚀 ${llm.type} detected! Starting AI chat mode with ${llm.model}...`);
         console.log('💡 Enhanced features:');
         console.log('   • 🧠 Conversation history and context awareness');
         console.log('   • 🤔 Asks for missing information before proceeding');
-        console.log('   • ✅ Requires user confirmation before executing actions');
+        console.log('   • ✅ Requires user confirmation before changing anything');
+        console.log('   • 🔗 Chains steps for one request ("delete the dentist appointment" searches first)');
         console.log('   • 🔗 Smart task references ("that meeting", "the task I mentioned")');
         console.log('   • 📝 Automatic memory summarization for long conversations');
-        console.log('   • 🎮 Commands: "memory", "clear memory", "exit"\n');
+        console.log('   • 💾 Conversations are saved; "sessions", "resume [n]" and "delete session <n>" manage them');
+        console.log('   • 🧠 Long-term memory: "/remember <fact>", "/forget <n|text>" and "/memories"; related facts and earlier requests are recalled');
+        console.log('   • 🎮 Commands: "undo", "redo", "memory", "clear memory", "exit"');
+        console.log('   • 📝 Slash commands for prompt templates, e.g. "/plan-my-day" (see "/help")');
+        console.log('   • 🧩 "/model" shows the available models and switches between them\n');
         console.log('🛡️  Safety Features:');
-        console.log('   • All actions require your confirmation');
+        console.log('   • Every change requires your confirmation (looking things up does not)');
         console.log('   • Missing information prompts for clarity');
         console.log('   • Clear action summaries before execution\n');
         chatLoop();
     } catch (error) {
-        console.log('Ollama not detected. Starting enhanced CLI mode with validation...');
+        console.log(`${llm.type} not reachable (${error.message}). Starting enhanced CLI mode with validation...`);
         simpleCLI();
     }
 }
@@ -590,9 +1509,20 @@ async function main() {
 // Start the client
 main().catch(console.error);
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
+// Ctrl+C stops the answer the model is writing and keeps the session; otherwise it quits.
+// In a terminal readline receives it, else the process does.
+async function interrupt() {
+    if (activeGeneration) {
+        activeGeneration.abort();
+        return;
+    }
+
     console.log('\nShutting down...');
     rl.close();
+    if (sessionStore) await sessionStore.flush(); // Keep the last messages of the conversation
+    if (longTermMemory) await longTermMemory.flush();
     process.exit(0);
-});
\ No newline at end of file
+}
+
+rl.on('SIGINT', interrupt);
+process.on('SIGINT', interrupt);
\ No newline at end of file
@@ -0,0 +1,259 @@
+// mcp-server/http.js
+// Streamable HTTP transport: JSON-RPC messages are POSTed to one endpoint and answered with JSON
+// or an SSE stream, and a GET opens a stream for server-initiated notifications. Sessions are
+// identified by the Mcp-Session-Id header; SSE events carry IDs, so a client that lost a stream
+// can resume it by sending a GET with Last-Event-ID.
+
+const express = require('express');
+const crypto = require('crypto');
+const { PROTOCOL_VERSIONS, ERROR_CODES, errorResponse, createSession } = require('./protocol');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+const NOTIFICATIONS_STREAM = 'notifications'; // ID of the stream opened with GET
+const MAX_REPLAY_EVENTS = 200; // Per session; older events can no longer be resumed
+const KEEPALIVE_MS = 25 * 1000; // Comment lines keep idle streams open through proxies
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function sendError(res, status, code, message) {
+    res.status(status).json(errorResponse(null, code, message));
+}
+
+function credentialsKey(authorization) {
+    return crypto.createHash('sha256').update(authorization || '').digest('hex');
+}
+
+function acceptsEventStream(req) {
+    return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Browsers send an Origin; only local pages and the configured origins may call the server
+// (protects local servers against DNS rebinding)
+function originAllowed(origin, allowedOrigins) {
+    if (!origin) return true;
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) return true;
+    try {
+        return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\ndata: ${event.message ? JSON.stringify(event.message) : ''}\n\n`);
+}
+
+// Options:
+//   authorizationFor  maps a request's Authorization header to the credentials tools act with;
+//                     requests it maps to none are refused with 401
+//   allowedOrigins    browser origins allowed besides local ones ('*' for any)
+//   idleMinutes       sessions without requests or open streams for this long are dropped
+// Mount the returned handlers with app.use('/mcp', transport.handlers).
+function createHttpTransport(server, { authorizationFor, allowedOrigins = [], idleMinutes = 30 }) {
+    const sessions = new Map();
+
+    // Record an event on a stream (null for an empty one that only gives the client an ID
+    // to resume from) and write it if the stream is connected
+    function send(record, streamId, message) {
+        record.nextEventId += 1;
+        const event = { id: String(record.nextEventId), streamId, message };
+        record.events.push(event);
+        if (record.events.length > MAX_REPLAY_EVENTS) record.events.shift();
+
+        const stream = record.streams.get(streamId);
+        if (stream && stream.res) writeEvent(stream.res, event);
+    }
+
+    function openSession(authorization) {
+        const record = {
+            id: crypto.randomUUID(),
+            credentials: credentialsKey(authorization),
+            lastSeen: Date.now(),
+            nextEventId: 0,
+            events: [],
+            // Stream ID -> { res, done }; res is null while the client is disconnected
+            streams: new Map([[NOTIFICATIONS_STREAM, { res: null, done: false }]])
+        };
+        record.session = createSession(server, { authorization });
+        record.session.notify = (method, params) => send(record, NOTIFICATIONS_STREAM,
+            { jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+        return record;
+    }
+
+    function closeSession(record) {
+        sessions.delete(record.id);
+        record.session.close();
+        record.streams.forEach(stream => {
+            if (stream.res) stream.res.end();
+        });
+    }
+
+    // Connect a response to a stream, first replaying the events after `afterIndex`
+    function openStream(record, streamId, res, afterIndex = -1) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            [SESSION_HEADER]: record.id
+        });
+
+        if (!record.streams.has(streamId)) record.streams.set(streamId, { res: null, done: false });
+        const stream = record.streams.get(streamId);
+        // A client reconnecting replaces its previous connection
+        if (stream.res) stream.res.end();
+        stream.res = res;
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+        res.on('close', () => {
+            clearInterval(keepalive);
+            if (stream.res === res) stream.res = null;
+            record.lastSeen = Date.now();
+        });
+
+        if (afterIndex >= 0) {
+            record.events.slice(afterIndex + 1)
+                .filter(event => event.streamId === streamId && event.message)
+                .forEach(event => writeEvent(res, event));
+        }
+        send(record, streamId, null);
+    }
+
+    // A request stream ends once its response is sent; if the client is disconnected by then,
+    // it stays around until the client resumes it
+    function finishStream(record, streamId) {
+        const stream = record.streams.get(streamId);
+        stream.done = true;
+        if (!stream.res) return;
+        stream.res.end();
+        record.streams.delete(streamId);
+    }
+
+    // The session a request belongs to, or null after answering with an error
+    function findSession(req, res) {
+        const record = sessions.get(req.get(SESSION_HEADER));
+        if (!record) {
+            sendError(res, 404, ERROR_CODES.INVALID_REQUEST, 'Session not found: initialize a new session');
+            return null;
+        }
+        if (credentialsKey(authorizationFor(req.get('Authorization'))) !== record.credentials) {
+            sendError(res, 403, ERROR_CODES.INVALID_REQUEST, 'Session belongs to other credentials');
+            return null;
+        }
+        const version = req.get(PROTOCOL_VERSION_HEADER);
+        if (version && !PROTOCOL_VERSIONS.includes(version)) {
+            sendError(res, 400, ERROR_CODES.INVALID_REQUEST, `Unsupported ${PROTOCOL_VERSION_HEADER}: ${version}`);
+            return null;
+        }
+
+        record.lastSeen = Date.now();
+        return record;
+    }
+
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!originAllowed(req.get('Origin'), allowedOrigins)) {
+            return sendError(res, 403, ERROR_CODES.INVALID_REQUEST, `Origin ${req.get('Origin')} is not allowed`);
+        }
+        if (!authorizationFor(req.get('Authorization'))) {
+            return sendError(res, 401, ERROR_CODES.INVALID_REQUEST, 'Unauthorized: an Authorization header is required');
+        }
+        next();
+    });
+
+    // Client messages: requests are answered on an SSE stream (or as JSON when the client does
+    // not accept streams); notifications and responses are acknowledged with 202
+    router.post('/', async (req, res) => {
+        const body = req.body;
+
+        if (!req.get(SESSION_HEADER)) {
+            if (Array.isArray(body) || !body || body.method !== 'initialize' || body.id === undefined) {
+                return sendError(res, 400, ERROR_CODES.INVALID_REQUEST,
+                    `Bad Request: send initialize first and then pass the ${SESSION_HEADER} header`);
+            }
+
+            const record = openSession(authorizationFor(req.get('Authorization')));
+            const response = await record.session.handle(body);
+            if (response.error) {
+                record.session.close();
+            } else {
+                sessions.set(record.id, record);
+                res.set(SESSION_HEADER, record.id);
+            }
+            return res.json(response);
+        }
+
+        const record = findSession(req, res);
+        if (!record) return;
+
+        const messages = Array.isArray(body) ? body : [body];
+        const hasRequests = messages.some(message => message && message.method !== undefined && message.id !== undefined);
+        if (!hasRequests || !acceptsEventStream(req)) {
+            const response = await record.session.handle(body);
+            return response ? res.json(response) : res.status(202).end();
+        }
+
+        const streamId = crypto.randomUUID();
+        openStream(record, streamId, res);
+        const response = await record.session.handle(body);
+        if (response) send(record, streamId, response);
+        finishStream(record, streamId);
+    });
+
+    // Stream of server-initiated messages, or the resumption of a lost stream with Last-Event-ID
+    router.get('/', (req, res) => {
+        if (!acceptsEventStream(req)) {
+            return sendError(res, 406, ERROR_CODES.INVALID_REQUEST, 'Not Acceptable: the client must accept text/event-stream');
+        }
+        const record = findSession(req, res);
+        if (!record) return;
+
+        const lastEventId = req.get('Last-Event-ID');
+        const index = lastEventId ? record.events.findIndex(event => event.id === lastEventId) : -1;
+        const streamId = index >= 0 && record.streams.has(record.events[index].streamId)
+            ? record.events[index].streamId
+            : NOTIFICATIONS_STREAM;
+
+        openStream(record, streamId, res, index);
+        if (record.streams.get(streamId).done) finishStream(record, streamId);
+    });
+
+    // The client ends its session
+    router.delete('/', (req, res) => {
+        const record = findSession(req, res);
+        if (!record) return;
+        closeSession(record);
+        res.status(204).end();
+    });
+
+    // Invalid JSON bodies are rejected by express.json() before reaching the router
+    function parseErrors(error, req, res, next) {
+        if (error.type !== 'entity.parse.failed' || req.path !== '/') return next(error);
+        sendError(res, 400, ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`);
+    }
+
+    // Drop idle sessions and finished streams whose events can no longer be replayed
+    const sweeper = setInterval(() => {
+        const idleSince = Date.now() - idleMinutes * 60 * 1000;
+        sessions.forEach(record => {
+            record.streams.forEach((stream, streamId) => {
+                if (stream.done && !record.events.some(event => event.streamId === streamId)) {
+                    record.streams.delete(streamId);
+                }
+            });
+            const connected = [...record.streams.values()].some(stream => stream.res);
+            if (!connected && record.lastSeen < idleSince) closeSession(record);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        handlers: [router, parseErrors],
+        sessions
+    };
+}
+
+module.exports = {
+    createHttpTransport
+};
\ No newline at end of file
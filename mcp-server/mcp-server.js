@@ -3,12 +3,34 @@
 
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const { PROTOCOL_VERSIONS, ERROR_CODES, rpcError, createSession, broadcast } = require('./protocol');
+const { serveStdio } = require('./stdio');
+const { createHttpTransport } = require('./http');
+const { validateArguments, formatErrors } = require('./validation');
+const { createToolRegistry } = require('./registry');
+const { MAX_LOGGED_OPERATIONS, toToolTask } = require('./toolHelpers');
 
 const app = express();
 app.use(express.json());
 
 // Configuration
 const TASK_API_URL = process.env.TASK_API_URL || 'http://localhost:5000/api/tasks';
+// Tells which scopes the caller's API token has
+const TASK_AUTH_URL = process.env.TASK_AUTH_URL || 'http://localhost:5000/api/auth';
+// Used when a tool call arrives without its own Authorization header: always over stdio, and over
+// HTTP only with MCP_HTTP_USE_API_TOKEN=1 (otherwise any caller on the network would act as its owner)
+const TASK_API_TOKEN = process.env.TASK_API_TOKEN || null;
+const MCP_HTTP_USE_API_TOKEN = process.env.MCP_HTTP_USE_API_TOKEN === '1';
+// Extra tool plugins besides the built-in ./tools: directories, files or npm package names
+const MCP_TOOL_PLUGINS = (process.env.MCP_TOOL_PLUGINS || '').split(',').map(plugin => plugin.trim()).filter(Boolean);
+const SCOPE_CACHE_MS = 60 * 1000; // How long a token's scopes are trusted before asking the backend again
+// Browser origins besides local pages that may use the Streamable HTTP endpoint ('*' for any)
+const MCP_ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const MCP_SESSION_IDLE_MINUTES = Number(process.env.MCP_SESSION_IDLE_MINUTES || 30);
+// How often the backend is asked for task changes while clients are subscribed to resources
+const CHANGE_POLL_MS = Number(process.env.MCP_CHANGE_POLL_SECONDS || 5) * 1000;
 
 // MCP Server Information
 const SERVER_INFO = {
@@ -17,152 +39,138 @@ const SERVER_INFO = {
     description: "MCP server for task scheduling operations"
 };
 
-// Tool Definitions - These are crucial for MCP!
-const TOOLS = [
-    {
-        name: "create_task",
-        description: "Create a new task in the calendar. Use this when the user wants to schedule, add, or create a new task or event.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                title: {
-                    type: "string",
-                    description: "The title or name of the task"
-                },
-                description: {
-                    type: "string",
-                    description: "Optional detailed description of the task"
-                },
-                start: {
-                    type: "string",
-                    format: "date-time",
-                    description: "Start date and time in ISO format (e.g., 2024-01-20T14:30:00)"
-                },
-                end: {
-                    type: "string",
-                    format: "date-time",
-                    description: "End date and time in ISO format. If not provided, defaults to start time + 1 hour"
-                },
-                tags: {
-                    type: "array",
-                    items: {
-                        type: "string",
-                        enum: ["work", "personal", "family", "health", "other"]
-                    },
-                    description: "Categories for the task. Can include: work, personal, family, health, other"
-                },
-                color: {
-                    type: "string",
-                    description: "Hex color code for the task (e.g., #3788d8)"
-                }
-            },
-            required: ["title", "start"]
-        }
-    },
-    {
-        name: "list_tasks",
-        description: "List all scheduled tasks. Use this when the user wants to see, view, or check their tasks or schedule.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                date: {
-                    type: "string",
-                    format: "date",
-                    description: "Optional: filter tasks for a specific date (YYYY-MM-DD format)"
-                },
-                tags: {
-                    type: "array",
-                    items: {
-                        type: "string"
-                    },
-                    description: "Optional: filter tasks by tags"
-                }
-            }
-        }
-    },
-    {
-        name: "update_task",
-        description: "Update an existing task. Use this when the user wants to modify, change, or edit a task.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                id: {
-                    type: "string",
-                    description: "The ID of the task to update"
-                },
-                title: {
-                    type: "string",
-                    description: "New title for the task"
-                },
-                description: {
-                    type: "string",
-                    description: "New description for the task"
-                },
-                start: {
-                    type: "string",
-                    format: "date-time",
-                    description: "New start date and time"
-                },
-                end: {
-                    type: "string",
-                    format: "date-time",
-                    description: "New end date and time"
-                },
-                tags: {
-                    type: "array",
-                    items: {
-                        type: "string"
-                    },
-                    description: "New tags for the task"
-                },
-                color: {
-                    type: "string",
-                    description: "New color for the task"
-                }
-            },
-            required: ["id"]
-        }
-    },
-    {
-        name: "delete_task",
-        description: "Delete a task from the calendar. Use this when the user wants to remove, delete, or cancel a task.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                id: {
-                    type: "string",
-                    description: "The ID of the task to delete"
-                }
-            },
-            required: ["id"]
+// Tools are plugins (see registry.js): the built-in ones in ./tools, then MCP_TOOL_PLUGINS.
+// Sending the process a SIGHUP reloads them.
+const toolRegistry = createToolRegistry([path.join(__dirname, 'tools'), ...MCP_TOOL_PLUGINS], {
+    onChange: () => notifyToolsChanged()
+});
+
+// Undo and redo stacks of each user's mutating tool calls, keyed by a hash of their credentials.
+// Each entry names the operation ID the backend's audit log grouped the changes under;
+// the backend reverts (or re-applies) all of them together.
+const operationLogs = new Map();
+
+function operationLog(authorization) {
+    const key = crypto.createHash('sha256').update(authorization).digest('hex');
+    if (!operationLogs.has(key)) operationLogs.set(key, { done: [], undone: [] });
+    return operationLogs.get(key);
+}
+
+// Remember a completed change; a new change makes the undone ones impossible to redo
+function recordOperation(log, operation) {
+    log.done.push(operation);
+    if (log.done.length > MAX_LOGGED_OPERATIONS) log.done.shift();
+    log.undone = [];
+}
+
+// Credentials tool calls act with: the caller's own Authorization header, or the configured token
+// when `useApiToken` allows it
+function authorizationFor(header, useApiToken = MCP_HTTP_USE_API_TOKEN) {
+    return header || (useApiToken && TASK_API_TOKEN && `Bearer ${TASK_API_TOKEN}`) || null;
+}
+
+function toolError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Scopes of each set of credentials as the backend reports them (null: unrestricted),
+// keyed by a hash of the credentials
+const grantedScopes = new Map();
+
+async function scopesOf(authorization) {
+    const key = crypto.createHash('sha256').update(authorization).digest('hex');
+    const cached = grantedScopes.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.scopes;
+
+    try {
+        const response = await axios.get(`${TASK_AUTH_URL}/me`, { headers: { Authorization: authorization } });
+        const scopes = response.data.scopes || null;
+        grantedScopes.set(key, { scopes, expiresAt: Date.now() + SCOPE_CACHE_MS });
+        return scopes;
+    } catch (error) {
+        if (error.response && error.response.status === 401) {
+            throw toolError('UNAUTHORIZED', error.response.data.message || 'Invalid credentials');
         }
-    },
-    {
-        name: "search_tasks",
-        description: "Search for tasks by title or description. Use this when the user wants to find a specific task.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                query: {
-                    type: "string",
-                    description: "Search query to match against task titles and descriptions"
-                }
-            },
-            required: ["query"]
+        throw new Error(`Failed to check the token's scopes: ${error.message}`);
+    }
+}
+
+// Run one tool on behalf of the user the authorization belongs to. Shared by the HTTP routes
+// and the JSON-RPC transports; throws with code TOOL_NOT_FOUND, UNAUTHORIZED, FORBIDDEN or
+// INVALID_ARGUMENTS (with the field-level `details`) before running anything.
+async function executeTool(toolName, args, authorization) {
+    const tool = toolRegistry.get(toolName);
+    if (!tool) {
+        throw toolError('TOOL_NOT_FOUND', `Tool ${toolName} not found`);
+    }
+    if (!authorization) {
+        throw toolError('UNAUTHORIZED', "An Authorization header (or TASK_API_TOKEN over stdio) is required to act on a user's tasks");
+    }
+
+    // Logins and API tokens without scopes may use every tool
+    if (tool.scopes && tool.scopes.length > 0) {
+        const granted = await scopesOf(authorization);
+        const missing = granted ? tool.scopes.filter(scope => !granted.includes(scope)) : [];
+        if (missing.length > 0) {
+            throw toolError('FORBIDDEN', `${toolName} needs an API token with the scope(s) ${missing.join(', ')}`);
         }
     }
-];
+
+    // Field-level problems go back to the caller so a model can correct its call
+    const errors = validateArguments(tool.inputSchema, args);
+    if (errors.length > 0) {
+        const error = toolError('INVALID_ARGUMENTS', `Invalid arguments for ${toolName}: ${formatErrors(errors)}`);
+        error.details = errors;
+        throw error;
+    }
+    args = args || {};
+
+    // Changes of undoable tools are grouped under an operation ID the backend can revert
+    const operationId = tool.undoable ? crypto.randomUUID() : null;
+    const result = await tool.handler(args, {
+        api: taskApi(authorization, toolName, operationId),
+        authorization,
+        operations: operationLog(authorization)
+    });
+    if (!result || typeof result !== 'object') {
+        throw new Error(`Tool ${toolName} did not return a result object`);
+    }
+
+    // Previews change nothing, so there is nothing to undo
+    if (operationId && result.success !== false && !result.preview) {
+        recordOperation(operationLog(authorization), {
+            id: operationId,
+            tool: toolName,
+            summary: result.message || toolName,
+            at: new Date()
+        });
+    }
+    return result;
+}
+
+// HTTP status of each error executeTool reports before running a tool
+const TOOL_ERROR_STATUS = {
+    TOOL_NOT_FOUND: 404,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    INVALID_ARGUMENTS: 400
+};
 
 // MCP Protocol Endpoints
+// These REST routes predate the JSON-RPC protocol (see MCP_SERVER below) and are kept for
+// existing clients such as mcp-ollama-client.js.
 
 // 1. Server Information Endpoint
 app.get('/mcp/v1/server', (req, res) => {
     res.json({
         ...SERVER_INFO,
+        protocolVersions: PROTOCOL_VERSIONS,
         capabilities: {
             tools: true,
-            prompts: false,
-            resources: false
+            prompts: true,
+            resources: true
         }
     });
 });
@@ -170,7 +178,7 @@ app.get('/mcp/v1/server', (req, res) => {
 // 2. List Tools Endpoint - This is what LLMs use to discover available functions
 app.get('/mcp/v1/tools', (req, res) => {
     res.json({
-        tools: TOOLS
+        tools: toolRegistry.list()
     });
 });
 
@@ -180,173 +188,533 @@ app.post('/mcp/v1/tools/:toolName', async (req, res) => {
     const { arguments: args } = req.body;
 
     try {
-        let result;
-        
-        switch (toolName) {
-            case 'create_task':
-                result = await createTask(args);
-                break;
-            case 'list_tasks':
-                result = await listTasks(args);
-                break;
-            case 'update_task':
-                result = await updateTask(args);
-                break;
-            case 'delete_task':
-                result = await deleteTask(args);
-                break;
-            case 'search_tasks':
-                result = await searchTasks(args);
-                break;
-            default:
-                return res.status(404).json({
-                    error: {
-                        code: "TOOL_NOT_FOUND",
-                        message: `Tool ${toolName} not found`
-                    }
-                });
-        }
-
+        const result = await executeTool(toolName, args, authorizationFor(req.get('Authorization')));
         res.json({
             result: result
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(TOOL_ERROR_STATUS[error.code] || 500).json({
             error: {
-                code: "EXECUTION_ERROR",
-                message: error.message
+                code: TOOL_ERROR_STATUS[error.code] ? error.code : "EXECUTION_ERROR",
+                message: error.message,
+                ...(error.details ? { details: error.details } : {})
             }
         });
     }
 });
 
-// Tool Implementation Functions
+// 4. List Prompts Endpoint - Prompt templates such as "plan my day"
+app.get('/mcp/v1/prompts', (req, res) => {
+    res.json({
+        prompts: PROMPTS
+    });
+});
+
+// 5. Get Prompt Endpoint - The prompt's messages, filled in with the user's tasks
+app.post('/mcp/v1/prompts/:promptName', async (req, res) => {
+    const { promptName } = req.params;
+    const authorization = authorizationFor(req.get('Authorization'));
+
+    if (!PROMPTS.some(prompt => prompt.name === promptName)) {
+        return res.status(404).json({
+            error: { code: "PROMPT_NOT_FOUND", message: `Prompt ${promptName} not found` }
+        });
+    }
+    if (!authorization) {
+        return res.status(401).json({
+            error: { code: "UNAUTHORIZED", message: "An Authorization header is required to read a user's tasks" }
+        });
+    }
 
-async function createTask(args) {
     try {
-        // Parse natural language dates if needed
-        let startDate = new Date(args.start);
-        let endDate = args.end ? new Date(args.end) : new Date(startDate.getTime() + 60 * 60 * 1000); // +1 hour
-
-        const taskData = {
-            title: args.title,
-            description: args.description || '',
-            start: startDate,
-            end: endDate,
-            tags: args.tags || ['other'],
-            color: args.color || '#3788d8'
-        };
-
-        const response = await axios.post(TASK_API_URL, taskData);
-        
-        return {
-            success: true,
-            task: response.data,
-            message: `Task "${args.title}" created successfully`
-        };
+        const result = await getPrompt(promptName, req.body.arguments || {}, taskApi(authorization, null, null));
+        res.json({
+            result: result
+        });
     } catch (error) {
-        throw new Error(`Failed to create task: ${error.message}`);
+        const invalid = error.rpcCode === ERROR_CODES.INVALID_PARAMS;
+        res.status(invalid ? 400 : 500).json({
+            error: { code: invalid ? "INVALID_ARGUMENTS" : "EXECUTION_ERROR", message: error.message }
+        });
+    }
+});
+
+// MCP JSON-RPC 2.0 protocol: what is offered to clients that speak MCP itself,
+// over stdio or the Streamable HTTP endpoint /mcp
+const MCP_SERVER = {
+    info: { name: SERVER_INFO.name, version: SERVER_INFO.version },
+    sessions: new Set(),
+    instructions: "Manage the user's calendar tasks. Dates are ISO 8601; list or search tasks to find IDs before updating or deleting.",
+    capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false }
+    },
+    methods: {
+        'tools/list': () => ({ tools: toolRegistry.list() }),
+
+        'tools/call': async (params, session) => {
+            if (typeof params.name !== 'string') {
+                throw rpcError(ERROR_CODES.INVALID_PARAMS, 'name must be the name of a tool');
+            }
+            if (params.arguments !== undefined &&
+                (params.arguments === null || typeof params.arguments !== 'object' || Array.isArray(params.arguments))) {
+                throw rpcError(ERROR_CODES.INVALID_PARAMS, 'arguments must be an object');
+            }
+            if (!toolRegistry.get(params.name)) {
+                throw rpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+            }
+
+            // Failures of the tool itself are results the model should see, not protocol errors
+            try {
+                const result = await executeTool(params.name, params.arguments || {}, session.context.authorization);
+                return {
+                    content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                    isError: result.success === false
+                };
+            } catch (error) {
+                const text = error.details
+                    ? JSON.stringify({ success: false, error: error.message, details: error.details }, null, 2)
+                    : error.message;
+                return {
+                    content: [{ type: 'text', text }],
+                    isError: true
+                };
+            }
+        },
+
+        'resources/list': async (params, session) => ({
+            resources: await listResources(resourceApi(session))
+        }),
+
+        'resources/templates/list': () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+
+        'resources/read': async (params, session) => {
+            const resource = parseResourceUri(params.uri);
+            return {
+                contents: [{
+                    uri: params.uri,
+                    mimeType: RESOURCE_MIME_TYPE,
+                    text: JSON.stringify(await readResource(resource, resourceApi(session)), null, 2)
+                }]
+            };
+        },
+
+        // Changes to subscribed resources are announced with notifications/resources/updated
+        'resources/subscribe': (params, session) => {
+            parseResourceUri(params.uri);
+            subscriptionsOf(session).add(params.uri);
+            watchChanges(resourceApi(session), session.context.authorization);
+            return {};
+        },
+
+        'resources/unsubscribe': (params, session) => {
+            subscriptionsOf(session).delete(params.uri);
+            return {};
+        },
+
+        'prompts/list': () => ({ prompts: PROMPTS }),
+
+        'prompts/get': (params, session) => {
+            if (params.arguments !== undefined &&
+                (params.arguments === null || typeof params.arguments !== 'object' || Array.isArray(params.arguments))) {
+                throw rpcError(ERROR_CODES.INVALID_PARAMS, 'arguments must be an object');
+            }
+            return getPrompt(params.name, params.arguments || {}, resourceApi(session));
+        }
     }
+};
+
+// Tell connected clients to fetch tools/list again after the available tools changed
+function notifyToolsChanged() {
+    broadcast(MCP_SERVER, 'notifications/tools/list_changed');
 }
 
-async function listTasks(args) {
-    try {
-        const response = await axios.get(TASK_API_URL);
-        let tasks = response.data;
-
-        // Apply filters if provided
-        if (args.date) {
-            const filterDate = new Date(args.date);
-            tasks = tasks.filter(task => {
-                const taskDate = new Date(task.start);
-                return taskDate.toDateString() === filterDate.toDateString();
-            });
+const mcpHttp = createHttpTransport(MCP_SERVER, {
+    authorizationFor,
+    allowedOrigins: MCP_ALLOWED_ORIGINS,
+    idleMinutes: MCP_SESSION_IDLE_MINUTES
+});
+app.use('/mcp', mcpHttp.handlers);
+
+// Backend Client
+
+// Backend client acting as the calling user: their Authorization is passed through,
+// and the tool name (plus an operation ID for changes) is sent so the backend's audit log
+// shows which tool made a change and can undo it
+function taskApi(authorization, toolName, operationId) {
+    const headers = { Authorization: authorization };
+    if (toolName) headers['X-MCP-Tool'] = toolName;
+    if (operationId) headers['X-Operation-Id'] = operationId;
+    return axios.create({ baseURL: TASK_API_URL, headers });
+}
+
+// Resource Implementation Functions
+// Tasks and calendar periods published as MCP resources. Days and weeks are in the server's
+// time zone, like the date filter of list_tasks.
+
+const RESOURCE_MIME_TYPE = 'application/json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'task://{id}',
+        name: 'task',
+        title: 'Task',
+        description: 'One task by ID; a recurring task is returned as its series',
+        mimeType: RESOURCE_MIME_TYPE
+    },
+    {
+        uriTemplate: 'calendar://day/{date}',
+        name: 'calendar-day',
+        title: 'Calendar day',
+        description: 'The tasks of one day (YYYY-MM-DD), with recurring tasks expanded',
+        mimeType: RESOURCE_MIME_TYPE
+    },
+    {
+        uriTemplate: 'calendar://week/{isoWeek}',
+        name: 'calendar-week',
+        title: 'Calendar week',
+        description: 'The tasks of one ISO week (e.g. 2025-W03, Monday to Sunday), with recurring tasks expanded',
+        mimeType: RESOURCE_MIME_TYPE
+    }
+];
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function formatDay(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Monday of ISO week 1, the week containing January 4th
+function firstIsoMonday(year) {
+    const january4 = new Date(year, 0, 4);
+    return new Date(year, 0, 4 - (january4.getDay() + 6) % 7);
+}
+
+// ISO week of a date, e.g. "2025-W03" (the week's year is that of its Thursday)
+function isoWeekOf(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+    const year = thursday.getFullYear();
+    const week = Math.round((thursday - firstIsoMonday(year)) / (7 * DAY_MS)) + 1;
+    return `${year}-W${pad(week)}`;
+}
+
+function resourceNotFound(uri) {
+    return rpcError(ERROR_CODES.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+}
+
+// { type: 'task', id } or { type: 'day' | 'week', start, end } for a resource URI
+function parseResourceUri(uri) {
+    if (typeof uri !== 'string') throw rpcError(ERROR_CODES.INVALID_PARAMS, 'uri must be a string');
+
+    let match = /^task:\/\/([^/]+)$/.exec(uri);
+    if (match) {
+        if (!/^[0-9a-f]{24}$/i.test(match[1])) throw resourceNotFound(uri);
+        return { type: 'task', id: match[1] };
+    }
+
+    match = /^calendar:\/\/day\/(\d{4})-(\d{2})-(\d{2})$/.exec(uri);
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        const start = new Date(year, month - 1, day);
+        if (formatDay(start) !== `${match[1]}-${match[2]}-${match[3]}`) {
+            throw rpcError(ERROR_CODES.INVALID_PARAMS, `Invalid date in ${uri}`);
         }
+        return { type: 'day', date: formatDay(start), start, end: new Date(year, month - 1, day + 1) };
+    }
+
+    match = /^calendar:\/\/week\/(\d{4})-W(\d{2})$/.exec(uri);
+    if (match) {
+        const [year, week] = match.slice(1).map(Number);
+        // The last ISO week of a year is the one containing December 28th
+        const lastWeek = Number(isoWeekOf(new Date(year, 11, 28)).slice(-2));
+        if (week < 1 || week > lastWeek) throw rpcError(ERROR_CODES.INVALID_PARAMS, `Invalid week in ${uri}`);
+        const monday = firstIsoMonday(year);
+        const start = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7 * (week - 1));
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+        return { type: 'week', week: `${year}-W${pad(week)}`, start, end };
+    }
+
+    throw resourceNotFound(uri);
+}
 
-        if (args.tags && args.tags.length > 0) {
-            tasks = tasks.filter(task => 
-                task.tags.some(tag => args.tags.includes(tag))
-            );
+// Backend client for a session's resource reads
+function resourceApi(session) {
+    if (!session.context.authorization) {
+        throw rpcError(ERROR_CODES.INVALID_REQUEST, "An Authorization header (or TASK_API_TOKEN over stdio) is required to read a user's tasks");
+    }
+    return taskApi(session.context.authorization, null, null);
+}
+
+async function readResource(resource, api) {
+    if (resource.type === 'task') {
+        try {
+            const response = await api.get(`/${resource.id}`);
+            return toToolTask(response.data);
+        } catch (error) {
+            if (error.response && error.response.status === 404) throw resourceNotFound(`task://${resource.id}`);
+            throw new Error(`Failed to read task: ${error.response?.data?.message || error.message}`);
         }
+    }
 
-        return {
-            success: true,
-            count: tasks.length,
-            tasks: tasks.map(task => ({
-                id: task._id,
-                title: task.title,
-                description: task.description,
-                start: task.start,
-                end: task.end,
-                tags: task.tags,
-                color: task.color
-            }))
-        };
-    } catch (error) {
-        throw new Error(`Failed to list tasks: ${error.message}`);
+    const response = await api.get('', {
+        params: { start: resource.start.toISOString(), end: resource.end.toISOString() }
+    });
+    const period = resource.type === 'day' ? { date: resource.date } : { week: resource.week };
+    return {
+        ...period,
+        start: resource.start,
+        end: resource.end,
+        count: response.data.length,
+        tasks: response.data.map(toToolTask)
+    };
+}
+
+// Today, this week and the tasks of this week
+async function listResources(api) {
+    const now = new Date();
+    const today = formatDay(now);
+    const week = isoWeekOf(now);
+    const { start, end } = parseResourceUri(`calendar://week/${week}`);
+
+    const response = await api.get('', { params: { start: start.toISOString(), end: end.toISOString() } });
+    const tasks = new Map();
+    response.data.forEach(task => {
+        if (!tasks.has(String(task._id))) tasks.set(String(task._id), task);
+    });
+
+    return [
+        { uri: `calendar://day/${today}`, name: `calendar-day-${today}`, title: `Today (${today})`, mimeType: RESOURCE_MIME_TYPE },
+        { uri: `calendar://week/${week}`, name: `calendar-week-${week}`, title: `This week (${week})`, mimeType: RESOURCE_MIME_TYPE },
+        ...[...tasks.values()].map(task => ({
+            uri: `task://${task._id}`,
+            name: `task-${task._id}`,
+            title: task.title,
+            description: `${task.recurrence ? 'Recurring task' : 'Task'} starting ${new Date(task.start).toISOString()}`,
+            mimeType: RESOURCE_MIME_TYPE
+        }))
+    ];
+}
+
+// Resource subscriptions of a session (URIs)
+function subscriptionsOf(session) {
+    if (!session.subscriptions) session.subscriptions = new Set();
+    return session.subscriptions;
+}
+
+// Whether a task, as recorded before or after a change, may appear in [start, end).
+// A recurring task counts for every period between its first start and its end date.
+function touchesPeriod(task, start, end) {
+    if (!task) return false;
+    const taskStart = new Date(task.start);
+    if (task.recurrence) {
+        return taskStart < end && (!task.recurrence.until || new Date(task.recurrence.until) >= start);
     }
+    return taskStart < end && new Date(task.end || task.start) >= start;
 }
 
-async function updateTask(args) {
-    try {
-        const updateData = {};
-        if (args.title !== undefined) updateData.title = args.title;
-        if (args.description !== undefined) updateData.description = args.description;
-        if (args.start !== undefined) updateData.start = new Date(args.start);
-        if (args.end !== undefined) updateData.end = new Date(args.end);
-        if (args.tags !== undefined) updateData.tags = args.tags;
-        if (args.color !== undefined) updateData.color = args.color;
-
-        const response = await axios.put(`${TASK_API_URL}/${args.id}`, updateData);
-        
-        return {
-            success: true,
-            task: response.data,
-            message: "Task updated successfully"
-        };
-    } catch (error) {
-        throw new Error(`Failed to update task: ${error.message}`);
+// Subscribed URIs whose content an audit log entry changed
+function affectedUris(entry, uris) {
+    return [...uris].filter(uri => {
+        const resource = parseResourceUri(uri);
+        if (resource.type === 'task') return resource.id === String(entry.task);
+        return touchesPeriod(entry.before, resource.start, resource.end) ||
+            touchesPeriod(entry.after, resource.start, resource.end);
+    });
+}
+
+// One follower of the backend's change feed per set of credentials, running while any of
+// its sessions has subscriptions; every change is announced to the sessions subscribed to it
+const changeWatchers = new Map();
+
+function watchChanges(api, authorization) {
+    const key = crypto.createHash('sha256').update(authorization).digest('hex');
+    if (changeWatchers.has(key)) return;
+
+    const watcher = { cursor: null, timer: null };
+    const subscribers = () => [...MCP_SERVER.sessions].filter(session =>
+        session.context.authorization === authorization && subscriptionsOf(session).size > 0);
+
+    async function poll() {
+        if (subscribers().length === 0) {
+            changeWatchers.delete(key);
+            return;
+        }
+
+        try {
+            let page = { hasMore: true };
+            while (page.hasMore) {
+                page = (await api.get('/changes', { params: watcher.cursor ? { after: watcher.cursor } : {} })).data;
+                watcher.cursor = page.cursor;
+                subscribers().forEach(session => {
+                    const updated = new Set(page.changes.flatMap(entry => affectedUris(entry, session.subscriptions)));
+                    updated.forEach(uri => session.notify('notifications/resources/updated', { uri }));
+                });
+            }
+        } catch (error) {
+            console.log('Could not fetch task changes:', error.response?.data?.message || error.message);
+        }
+        watcher.timer = setTimeout(poll, CHANGE_POLL_MS);
+        watcher.timer.unref();
     }
+
+    changeWatchers.set(key, watcher);
+    poll();
 }
 
-async function deleteTask(args) {
-    try {
-        await axios.delete(`${TASK_API_URL}/${args.id}`);
-        
-        return {
-            success: true,
-            message: "Task deleted successfully"
-        };
-    } catch (error) {
-        throw new Error(`Failed to delete task: ${error.message}`);
+// Prompt Implementation Functions
+// Scheduling prompt templates, pre-filled with the user's tasks from the backend
+
+const PROMPTS = [
+    {
+        name: 'plan-my-day',
+        title: 'Plan my day',
+        description: 'Go through the tasks of a day and suggest how to get through it',
+        arguments: [
+            { name: 'date', description: 'Day to plan (YYYY-MM-DD, default today)', required: false }
+        ]
+    },
+    {
+        name: 'weekly-review',
+        title: 'Weekly review',
+        description: 'Review the tasks of a week: busy days, balance and what to move or drop',
+        arguments: [
+            { name: 'week', description: 'ISO week such as 2025-W03 (default this week)', required: false }
+        ]
+    },
+    {
+        name: 'reschedule-overdue',
+        title: 'Reschedule overdue tasks',
+        description: 'Find recent tasks that are already over and suggest new times for those not done yet',
+        arguments: [
+            { name: 'days', description: 'How many days to look back (default 7)', required: false }
+        ]
+    },
+    {
+        name: 'prepare-for-meeting',
+        title: 'Prepare for meeting',
+        description: 'Collect what the calendar knows about a meeting and draft a preparation checklist',
+        arguments: [
+            { name: 'meeting', description: 'Title (or part of it) of the meeting', required: true }
+        ]
     }
+];
+
+const MAX_OVERDUE_DAYS = 60;
+
+// One line per task for a prompt, e.g. "- Mon 13 Jan 09:00-10:00 Team meeting [work] (id ...)"
+function describeTasks(tasks) {
+    if (tasks.length === 0) return '(nothing scheduled)';
+    const time = date => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const day = date => new Date(date).toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+
+    return tasks.map(task => {
+        const tags = task.tags && task.tags.length > 0 ? ` [${task.tags.join(', ')}]` : '';
+        const repeats = task.recurrence ? ` (repeats ${task.recurrence.freq})` : '';
+        const description = task.description ? ` - ${task.description}` : '';
+        return `- ${day(task.start)} ${time(task.start)}-${time(task.end)} ${task.title}${tags}${repeats} (id ${task._id})${description}`;
+    }).join('\n');
 }
 
-async function searchTasks(args) {
+// The day or week a prompt argument names; a malformed value is an invalid argument
+function promptPeriod(uri, argument) {
     try {
-        const response = await axios.get(TASK_API_URL);
-        const query = args.query.toLowerCase();
-        
-        const matchingTasks = response.data.filter(task => 
-            task.title.toLowerCase().includes(query) ||
-            (task.description && task.description.toLowerCase().includes(query))
-        );
-
-        return {
-            success: true,
-            count: matchingTasks.length,
-            tasks: matchingTasks.map(task => ({
-                id: task._id,
-                title: task.title,
-                description: task.description,
-                start: task.start,
-                end: task.end,
-                tags: task.tags
-            }))
-        };
+        return parseResourceUri(uri);
     } catch (error) {
-        throw new Error(`Failed to search tasks: ${error.message}`);
+        throw rpcError(ERROR_CODES.INVALID_PARAMS, `Invalid ${argument}: ${uri.split('/').pop()}`);
+    }
+}
+
+async function tasksBetween(api, start, end, params = {}) {
+    const response = await api.get('', { params: { ...params, start: start.toISOString(), end: end.toISOString() } });
+    return response.data;
+}
+
+// The text of a prompt, with the tasks it is about
+async function promptText(name, args, api) {
+    const now = new Date();
+
+    switch (name) {
+        case 'plan-my-day': {
+            const day = promptPeriod(`calendar://day/${args.date || formatDay(now)}`, 'date');
+            const tasks = await tasksBetween(api, day.start, day.end);
+            return `Help me plan my day on ${day.start.toDateString()}.
+
+My tasks that day:
+${describeTasks(tasks)}
+
+Suggest how to get through the day: point out overlaps or tight transitions, where the free time is and what I should prepare. Keep it short.`;
+        }
+
+        case 'weekly-review': {
+            const week = promptPeriod(`calendar://week/${args.week || isoWeekOf(now)}`, 'week');
+            const tasks = await tasksBetween(api, week.start, week.end);
+            const sunday = new Date(week.end.getFullYear(), week.end.getMonth(), week.end.getDate() - 1);
+            return `Let's review my week ${week.week} (${week.start.toDateString()} to ${sunday.toDateString()}).
+
+My tasks that week:
+${describeTasks(tasks)}
+
+Summarize how the week looks (busy days, balance between work and personal time, recurring commitments), point out conflicts or overloaded days, and suggest what to move or drop.`;
+        }
+
+        case 'reschedule-overdue': {
+            const days = args.days === undefined ? 7 : Number(args.days);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_OVERDUE_DAYS) {
+                throw rpcError(ERROR_CODES.INVALID_PARAMS, `days must be a whole number from 1 to ${MAX_OVERDUE_DAYS}`);
+            }
+            const since = new Date(now.getTime() - days * DAY_MS);
+            const past = (await tasksBetween(api, since, now)).filter(task => new Date(task.end) <= now);
+            const upcoming = await tasksBetween(api, now, new Date(now.getTime() + 7 * DAY_MS));
+            return `These tasks of the last ${days} days are already over:
+${describeTasks(past)}
+
+Ask me which of them I have not done yet. For those, suggest new times in the coming days that do not clash with my schedule:
+${describeTasks(upcoming)}`;
+        }
+
+        case 'prepare-for-meeting': {
+            // The next occurrence of the meeting, or else the last one
+            const [next] = await tasksBetween(api, now, new Date(now.getTime() + 30 * DAY_MS), { q: args.meeting, limit: 1 });
+            const meeting = next || (await api.get('', { params: { q: args.meeting, sort: '-start', limit: 1 } })).data[0];
+            if (!meeting) {
+                return `I have a meeting "${args.meeting}" coming up, but it is not in my calendar. Help me prepare: ask me what it is about, then draft an agenda and a checklist of what to bring or do beforehand.`;
+            }
+
+            const meetingDay = parseResourceUri(`calendar://day/${formatDay(new Date(meeting.start))}`);
+            const sameDay = (await tasksBetween(api, meetingDay.start, meetingDay.end))
+                .filter(task => String(task._id) !== String(meeting._id) || task.start !== meeting.start);
+            return `Help me prepare for this meeting:
+${describeTasks([meeting])}
+
+My other tasks that day:
+${describeTasks(sameDay)}
+
+Draft an agenda and a checklist of what to prepare, and say when I could do the preparation that day or before.`;
+        }
+
+        default:
+            throw rpcError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+}
+
+// prompts/get: the prompt's messages, after checking its arguments
+async function getPrompt(name, args, api) {
+    const prompt = PROMPTS.find(item => item.name === name);
+    if (!prompt) throw rpcError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+
+    const missing = prompt.arguments.filter(argument => argument.required && !args[argument.name]);
+    if (missing.length > 0) {
+        throw rpcError(ERROR_CODES.INVALID_PARAMS, `Missing required argument(s): ${missing.map(argument => argument.name).join(', ')}`);
     }
+
+    return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text: await promptText(name, args, api) } }]
+    };
 }
 
 // Health check endpoint
@@ -354,13 +722,32 @@ app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'task-scheduler-mcp' });
 });
 
-// Start the MCP server
-const PORT = process.env.MCP_PORT || 6000;
-app.listen(PORT, () => {
-    console.log(`MCP Server running on port ${PORT}`);
-    console.log(`Tools available: ${TOOLS.map(t => t.name).join(', ')}`);
+// Reload the tool plugins with `kill -HUP <pid>`; connected clients are told when the tools changed
+process.on('SIGHUP', () => {
+    try {
+        console.log(`Tools reloaded: ${toolRegistry.reload().join(', ')}`);
+    } catch (error) {
+        console.error(`Reloading tools failed, keeping the previous ones: ${error.message}`);
+    }
 });
 
+// Start the MCP server: `--stdio` speaks JSON-RPC on stdin/stdout for a single client
+// (MCP clients such as Claude Desktop launch it that way); otherwise serve HTTP.
+const STDIO = process.argv.includes('--stdio');
+const PORT = process.env.MCP_PORT || 6000;
+
+if (STDIO) {
+    // stdout is reserved for protocol messages
+    console.log = console.error;
+    serveStdio(createSession(MCP_SERVER, { authorization: authorizationFor(null, true) }))
+        .then(() => process.exit(0));
+} else {
+    app.listen(PORT, () => {
+        console.log(`MCP Server running on port ${PORT} (Streamable HTTP endpoint: /mcp)`);
+        console.log(`Tools available: ${toolRegistry.names().join(', ')}`);
+    });
+}
+
 // Example MCP Client Configuration (for reference)
 const MCP_CLIENT_CONFIG = `
 // Example configuration for Claude Desktop or other MCP clients
@@ -370,29 +757,17 @@ const MCP_CLIENT_CONFIG = `
   "mcpServers": {
     "task-scheduler": {
       "command": "node",
-      "args": ["./mcp-server/mcp-server.js"],
+      "args": ["./mcp-server/mcp-server.js", "--stdio"],
       "env": {
-        "MCP_PORT": "6000"
+        "TASK_API_URL": "http://localhost:5000/api/tasks",
+        "TASK_API_TOKEN": "tsk_... (create one with POST /api/auth/tokens)"
       }
     }
   }
 }
 
-// For testing with Ollama or other LLMs, you can use this prompt:
-/*
-You have access to a task scheduling system through the following tools:
-
-1. create_task - Create new tasks with title, description, start/end times, and tags
-2. list_tasks - View all tasks or filter by date/tags  
-3. update_task - Modify existing tasks
-4. delete_task - Remove tasks
-5. search_tasks - Find tasks by title or description
-
-When users ask to schedule something, use create_task.
-When they ask to see their schedule, use list_tasks.
-Parse natural language dates like "tomorrow at 3pm" into ISO format.
-Infer appropriate tags based on context (work, personal, family, health, other).
-*/
+// Prompt templates ("plan-my-day", "weekly-review", "reschedule-overdue", "prepare-for-meeting")
+// are offered with prompts/list and prompts/get, pre-filled with your tasks.
 `;
 
 // Example test script for the MCP server
@@ -402,6 +777,8 @@ const axios = require('axios');
 
 async function testMCPServer() {
     const MCP_URL = 'http://localhost:6000';
+    // Tool calls act on behalf of the user owning this token
+    const auth = { headers: { Authorization: \`Bearer \${process.env.TASK_API_TOKEN}\` } };
     
     try {
         // 1. Get server info
@@ -423,14 +800,14 @@ async function testMCPServer() {
                 start: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
                 tags: ["work"]
             }
-        });
+        }, auth);
         console.log('Create result:', createResult.data);
         
         // 4. List tasks
         console.log('\\n4. Testing task listing...');
         const listResult = await axios.post(\`\${MCP_URL}/mcp/v1/tools/list_tasks\`, {
             arguments: {}
-        });
+        }, auth);
         console.log('Tasks:', listResult.data);
         
     } catch (error) {
@@ -441,5 +818,7 @@ async function testMCPServer() {
 testMCPServer();
 `;
 
-console.log('MCP Client Configuration Example:', MCP_CLIENT_CONFIG);
-console.log('Test Script:', TEST_SCRIPT);
\ No newline at end of file
+if (!STDIO) {
+    console.log('MCP Client Configuration Example:', MCP_CLIENT_CONFIG);
+    console.log('Test Script:', TEST_SCRIPT);
+}
\ No newline at end of file
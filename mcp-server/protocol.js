@@ -0,0 +1,173 @@
+// mcp-server/protocol.js
+// MCP JSON-RPC 2.0 message handling, independent of the transport that carries the messages
+
+const JSONRPC_VERSION = '2.0';
+// Newest first; a client asking for another version is offered the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    RESOURCE_NOT_FOUND: -32002 // Defined by MCP
+};
+
+// Error a method handler throws to answer with a specific JSON-RPC error
+function rpcError(code, message, data) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    if (data !== undefined) error.data = data;
+    return error;
+}
+
+function errorResponse(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+    return { jsonrpc: JSONRPC_VERSION, id, error };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// One client connection. `server` describes what is offered:
+//   info          { name, version } sent back on initialize
+//   instructions  optional usage hints for the client's model
+//   capabilities  object advertised on initialize, e.g. { tools: { listChanged: false } }
+//   methods       { 'tools/list': (params, session) => result, ... } for everything after initialize
+//   sessions      optional Set the open sessions are kept in, for broadcast()
+// `context` is kept on the session for the method handlers (e.g. the caller's credentials).
+// The transport sets session.notify(method, params) to send notifications to the client.
+function createSession(server, context = {}) {
+    const session = {
+        context,
+        protocolVersion: null,
+        clientInfo: null,
+        clientCapabilities: {},
+        initialized: false,
+        notify: () => {}
+    };
+    if (server.sessions) server.sessions.add(session);
+
+    function initialize(params) {
+        if (typeof params.protocolVersion !== 'string') {
+            throw rpcError(ERROR_CODES.INVALID_PARAMS, 'protocolVersion is required');
+        }
+
+        session.protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : PROTOCOL_VERSIONS[0];
+        session.clientInfo = params.clientInfo || null;
+        session.clientCapabilities = params.capabilities || {};
+
+        const result = {
+            protocolVersion: session.protocolVersion,
+            capabilities: server.capabilities,
+            serverInfo: server.info
+        };
+        if (server.instructions) result.instructions = server.instructions;
+        return result;
+    }
+
+    async function dispatch(method, params) {
+        switch (method) {
+            case 'initialize':
+                return initialize(params);
+            case 'notifications/initialized':
+                session.initialized = true;
+                return null;
+            case 'ping':
+                return {};
+            default:
+                break;
+        }
+
+        if (!session.protocolVersion) {
+            throw rpcError(ERROR_CODES.INVALID_REQUEST, 'Server not initialized: send initialize first');
+        }
+        const handler = server.methods[method];
+        if (!handler) throw rpcError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        return handler(params, session);
+    }
+
+    // Handle one parsed message; resolves to the response, or null for notifications
+    async function handleMessage(message) {
+        if (!isObject(message) || message.jsonrpc !== JSONRPC_VERSION) {
+            return errorResponse(isObject(message) && message.id !== undefined ? message.id : null,
+                ERROR_CODES.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC 2.0 message');
+        }
+
+        // Responses to server-to-client requests; none are sent yet
+        if (message.method === undefined && (message.result !== undefined || message.error !== undefined)) {
+            return null;
+        }
+
+        const isNotification = message.id === undefined;
+        if (typeof message.method !== 'string' ||
+            (!isNotification && typeof message.id !== 'string' && typeof message.id !== 'number')) {
+            return errorResponse(isNotification ? null : message.id, ERROR_CODES.INVALID_REQUEST,
+                'Invalid Request: method must be a string and id a string or number');
+        }
+        if (message.params !== undefined && !isObject(message.params)) {
+            return isNotification ? null : errorResponse(message.id, ERROR_CODES.INVALID_PARAMS, 'params must be an object');
+        }
+
+        try {
+            const result = await dispatch(message.method, message.params || {});
+            return isNotification ? null : { jsonrpc: JSONRPC_VERSION, id: message.id, result };
+        } catch (error) {
+            // Notifications never get a response, not even an error
+            if (isNotification) return null;
+            if (error.rpcCode) return errorResponse(message.id, error.rpcCode, error.message, error.data);
+            return errorResponse(message.id, ERROR_CODES.INTERNAL_ERROR, `Internal error: ${error.message}`);
+        }
+    }
+
+    // Handle a parsed message or batch (array of messages); resolves to what to send back, or null
+    session.handle = async payload => {
+        if (!Array.isArray(payload)) return handleMessage(payload);
+        if (payload.length === 0) {
+            return errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: empty batch');
+        }
+
+        const responses = (await Promise.all(payload.map(handleMessage))).filter(Boolean);
+        return responses.length > 0 ? responses : null;
+    };
+
+    // Handle a raw JSON text as received from a transport
+    session.handleText = async text => {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            return errorResponse(null, ERROR_CODES.PARSE_ERROR, `Parse error: ${error.message}`);
+        }
+        return session.handle(payload);
+    };
+
+    // Called by the transport when the connection is gone for good
+    session.close = () => {
+        if (server.sessions) server.sessions.delete(session);
+    };
+
+    return session;
+}
+
+// Send a notification (e.g. notifications/tools/list_changed) to every initialized session
+function broadcast(server, method, params) {
+    (server.sessions || []).forEach(session => {
+        if (session.initialized) session.notify(method, params);
+    });
+}
+
+module.exports = {
+    JSONRPC_VERSION,
+    PROTOCOL_VERSIONS,
+    ERROR_CODES,
+    rpcError,
+    errorResponse,
+    createSession,
+    broadcast
+};
\ No newline at end of file
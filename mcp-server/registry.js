@@ -0,0 +1,122 @@
+// mcp-server/registry.js
+// Tool registry: every tool is a self-contained module (schema, handler and metadata) loaded
+// from a directory or an npm package, so tools can be added without editing the server.
+//
+// A tool module exports one tool, an array of tools, or { tools: [...] }. A tool is:
+//   name          unique name the model calls it by (letters, digits, _ and -)
+//   title         optional human-readable name
+//   description   what the tool does and when to use it, for the model
+//   inputSchema   JSON Schema of the arguments (an object; see validation.js for the keywords)
+//   annotations   optional hints for clients: readOnlyHint, destructiveHint, idempotentHint, openWorldHint
+//   scopes        API token scopes the caller needs, e.g. ['tickets:write'] (default none)
+//   undoable      true when its task changes are logged for undo_last_action
+//   handler       async (args, context) => result, where context is
+//                 { api, authorization, operations }: a backend client acting as the caller,
+//                 the caller's Authorization header and their undo/redo stacks
+
+const fs = require('fs');
+const path = require('path');
+const { assertSupportedSchema } = require('./validation');
+
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+const SCOPE_PATTERN = /^[a-z][a-z0-9_-]*:[a-z][a-z0-9_-]*$/;
+
+// Throw when a tool definition is incomplete, naming the module it came from
+function checkTool(tool, source) {
+    const fail = message => {
+        throw new Error(`Invalid tool in ${source}: ${message}`);
+    };
+
+    if (!tool || typeof tool !== 'object') fail('expected an object');
+    if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+        fail(`name must be 1-64 letters, digits, _ or -, got ${JSON.stringify(tool.name)}`);
+    }
+    if (typeof tool.description !== 'string' || !tool.description) fail(`${tool.name} needs a description`);
+    if (tool.title !== undefined && typeof tool.title !== 'string') fail(`${tool.name}.title must be a string`);
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') fail(`${tool.name}.inputSchema must be an object schema`);
+    assertSupportedSchema(tool.inputSchema, `${tool.name}.inputSchema`);
+    if (typeof tool.handler !== 'function') fail(`${tool.name}.handler must be a function`);
+
+    Object.entries(tool.annotations || {}).forEach(([hint, value]) => {
+        if (!ANNOTATION_HINTS.includes(hint)) fail(`${tool.name} has unknown annotation ${hint}`);
+        if (typeof value !== 'boolean') fail(`${tool.name}.annotations.${hint} must be true or false`);
+    });
+    (tool.scopes || []).forEach(scope => {
+        if (!SCOPE_PATTERN.test(scope)) fail(`${tool.name} has invalid scope ${JSON.stringify(scope)} (expected e.g. "tickets:write")`);
+    });
+}
+
+function toolsOf(exported, source) {
+    if (Array.isArray(exported)) return exported;
+    if (exported && Array.isArray(exported.tools)) return exported.tools;
+    if (exported && typeof exported.handler === 'function') return [exported];
+    throw new Error(`${source} does not export a tool, an array of tools or { tools }`);
+}
+
+// Files a plugin consists of: the .js files directly in a directory (subdirectories can hold
+// shared code), a single file, or the main file of an npm package
+function pluginFiles(specifier, baseDir) {
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    if (!isPath) return [require.resolve(specifier, { paths: [baseDir] })];
+
+    const resolved = path.resolve(baseDir, specifier);
+    if (!fs.statSync(resolved).isDirectory()) return [resolved];
+    return fs.readdirSync(resolved)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => path.join(resolved, file));
+}
+
+// Load the tools of the given plugins (directories, files or package names, relative to
+// baseDir). reload() loads them again, e.g. after a plugin was updated, and calls onChange
+// when the available tools changed.
+function createToolRegistry(plugins, { baseDir = process.cwd(), onChange = () => {} } = {}) {
+    // Everything is loaded before anything is replaced, so a broken plugin keeps the old tools
+    function load() {
+        const loaded = new Map();
+        plugins.forEach(specifier => {
+            pluginFiles(specifier, baseDir).forEach(file => {
+                delete require.cache[file];
+                toolsOf(require(file), file).forEach(tool => {
+                    checkTool(tool, file);
+                    if (loaded.has(tool.name)) {
+                        throw new Error(`Tool ${tool.name} in ${file} is already defined in ${loaded.get(tool.name).source}`);
+                    }
+                    loaded.set(tool.name, { tool, source: file });
+                });
+            });
+        });
+        return loaded;
+    }
+
+    // What tools/list shows of each tool
+    function describe({ tool }) {
+        const listed = { name: tool.name };
+        if (tool.title) listed.title = tool.title;
+        listed.description = tool.description;
+        listed.inputSchema = tool.inputSchema;
+        if (tool.annotations) listed.annotations = tool.annotations;
+        return listed;
+    }
+
+    let tools = load();
+
+    return {
+        get: name => (tools.has(name) ? tools.get(name).tool : null),
+        list: () => [...tools.values()].map(describe),
+        names: () => [...tools.keys()],
+
+        // Returns the names of the tools now available
+        reload() {
+            const before = JSON.stringify(this.list());
+            tools = load();
+            if (JSON.stringify(this.list()) !== before) onChange();
+            return this.names();
+        }
+    };
+}
+
+module.exports = {
+    createToolRegistry
+};
\ No newline at end of file
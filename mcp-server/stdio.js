@@ -0,0 +1,37 @@
+// mcp-server/stdio.js
+// stdio transport: newline-delimited JSON-RPC messages on stdin, responses on stdout.
+// stdout carries nothing but protocol messages, so logging has to go to stderr.
+
+const readline = require('readline');
+
+// Serve one session until stdin closes; resolves when it has
+function serveStdio(session, { input = process.stdin, output = process.stdout } = {}) {
+    const send = message => output.write(`${JSON.stringify(message)}\n`);
+    // Lets the server push notifications to the client
+    session.notify = (method, params) => send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const pending = new Set();
+
+    lines.on('line', line => {
+        if (!line.trim()) return;
+        // Requests are handled concurrently; responses carry the request id, so order does not matter
+        const handling = session.handleText(line).then(response => {
+            if (response) send(response);
+        });
+        pending.add(handling);
+        handling.finally(() => pending.delete(handling));
+    });
+
+    return new Promise(resolve => {
+        lines.on('close', async () => {
+            await Promise.allSettled([...pending]);
+            session.close();
+            resolve();
+        });
+    });
+}
+
+module.exports = {
+    serveStdio
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+// mcp-server/toolHelpers.js
+// Schemas and result shapes shared by the built-in tools (and the resources and prompts)
+
+const DEFAULT_PAGE_SIZE = 50; // Keeps tool results small enough for the LLM context
+const MAX_LOGGED_OPERATIONS = 50; // Undoable tool calls remembered per user
+
+// Recurrence schema shared by create_task and update_task (iCalendar RRULE style)
+const RECURRENCE_SCHEMA = {
+    type: "object",
+    description: "Optional: repeat the task as a series, e.g. {\"freq\": \"weekly\", \"byDay\": [\"MO\"]} for every Monday",
+    properties: {
+        freq: {
+            type: "string",
+            enum: ["daily", "weekly", "monthly"],
+            description: "How often the task repeats"
+        },
+        interval: {
+            type: "integer",
+            minimum: 1,
+            description: "Repeat every N days/weeks/months (default 1)"
+        },
+        byDay: {
+            type: "array",
+            items: {
+                type: "string"
+            },
+            description: "Weekdays (MO, TU, WE, TH, FR, SA, SU). Monthly rules may use ordinals like 1MO or -1FR"
+        },
+        count: {
+            type: "integer",
+            minimum: 1,
+            description: "Stop after this many occurrences"
+        },
+        until: {
+            type: "string",
+            format: "date-time",
+            description: "Stop repeating after this date and time"
+        }
+    },
+    required: ["freq"]
+};
+
+// Reminder offsets shared by create_task, update_task and auto_schedule_task
+const REMINDERS_SCHEMA = {
+    type: "array",
+    items: {
+        type: ["integer", "string", "object"],
+        minimum: 0,
+        properties: {
+            minutesBefore: {
+                type: "integer",
+                minimum: 0
+            },
+            channels: {
+                type: "array",
+                items: {
+                    type: "string",
+                    enum: ["console", "webhook", "email"]
+                }
+            }
+        }
+    },
+    description: "Optional: reminders before the task starts, as minutes (10) or durations (\"10m\", \"2h\", \"1d\"). Use {\"minutesBefore\": 1440, \"channels\": [\"email\"]} to choose console, webhook or email delivery (default console)"
+};
+
+// Shape a backend task for tool results (occurrences of a series keep the series ID)
+function toToolTask(task) {
+    return {
+        id: task._id,
+        title: task.title,
+        description: task.description,
+        start: task.start,
+        end: task.end,
+        tags: task.tags,
+        color: task.color,
+        recurrence: task.recurrence || null,
+        reminders: task.reminders || [],
+        seriesId: task.seriesId || null,
+        originalStart: task.originalStart || null
+    };
+}
+
+// Turn a 409 from the backend into a tool result listing the overlapping tasks
+function conflictResult(error) {
+    if (!error.response || error.response.status !== 409) return null;
+
+    return {
+        success: false,
+        error: error.response.data.message,
+        conflicts: error.response.data.conflicts.map(toToolTask)
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_LOGGED_OPERATIONS,
+    RECURRENCE_SCHEMA,
+    REMINDERS_SCHEMA,
+    toToolTask,
+    conflictResult
+};
\ No newline at end of file
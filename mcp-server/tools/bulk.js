@@ -0,0 +1,260 @@
+// mcp-server/tools/bulk.js
+// Built-in tools that change or delete every task matching a filter in one all-or-nothing batch
+
+const { REMINDERS_SCHEMA, toToolTask, conflictResult } = require('../toolHelpers');
+
+const MAX_BULK_TASKS = 200; // Same as the backend's batch limit
+
+// Task selection shared by bulk_update_tasks and bulk_delete_tasks (at least one is required)
+const BULK_FILTER_PROPERTIES = {
+    date: {
+        type: "string",
+        format: "date",
+        description: "Tasks on this day (YYYY-MM-DD)"
+    },
+    start: {
+        type: "string",
+        format: "date-time",
+        description: "Start of a date window (use together with end, instead of date)"
+    },
+    end: {
+        type: "string",
+        format: "date-time",
+        description: "End of a date window"
+    },
+    tags: {
+        type: "array",
+        items: {
+            type: "string"
+        },
+        description: "Tasks with any of these tags"
+    },
+    query: {
+        type: "string",
+        description: "Tasks whose title or description contains this text"
+    },
+    preview: {
+        type: "boolean",
+        description: "Only report how many and which tasks would be affected, without changing anything"
+    }
+};
+
+// Find the tasks a bulk tool acts on. Within a date window recurring tasks are expanded,
+// so single occurrences are changed rather than whole series.
+async function findBulkTasks(args, api) {
+    const params = { limit: MAX_BULK_TASKS + 1 };
+    if (args.date) {
+        const [year, month, day] = args.date.split('-').map(Number);
+        params.start = new Date(year, month - 1, day).toISOString();
+        params.end = new Date(year, month - 1, day + 1).toISOString();
+    } else if (args.start || args.end) {
+        params.start = args.start;
+        params.end = args.end;
+    }
+    if (args.tags && args.tags.length > 0) params.tags = args.tags.join(',');
+    if (args.query) params.q = args.query;
+
+    if (!params.start && !params.tags && !params.q) {
+        throw new Error('A filter is required: date, start and end, tags or query');
+    }
+
+    const response = await api.get('', { params });
+    if (response.data.length > MAX_BULK_TASKS) {
+        throw new Error(`More than ${MAX_BULK_TASKS} tasks match; narrow down the filter`);
+    }
+    return response.data;
+}
+
+// Operation target: an occurrence of a series is addressed by its original start
+function bulkTarget(task) {
+    const target = { id: task._id };
+    if (task.recurrence && task.originalStart) target.occurrence = task.originalStart;
+    return target;
+}
+
+// Where a task ends up after moveToDate, shiftDays and shiftMinutes (null when it is not moved)
+function shiftedTimes(task, args) {
+    if (!args.moveToDate && !args.shiftDays && !args.shiftMinutes) return null;
+
+    const start = new Date(task.start);
+    const duration = new Date(task.end) - start;
+    if (args.moveToDate) {
+        const [year, month, day] = args.moveToDate.split('-').map(Number);
+        start.setFullYear(year, month - 1, day);
+    }
+    start.setDate(start.getDate() + (args.shiftDays || 0));
+    start.setMinutes(start.getMinutes() + (args.shiftMinutes || 0));
+    return { start, end: new Date(start.getTime() + duration) };
+}
+
+// Send the operations to the backend's all-or-nothing batch endpoint
+async function applyBatch(operations, allowOverlap, api) {
+    try {
+        const response = await api.post('/batch', { operations, allowOverlap: allowOverlap === true });
+        return response.data;
+    } catch (error) {
+        const conflict = conflictResult(error);
+        if (conflict) return conflict;
+        throw new Error(error.response?.data?.message || error.message);
+    }
+}
+
+async function bulkUpdateTasks(args, { api }) {
+    try {
+        const changes = {};
+        if (args.setTags !== undefined) changes.tags = args.setTags;
+        if (args.color !== undefined) changes.color = args.color;
+        if (args.description !== undefined) changes.description = args.description;
+        if (args.reminders !== undefined) changes.reminders = args.reminders;
+        const moves = Boolean(args.moveToDate || args.shiftDays || args.shiftMinutes);
+        if (!moves && Object.keys(changes).length === 0) {
+            throw new Error('Nothing to change: give shiftMinutes, shiftDays, moveToDate, setTags, color, description or reminders');
+        }
+
+        const tasks = await findBulkTasks(args, api);
+        const updates = tasks.map(task => ({ task, times: shiftedTimes(task, args) }));
+
+        if (args.preview) {
+            return {
+                success: true,
+                preview: true,
+                count: tasks.length,
+                tasks: updates.map(({ task, times }) => ({ ...toToolTask(task), ...times })),
+                message: `${tasks.length} task(s) would be updated`
+            };
+        }
+        if (tasks.length === 0) {
+            return { success: false, count: 0, error: 'No tasks match the filter' };
+        }
+
+        // Move the task furthest in the direction of travel first so the tasks
+        // don't collide with each other's old slots while they are being moved
+        const later = updates.some(({ task, times }) => times && times.start > new Date(task.start));
+        updates.sort((a, b) => (new Date(a.task.start) - new Date(b.task.start)) * (later ? -1 : 1));
+
+        const operations = updates.map(({ task, times }) => ({
+            op: 'update',
+            ...bulkTarget(task),
+            changes: { ...changes, ...times }
+        }));
+        const result = await applyBatch(operations, args.allowOverlap, api);
+        if (result.success === false) return result;
+
+        return {
+            success: true,
+            count: result.count,
+            tasks: result.results.map(item => toToolTask(item.task)),
+            message: `Updated ${result.count} task(s)`
+        };
+    } catch (error) {
+        throw new Error(`Failed to update tasks: ${error.message}`);
+    }
+}
+
+async function bulkDeleteTasks(args, { api }) {
+    try {
+        const tasks = await findBulkTasks(args, api);
+
+        if (args.preview) {
+            return {
+                success: true,
+                preview: true,
+                count: tasks.length,
+                tasks: tasks.map(toToolTask),
+                message: `${tasks.length} task(s) would be deleted`
+            };
+        }
+        if (tasks.length === 0) {
+            return { success: false, count: 0, error: 'No tasks match the filter' };
+        }
+
+        // Overrides of a series that is deleted as well go with it, so they need no operation of their own
+        const seriesIds = new Set(tasks.filter(task => task.recurrence && !task.originalStart).map(task => String(task._id)));
+        const operations = tasks
+            .filter(task => !task.seriesId || !seriesIds.has(String(task.seriesId)))
+            .map(task => ({ op: 'delete', ...bulkTarget(task) }));
+        await applyBatch(operations, false, api);
+
+        return {
+            success: true,
+            count: tasks.length,
+            message: `Deleted ${tasks.length} task(s)`
+        };
+    } catch (error) {
+        throw new Error(`Failed to delete tasks: ${error.message}`);
+    }
+}
+
+module.exports = [
+    {
+        name: "bulk_update_tasks",
+        title: "Update matching tasks",
+        description: "Change every task matching a filter in one go, e.g. move all of Friday's tasks to Monday, push this week's work meetings back an hour or retag tasks. All changes are applied together or not at all. Use preview first to see how many tasks match.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                ...BULK_FILTER_PROPERTIES,
+                shiftMinutes: {
+                    type: "integer",
+                    description: "Move the tasks by this many minutes (negative moves them earlier)"
+                },
+                shiftDays: {
+                    type: "integer",
+                    description: "Move the tasks by this many days (negative moves them earlier)"
+                },
+                moveToDate: {
+                    type: "string",
+                    format: "date",
+                    description: "Move the tasks to this day (YYYY-MM-DD), keeping their times"
+                },
+                setTags: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    },
+                    description: "Replace the tags of the tasks"
+                },
+                color: {
+                    type: "string",
+                    description: "New hex color code for the tasks"
+                },
+                description: {
+                    type: "string",
+                    description: "New description for the tasks"
+                },
+                reminders: REMINDERS_SCHEMA,
+                allowOverlap: {
+                    type: "boolean",
+                    description: "Set to true only after the user confirmed that overlapping other tasks is fine"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: bulkUpdateTasks
+    },
+    {
+        name: "bulk_delete_tasks",
+        title: "Delete matching tasks",
+        description: "Delete every task matching a filter in one go, e.g. clear a day or remove all tasks tagged family. All tasks are deleted together or not at all, and can be brought back with undo_last_action. Use preview first to see how many tasks match.",
+        inputSchema: {
+            type: "object",
+            properties: BULK_FILTER_PROPERTIES
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: bulkDeleteTasks
+    }
+];
\ No newline at end of file
@@ -0,0 +1,138 @@
+// mcp-server/tools/calendar.js
+// Built-in tools for exporting and importing iCalendar (.ics) files
+
+const fs = require('fs/promises');
+const path = require('path');
+const { toToolTask } = require('../toolHelpers');
+
+async function exportCalendar(args, { api }) {
+    try {
+        const params = {};
+        if (args.start || args.end) {
+            params.start = args.start;
+            params.end = args.end;
+        }
+        if (args.tags && args.tags.length > 0) params.tags = args.tags.join(',');
+
+        const response = await api.get('/export.ics', { params, responseType: 'text' });
+        const ics = response.data;
+        const count = (ics.match(/^BEGIN:VEVENT/gm) || []).length;
+
+        if (args.filePath) {
+            const filePath = path.resolve(args.filePath);
+            await fs.writeFile(filePath, ics, 'utf8');
+            return {
+                success: true,
+                count: count,
+                filePath: filePath,
+                message: `Exported ${count} event(s) to ${filePath}`
+            };
+        }
+
+        return {
+            success: true,
+            count: count,
+            ics: ics,
+            message: `Exported ${count} event(s)`
+        };
+    } catch (error) {
+        throw new Error(`Failed to export calendar: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function importCalendar(args, { api }) {
+    try {
+        if (!args.filePath && !args.ics) {
+            return {
+                success: false,
+                error: "Provide either filePath or ics"
+            };
+        }
+
+        const ics = args.filePath ? await fs.readFile(path.resolve(args.filePath), 'utf8') : args.ics;
+        const response = await api.post('/import', ics, {
+            headers: { 'Content-Type': 'text/calendar' }
+        });
+        const { imported, tasks, duplicates, skipped } = response.data;
+
+        return {
+            success: true,
+            imported: imported,
+            tasks: tasks.map(toToolTask),
+            duplicates: duplicates,
+            skipped: skipped,
+            message: `Imported ${imported} event(s), ${duplicates.length} already existed, ${skipped.length} could not be imported`
+        };
+    } catch (error) {
+        throw new Error(`Failed to import calendar: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+module.exports = [
+    {
+        name: "export_calendar",
+        title: "Export calendar",
+        description: "Export tasks as an iCalendar (.ics) file for other calendar apps. Use this when the user wants to export, share or back up their calendar.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                start: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: only export tasks from this date (use together with end)"
+                },
+                end: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: only export tasks until this date"
+                },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    },
+                    description: "Optional: only export tasks with these tags"
+                },
+                filePath: {
+                    type: "string",
+                    description: "Optional: write the .ics file to this path instead of returning its contents"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: exportCalendar
+    },
+    {
+        name: "import_calendar",
+        title: "Import calendar",
+        description: "Import events from an iCalendar (.ics) file into the task calendar. Events that were imported before are skipped.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                filePath: {
+                    type: "string",
+                    description: "Path of the .ics file to import"
+                },
+                ics: {
+                    type: "string",
+                    description: "The iCalendar file contents, if no file path is given"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: importCalendar
+    }
+];
\ No newline at end of file
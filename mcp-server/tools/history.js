@@ -0,0 +1,266 @@
+// mcp-server/tools/history.js
+// Built-in tools for task history, the trash, and undoing or redoing tool calls
+
+const { MAX_LOGGED_OPERATIONS, toToolTask } = require('../toolHelpers');
+
+// Move operations from one stack to the other, undoing or redoing each in the backend.
+// Stops at the first one that cannot be reverted (its tasks were changed again since).
+async function replayOperations(direction, args, api, from, to) {
+    const steps = args.steps || 1;
+    const replayed = [];
+
+    while (replayed.length < steps && from.length > 0) {
+        const operation = from[from.length - 1];
+        let tasks = [];
+        try {
+            const response = await api.post(`/operations/${operation.id}/${direction}`);
+            tasks = response.data.tasks;
+        } catch (error) {
+            // 404: the action did not change anything, so there is nothing to revert
+            if (!error.response || error.response.status !== 404) {
+                return {
+                    success: false,
+                    error: `Could not ${direction} "${operation.summary}": ${error.response?.data?.message || error.message}`,
+                    [direction === 'undo' ? 'undone' : 'redone']: replayed
+                };
+            }
+        }
+
+        to.push(from.pop());
+        replayed.push({ tool: operation.tool, summary: operation.summary, tasks });
+    }
+
+    return { success: true, replayed };
+}
+
+async function getTaskHistory(args, { api }) {
+    try {
+        const response = await api.get(`/${args.id}/history`);
+        const history = response.data.map(entry => ({
+            version: entry.version,
+            action: entry.action,
+            at: entry.createdAt,
+            via: entry.source === 'mcp' ? `assistant (${entry.tool})` : 'app',
+            changes: entry.changes.map(change => change.field),
+            title: (entry.after || entry.before).title
+        }));
+
+        return {
+            success: true,
+            count: history.length,
+            history: history,
+            message: `Task has ${history.length} recorded change(s)`
+        };
+    } catch (error) {
+        throw new Error(`Failed to get task history: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function listTrash(args, { api }) {
+    try {
+        const response = await api.get('/trash');
+        const tasks = response.data.map(item => ({
+            id: item.taskId,
+            title: item.title,
+            start: item.start,
+            end: item.end,
+            recurrence: item.recurrence,
+            deletedAt: item.deletedAt
+        }));
+
+        return {
+            success: true,
+            count: tasks.length,
+            tasks: tasks,
+            message: tasks.length > 0 ? `${tasks.length} deleted task(s) can be restored` : "The trash is empty"
+        };
+    } catch (error) {
+        throw new Error(`Failed to list trash: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function restoreTask(args, { api }) {
+    try {
+        if (args.version) {
+            const response = await api.post(`/${args.id}/restore`, { version: args.version });
+            return {
+                success: true,
+                task: toToolTask(response.data),
+                message: `Task "${response.data.title}" restored to version ${args.version}`
+            };
+        }
+
+        const response = await api.post(`/trash/${args.id}/restore`);
+        return {
+            success: true,
+            task: toToolTask(response.data.task),
+            message: `Task "${response.data.task.title}" restored from the trash`
+        };
+    } catch (error) {
+        if (error.response && [404, 409].includes(error.response.status)) {
+            return {
+                success: false,
+                error: error.response.data.message
+            };
+        }
+        throw new Error(`Failed to restore task: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function undoLastAction(args, { api, operations }) {
+    try {
+        if (operations.done.length === 0) {
+            return { success: false, error: "There is nothing to undo" };
+        }
+
+        const result = await replayOperations('undo', args, api, operations.done, operations.undone);
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            undone: result.replayed,
+            canUndo: operations.done.length,
+            canRedo: operations.undone.length,
+            message: `Undid ${result.replayed.length} action(s): ${result.replayed.map(operation => operation.summary).join('; ')}`
+        };
+    } catch (error) {
+        throw new Error(`Failed to undo: ${error.message}`);
+    }
+}
+
+async function redoLastAction(args, { api, operations }) {
+    try {
+        if (operations.undone.length === 0) {
+            return { success: false, error: "There is nothing to redo" };
+        }
+
+        const result = await replayOperations('redo', args, api, operations.undone, operations.done);
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            redone: result.replayed,
+            canUndo: operations.done.length,
+            canRedo: operations.undone.length,
+            message: `Redid ${result.replayed.length} action(s): ${result.replayed.map(operation => operation.summary).join('; ')}`
+        };
+    } catch (error) {
+        throw new Error(`Failed to redo: ${error.message}`);
+    }
+}
+
+module.exports = [
+    {
+        name: "get_task_history",
+        title: "Task history",
+        description: "Show the change history of a task (including deleted tasks): who changed what and when, with version numbers that restore_task can go back to.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "The ID of the task"
+                }
+            },
+            required: ["id"]
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: getTaskHistory
+    },
+    {
+        name: "list_trash",
+        title: "List deleted tasks",
+        description: "List recently deleted tasks that can be restored. Use this when the user wants to undelete or recover a task.",
+        inputSchema: {
+            type: "object",
+            properties: {}
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: listTrash
+    },
+    {
+        name: "restore_task",
+        title: "Restore task",
+        description: "Restore a deleted task from the trash, or bring a task back to an earlier version from get_task_history.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "The ID of the task"
+                },
+                version: {
+                    type: "integer",
+                    minimum: 1,
+                    description: "Optional: version to restore. Omit to undelete the task from the trash"
+                }
+            },
+            required: ["id"]
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: restoreTask
+    },
+    {
+        name: "undo_last_action",
+        title: "Undo",
+        description: "Undo the most recent change(s) made through these tools (create, update, delete, auto-schedule, import, restore). Use this when the user says undo, revert or that was wrong.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                steps: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: MAX_LOGGED_OPERATIONS,
+                    description: "Optional: how many actions to undo, most recent first (default 1)"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        handler: undoLastAction
+    },
+    {
+        name: "redo_last_action",
+        title: "Redo",
+        description: "Redo action(s) that were just undone with undo_last_action.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                steps: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: MAX_LOGGED_OPERATIONS,
+                    description: "Optional: how many undone actions to redo (default 1)"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        handler: redoLastAction
+    }
+];
\ No newline at end of file
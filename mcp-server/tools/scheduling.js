@@ -0,0 +1,249 @@
+// mcp-server/tools/scheduling.js
+// Built-in tools for conflict checks, free time and scheduling tasks into free slots
+
+const { RECURRENCE_SCHEMA, REMINDERS_SCHEMA, toToolTask } = require('../toolHelpers');
+
+// Slot search options shared by find_free_slots and auto_schedule_task
+const SLOT_SEARCH_PROPERTIES = {
+    duration: {
+        type: "integer",
+        minimum: 1,
+        description: "Length of the task in minutes"
+    },
+    start: {
+        type: "string",
+        format: "date-time",
+        description: "Start of the search window (e.g. tomorrow 12:00 for \"tomorrow afternoon\"). Defaults to now"
+    },
+    end: {
+        type: "string",
+        format: "date-time",
+        description: "End of the search window. Defaults to 7 days after start"
+    },
+    workStart: {
+        type: "string",
+        description: "Start of working hours as HH:MM (default 09:00)"
+    },
+    workEnd: {
+        type: "string",
+        description: "End of working hours as HH:MM (default 17:00)"
+    },
+    workDays: {
+        type: "array",
+        items: {
+            type: "string",
+            enum: ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]
+        },
+        description: "Days that can be used (default Monday to Friday)"
+    },
+    prefer: {
+        type: "string",
+        enum: ["earliest", "latest"],
+        description: "Rank earlier or later slots first (default earliest)"
+    }
+};
+
+// Copy the slot search options the backend understands
+function slotSearchParams(args) {
+    const params = {};
+    Object.keys(SLOT_SEARCH_PROPERTIES).forEach(key => {
+        if (args[key] !== undefined) params[key] = args[key];
+    });
+    if (params.workDays) params.workDays = params.workDays.join(',');
+    return params;
+}
+
+async function checkConflicts(args, { api }) {
+    try {
+        const body = {};
+        if (args.id) {
+            // Rescheduling: the backend fills in whatever is not being changed
+            body.id = args.id;
+            if (args.occurrence) body.occurrence = args.occurrence;
+            if (args.start) body.start = new Date(args.start);
+            if (args.end) body.end = new Date(args.end);
+            if (args.recurrence !== undefined) body.recurrence = args.recurrence;
+        } else {
+            const startDate = new Date(args.start);
+            body.start = startDate;
+            body.end = args.end ? new Date(args.end) : new Date(startDate.getTime() + 60 * 60 * 1000); // +1 hour
+            body.recurrence = args.recurrence || null;
+        }
+
+        const response = await api.post('/conflicts', body);
+        const conflicts = response.data.conflicts.map(toToolTask);
+
+        return {
+            success: true,
+            hasConflicts: conflicts.length > 0,
+            count: conflicts.length,
+            conflicts: conflicts,
+            message: conflicts.length > 0
+                ? `Overlaps with ${conflicts.length} task(s): ${conflicts.map(task => task.title).join(', ')}`
+                : "No conflicts found"
+        };
+    } catch (error) {
+        throw new Error(`Failed to check conflicts: ${error.message}`);
+    }
+}
+
+async function findFreeSlots(args, { api }) {
+    try {
+        const params = slotSearchParams(args);
+        if (args.tags && args.tags.length > 0) params.busyTags = args.tags.join(',');
+        if (args.limit) params.limit = args.limit;
+
+        const response = await api.get('/free-slots', { params });
+        const slots = response.data.slots;
+
+        return {
+            success: true,
+            count: slots.length,
+            slots: slots,
+            message: slots.length > 0
+                ? `Found ${slots.length} free slot(s)`
+                : "No free slots found in that window"
+        };
+    } catch (error) {
+        throw new Error(`Failed to find free slots: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function autoScheduleTask(args, { api }) {
+    try {
+        const response = await api.post('/auto-schedule', {
+            ...slotSearchParams(args),
+            title: args.title,
+            description: args.description || '',
+            tags: args.tags || ['other'],
+            color: args.color || '#3788d8',
+            reminders: args.reminders || []
+        });
+
+        return {
+            success: true,
+            task: response.data.task,
+            alternatives: response.data.alternatives,
+            message: `Task "${args.title}" scheduled for ${new Date(response.data.task.start).toLocaleString()}`
+        };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return {
+                success: false,
+                error: error.response.data.message
+            };
+        }
+        throw new Error(`Failed to auto-schedule task: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+module.exports = [
+    {
+        name: "check_conflicts",
+        title: "Check for conflicts",
+        description: "Check whether a new or changed task would overlap existing tasks. Use this before creating or rescheduling a task to warn the user about double-booking.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "Optional: ID of the task being rescheduled (omit for a new task)"
+                },
+                occurrence: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: original start of the single occurrence being rescheduled"
+                },
+                start: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Proposed start date and time"
+                },
+                end: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Proposed end date and time. Defaults to start + 1 hour for new tasks"
+                },
+                recurrence: RECURRENCE_SCHEMA
+            }
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: checkConflicts
+    },
+    {
+        name: "find_free_slots",
+        title: "Find free time",
+        description: "Find free time slots of a given duration between existing tasks, best first. Use this when the user asks when they are free or wants a suggestion for when to do something.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                ...SLOT_SEARCH_PROPERTIES,
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    },
+                    description: "Optional: only tasks with these tags count as busy (default: all tasks)"
+                },
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    description: "Maximum number of slots to return (default 5)"
+                }
+            },
+            required: ["duration"]
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: findFreeSlots
+    },
+    {
+        name: "auto_schedule_task",
+        title: "Schedule task in a free slot",
+        description: "Create a task in the best free slot. Use this when the user asks to find time for something (e.g. \"find me an hour tomorrow afternoon for code review\").",
+        inputSchema: {
+            type: "object",
+            properties: {
+                title: {
+                    type: "string",
+                    description: "The title or name of the task"
+                },
+                description: {
+                    type: "string",
+                    description: "Optional detailed description of the task"
+                },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string",
+                        enum: ["work", "personal", "family", "health", "other"]
+                    },
+                    description: "Categories for the new task"
+                },
+                color: {
+                    type: "string",
+                    description: "Hex color code for the task (e.g., #3788d8)"
+                },
+                reminders: REMINDERS_SCHEMA,
+                ...SLOT_SEARCH_PROPERTIES
+            },
+            required: ["title", "duration"]
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: autoScheduleTask
+    }
+];
\ No newline at end of file
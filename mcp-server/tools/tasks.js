@@ -0,0 +1,377 @@
+// mcp-server/tools/tasks.js
+// Built-in tools for creating, listing, changing and deleting single tasks
+
+const { DEFAULT_PAGE_SIZE, RECURRENCE_SCHEMA, REMINDERS_SCHEMA, toToolTask, conflictResult } = require('../toolHelpers');
+
+async function createTask(args, { api }) {
+    try {
+        // Parse natural language dates if needed
+        let startDate = new Date(args.start);
+        let endDate = args.end ? new Date(args.end) : new Date(startDate.getTime() + 60 * 60 * 1000); // +1 hour
+
+        const taskData = {
+            title: args.title,
+            description: args.description || '',
+            start: startDate,
+            end: endDate,
+            tags: args.tags || ['other'],
+            color: args.color || '#3788d8',
+            recurrence: args.recurrence || null,
+            reminders: args.reminders || [],
+            allowOverlap: args.allowOverlap === true
+        };
+
+        const response = await api.post('', taskData);
+        
+        return {
+            success: true,
+            task: response.data,
+            message: `Task "${args.title}" created successfully`
+        };
+    } catch (error) {
+        const conflict = conflictResult(error);
+        if (conflict) return conflict;
+        throw new Error(`Failed to create task: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function listTasks(args, { api }) {
+    try {
+        const params = {
+            limit: args.limit || DEFAULT_PAGE_SIZE
+        };
+
+        // Filtering happens in the backend; a window also expands recurring tasks
+        if (args.date) {
+            const [year, month, day] = args.date.split('-').map(Number);
+            params.start = new Date(year, month - 1, day).toISOString();
+            params.end = new Date(year, month - 1, day + 1).toISOString();
+        } else if (args.start || args.end) {
+            params.start = args.start;
+            params.end = args.end;
+        }
+        if (args.tags && args.tags.length > 0) params.tags = args.tags.join(',');
+        if (args.sort) params.sort = args.sort;
+        if (args.cursor) params.cursor = args.cursor;
+
+        const response = await api.get('', { params });
+        const tasks = response.data;
+
+        return {
+            success: true,
+            count: tasks.length,
+            tasks: tasks.map(toToolTask),
+            nextCursor: response.headers['x-next-cursor'] || null
+        };
+    } catch (error) {
+        throw new Error(`Failed to list tasks: ${error.message}`);
+    }
+}
+
+async function updateTask(args, { api }) {
+    try {
+        const updateData = {};
+        if (args.title !== undefined) updateData.title = args.title;
+        if (args.description !== undefined) updateData.description = args.description;
+        if (args.start !== undefined) updateData.start = new Date(args.start);
+        if (args.end !== undefined) updateData.end = new Date(args.end);
+        if (args.tags !== undefined) updateData.tags = args.tags;
+        if (args.color !== undefined) updateData.color = args.color;
+        if (args.recurrence !== undefined) updateData.recurrence = args.recurrence;
+        if (args.reminders !== undefined) updateData.reminders = args.reminders;
+        if (args.allowOverlap === true) updateData.allowOverlap = true;
+
+        // An occurrence date targets a single occurrence of a recurring series
+        const params = args.occurrence ? { occurrence: args.occurrence } : {};
+        const response = await api.put(`/${args.id}`, updateData, { params });
+        
+        return {
+            success: true,
+            task: response.data,
+            message: args.occurrence ? "Occurrence updated successfully" : "Task updated successfully"
+        };
+    } catch (error) {
+        const conflict = conflictResult(error);
+        if (conflict) return conflict;
+        throw new Error(`Failed to update task: ${error.response?.data?.message || error.message}`);
+    }
+}
+
+async function deleteTask(args, { api }) {
+    try {
+        const params = args.occurrence ? { occurrence: args.occurrence } : {};
+        await api.delete(`/${args.id}`, { params });
+        
+        return {
+            success: true,
+            message: args.occurrence ? "Occurrence deleted successfully" : "Task deleted successfully"
+        };
+    } catch (error) {
+        throw new Error(`Failed to delete task: ${error.message}`);
+    }
+}
+
+async function searchTasks(args, { api }) {
+    try {
+        const params = {
+            q: args.query,
+            limit: args.limit || DEFAULT_PAGE_SIZE
+        };
+        if (args.cursor) params.cursor = args.cursor;
+
+        const response = await api.get('', { params });
+        const matchingTasks = response.data;
+
+        return {
+            success: true,
+            count: matchingTasks.length,
+            tasks: matchingTasks.map(toToolTask),
+            nextCursor: response.headers['x-next-cursor'] || null
+        };
+    } catch (error) {
+        throw new Error(`Failed to search tasks: ${error.message}`);
+    }
+}
+
+module.exports = [
+    {
+        name: "create_task",
+        title: "Create task",
+        description: "Create a new task in the calendar. Use this when the user wants to schedule, add, or create a new task or event.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                title: {
+                    type: "string",
+                    description: "The title or name of the task"
+                },
+                description: {
+                    type: "string",
+                    description: "Optional detailed description of the task"
+                },
+                start: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Start date and time in ISO format (e.g., 2024-01-20T14:30:00)"
+                },
+                end: {
+                    type: "string",
+                    format: "date-time",
+                    description: "End date and time in ISO format. If not provided, defaults to start time + 1 hour"
+                },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string",
+                        enum: ["work", "personal", "family", "health", "other"]
+                    },
+                    description: "Categories for the task. Can include: work, personal, family, health, other"
+                },
+                color: {
+                    type: "string",
+                    description: "Hex color code for the task (e.g., #3788d8)"
+                },
+                recurrence: RECURRENCE_SCHEMA,
+                reminders: REMINDERS_SCHEMA,
+                allowOverlap: {
+                    type: "boolean",
+                    description: "Set to true only after the user confirmed they want the task even though it overlaps other tasks"
+                }
+            },
+            required: ["title", "start"]
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: false,
+            idempotentHint: false,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: createTask
+    },
+    {
+        name: "list_tasks",
+        title: "List tasks",
+        description: "List scheduled tasks. Use this when the user wants to see, view, or check their tasks or schedule.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                date: {
+                    type: "string",
+                    format: "date",
+                    description: "Optional: filter tasks for a specific date (YYYY-MM-DD format)"
+                },
+                start: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: start of a date window (use together with end, instead of date)"
+                },
+                end: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: end of a date window"
+                },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    },
+                    description: "Optional: filter tasks by tags"
+                },
+                sort: {
+                    type: "string",
+                    enum: ["start", "-start", "end", "-end", "title", "-title", "createdAt", "-createdAt", "updatedAt", "-updatedAt"],
+                    description: "Optional: sort order, prefix with - for descending (default: start)"
+                },
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 500,
+                    description: "Optional: maximum number of tasks to return (default: 50)"
+                },
+                cursor: {
+                    type: "string",
+                    description: "Optional: nextCursor from a previous call to get the next page"
+                }
+            }
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: listTasks
+    },
+    {
+        name: "update_task",
+        title: "Update task",
+        description: "Update an existing task. Use this when the user wants to modify, change, or edit a task.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "The ID of the task to update"
+                },
+                title: {
+                    type: "string",
+                    description: "New title for the task"
+                },
+                description: {
+                    type: "string",
+                    description: "New description for the task"
+                },
+                start: {
+                    type: "string",
+                    format: "date-time",
+                    description: "New start date and time"
+                },
+                end: {
+                    type: "string",
+                    format: "date-time",
+                    description: "New end date and time"
+                },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "string"
+                    },
+                    description: "New tags for the task"
+                },
+                color: {
+                    type: "string",
+                    description: "New color for the task"
+                },
+                recurrence: {
+                    ...RECURRENCE_SCHEMA,
+                    type: ["object", "null"],
+                    description: "New recurrence for the whole series, or null to stop repeating"
+                },
+                reminders: {
+                    ...REMINDERS_SCHEMA,
+                    description: "New reminders for the task, replacing the old ones (an empty array removes them)"
+                },
+                occurrence: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: original start of a single occurrence of a recurring task to change. Omit to change the whole series"
+                },
+                allowOverlap: {
+                    type: "boolean",
+                    description: "Set to true only after the user confirmed they want the new time even though it overlaps other tasks"
+                }
+            },
+            required: ["id"]
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: updateTask
+    },
+    {
+        name: "delete_task",
+        title: "Delete task",
+        description: "Delete a task from the calendar. Use this when the user wants to remove, delete, or cancel a task.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "string",
+                    description: "The ID of the task to delete"
+                },
+                occurrence: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional: original start of a single occurrence of a recurring task to delete. Omit to delete the whole series"
+                }
+            },
+            required: ["id"]
+        },
+        annotations: {
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:write'],
+        undoable: true,
+        handler: deleteTask
+    },
+    {
+        name: "search_tasks",
+        title: "Search tasks",
+        description: "Search for tasks by title or description. Use this when the user wants to find a specific task.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "Search query to match against task titles and descriptions"
+                },
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 500,
+                    description: "Optional: maximum number of tasks to return (default: 50)"
+                },
+                cursor: {
+                    type: "string",
+                    description: "Optional: nextCursor from a previous call to get the next page"
+                }
+            },
+            required: ["query"]
+        },
+        annotations: {
+            readOnlyHint: true,
+            openWorldHint: false
+        },
+        scopes: ['tasks:read'],
+        handler: searchTasks
+    }
+];
\ No newline at end of file
@@ -0,0 +1,142 @@
+// mcp-server/validation.js
+// Checks tool arguments against the tools' JSON Schemas (the subset of keywords the schemas use),
+// reporting every problem with the path of the field so a model can correct its call
+
+const SUPPORTED_KEYWORDS = [
+    'type', 'description', 'properties', 'required', 'additionalProperties',
+    'items', 'enum', 'format', 'minimum', 'maximum', 'default'
+];
+
+// ISO 8601 as the backend parses it: seconds and the UTC offset are optional
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const FORMATS = {
+    'date-time': {
+        test: value => DATE_TIME_PATTERN.test(value) && !isNaN(new Date(value).getTime()),
+        hint: 'a date-time like 2025-07-02T15:00:00'
+    },
+    date: {
+        test: value => {
+            const match = DATE_PATTERN.exec(value);
+            if (!match) return false;
+            const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+            return date.toISOString().startsWith(value);
+        },
+        hint: 'a date like 2025-07-02'
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value);
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// Problems of a value against a schema, as [{ path, message }]; an empty path is the value itself
+function validate(schema, value, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path, message });
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => hasType(value, type))) {
+            fail(`must be ${types.join(' or ')}, got ${describe(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail(`must be one of ${schema.enum.join(', ')}, got ${describe(value)}`);
+    }
+
+    if (typeof value === 'string' && schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+        fail(`must be ${FORMATS[schema.format].hint}, got ${describe(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}, got ${value}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (isPlainObject(value) && (schema.properties || schema.required)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+        });
+
+        Object.entries(value).forEach(([key, item]) => {
+            if (item === undefined) return;
+            if (properties[key]) {
+                errors.push(...validate(properties[key], item, joinPath(path, key)));
+            } else if (schema.additionalProperties !== true) {
+                errors.push({
+                    path: joinPath(path, key),
+                    message: `is not a known property (expected: ${Object.keys(properties).join(', ') || 'none'})`
+                });
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Problems of a tool call's arguments (missing arguments count as an empty object)
+function validateArguments(inputSchema, args) {
+    return validate(inputSchema, args === undefined || args === null ? {} : args);
+}
+
+// "start: must be ...; title: is required" for messages
+function formatErrors(errors) {
+    return errors.map(error => (error.path ? `${error.path}: ${error.message}` : error.message)).join('; ');
+}
+
+// Throw when a schema uses keywords validate() does not understand, so they are not silently ignored
+function assertSupportedSchema(schema, path = 'inputSchema') {
+    Object.keys(schema).forEach(keyword => {
+        if (!SUPPORTED_KEYWORDS.includes(keyword)) throw new Error(`${path} uses unsupported schema keyword "${keyword}"`);
+    });
+    if (schema.format && !FORMATS[schema.format]) throw new Error(`${path} uses unsupported format "${schema.format}"`);
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        assertSupportedSchema(property, `${path}.properties.${key}`);
+    });
+    if (schema.items) assertSupportedSchema(schema.items, `${path}.items`);
+}
+
+module.exports = {
+    validate,
+    validateArguments,
+    formatErrors,
+    assertSupportedSchema
+};
\ No newline at end of file
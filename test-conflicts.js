@@ -0,0 +1,166 @@
+// test-conflicts.js
+// Tests for overlap detection: the helpers that compare time slots, and the task routes that
+// reject a create or update overlapping other tasks unless allowOverlap is set.
+
+process.env.STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { overlaps, occupiedSlots, findConflicts } = require('./backend/utils/conflicts');
+const { normalizeRecurrence } = require('./backend/utils/recurrence');
+const taskRoutes = require('./backend/routes/tasks');
+
+// 2030-01-<day> at <hour>:<minutes> UTC
+function at(day, hour, minutes = 0) {
+    return new Date(Date.UTC(2030, 0, day, hour, minutes));
+}
+
+function slot(start, end) {
+    return { start, end };
+}
+
+describe('overlap helpers', () => {
+    it('treats slots that only touch as not overlapping', () => {
+        assert.equal(overlaps(slot(at(1, 9), at(1, 10)), slot(at(1, 10), at(1, 11))), false);
+        assert.equal(overlaps(slot(at(1, 10), at(1, 11)), slot(at(1, 9), at(1, 10))), false);
+        assert.equal(overlaps(slot(at(1, 9), at(1, 10, 30)), slot(at(1, 10), at(1, 11))), true);
+        assert.equal(overlaps(slot(at(1, 9), at(1, 12)), slot(at(1, 10), at(1, 11))), true);
+    });
+
+    it('lets a zero-length task overlap only a task around it', () => {
+        const point = slot(at(1, 10), at(1, 10));
+        assert.equal(overlaps(point, slot(at(1, 9), at(1, 11))), true);
+        assert.equal(overlaps(point, slot(at(1, 10), at(1, 11))), false);
+        assert.equal(overlaps(point, slot(at(1, 9), at(1, 10))), false);
+    });
+
+    it('occupies one slot per occurrence of a series', () => {
+        const series = { start: at(1, 9), end: at(1, 10), recurrence: normalizeRecurrence('FREQ=DAILY;COUNT=3') };
+        assert.deepEqual(occupiedSlots(series), [slot(at(1, 9), at(1, 10)), slot(at(2, 9), at(2, 10)), slot(at(3, 9), at(3, 10))]);
+        assert.deepEqual(occupiedSlots({ start: at(1, 9), end: at(1, 10) }), [slot(at(1, 9), at(1, 10))]);
+    });
+
+    it('leaves out the tasks a change replaces', () => {
+        const tasks = [{ _id: 'a', ...slot(at(1, 9), at(1, 10)) }, { _id: 'b', ...slot(at(1, 9, 30), at(1, 11)) }];
+        const conflicts = findConflicts([slot(at(1, 9), at(1, 10))], tasks, task => task._id === 'a');
+        assert.deepEqual(conflicts.map(task => task._id), ['b']);
+    });
+});
+
+describe('task routes', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        // Stands in for the auth middleware: the owner comes from a test header
+        app.use((req, res, next) => {
+            req.user = { _id: new mongoose.Types.ObjectId(req.get('X-Test-User')) };
+            next();
+        });
+        app.use('/api/tasks', taskRoutes);
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        url = `http://localhost:${server.address().port}/api/tasks`;
+    });
+
+    after(() => new Promise(done => server.close(done)));
+
+    // Requests on behalf of a new user, so tests don't see each other's tasks
+    function newUser() {
+        const owner = String(new mongoose.Types.ObjectId());
+        const send = async (method, path, body) => {
+            const response = await fetch(`${url}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'X-Test-User': owner },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+        return {
+            create: body => send('POST', '', { title: 'Task', ...body }),
+            update: (id, body, query = '') => send('PUT', `/${id}${query}`, body),
+            check: body => send('POST', '/conflicts', body)
+        };
+    }
+
+    it('accepts tasks that touch and rejects tasks that overlap', async () => {
+        const user = newUser();
+        const first = await user.create({ start: at(1, 9), end: at(1, 10) });
+        assert.equal(first.status, 201);
+        assert.equal((await user.create({ start: at(1, 10), end: at(1, 11) })).status, 201);
+        assert.equal((await user.create({ start: at(1, 8), end: at(1, 9) })).status, 201);
+
+        const rejected = await user.create({ start: at(1, 9, 30), end: at(1, 9, 45) });
+        assert.equal(rejected.status, 409);
+        assert.match(rejected.body.message, /overlaps with 1 existing task/);
+        assert.deepEqual(rejected.body.conflicts.map(task => task._id), [first.body._id]);
+    });
+
+    it('checks zero-length tasks', async () => {
+        const user = newUser();
+        assert.equal((await user.create({ start: at(2, 9), end: at(2, 10) })).status, 201);
+        assert.equal((await user.create({ start: at(2, 10), end: at(2, 10) })).status, 201);
+        assert.equal((await user.create({ start: at(2, 9, 30), end: at(2, 9, 30) })).status, 409);
+
+        // An existing zero-length task conflicts with a task around it
+        const around = await user.create({ start: at(2, 10), end: at(2, 11) });
+        assert.equal(around.status, 201);
+        assert.equal((await user.create({ start: at(2, 12), end: at(2, 12) })).status, 201);
+        assert.equal((await user.create({ start: at(2, 11, 30), end: at(2, 12, 30) })).status, 409);
+    });
+
+    it('finds conflicts with the occurrences of recurring tasks', async () => {
+        const user = newUser();
+        const series = await user.create({ start: at(3, 14), end: at(3, 15), recurrence: 'FREQ=DAILY;COUNT=5' });
+        assert.equal(series.status, 201);
+
+        const rejected = await user.create({ start: at(5, 14, 30), end: at(5, 15, 30) });
+        assert.equal(rejected.status, 409);
+        assert.equal(rejected.body.conflicts[0].seriesId, series.body._id);
+        assert.equal(rejected.body.conflicts[0].start, at(5, 14).toISOString());
+
+        // After the last occurrence the slot is free
+        assert.equal((await user.create({ start: at(8, 14, 30), end: at(8, 15, 30) })).status, 201);
+
+        // A new series is checked on every occurrence, not just its first one
+        const weekly = await user.create({ start: at(1, 14), end: at(1, 15), recurrence: 'FREQ=WEEKLY;COUNT=2' });
+        assert.equal(weekly.status, 409);
+        assert.equal(weekly.body.conflicts[0].start, at(8, 14, 30).toISOString());
+    });
+
+    it('saves overlapping tasks when allowOverlap is set', async () => {
+        const user = newUser();
+        await user.create({ start: at(9, 9), end: at(9, 10) });
+        assert.equal((await user.create({ start: at(9, 9), end: at(9, 10), allowOverlap: true })).status, 201);
+        assert.equal((await user.create({ start: at(9, 9), end: at(9, 10), allowOverlap: 'true' })).status, 201);
+        assert.equal((await user.create({ start: at(9, 9), end: at(9, 10), allowOverlap: false })).status, 409);
+
+        const second = await user.create({ start: at(9, 11), end: at(9, 12) });
+        assert.equal((await user.update(second.body._id, { start: at(9, 9, 30) })).status, 409);
+        assert.equal((await user.update(second.body._id, { start: at(9, 9, 30), allowOverlap: true })).status, 200);
+    });
+
+    it('does not compare an update against the task it changes', async () => {
+        const user = newUser();
+        const task = await user.create({ start: at(10, 9), end: at(10, 10) });
+        const moved = await user.update(task.body._id, { start: at(10, 9, 30), end: at(10, 10, 30) });
+        assert.equal(moved.status, 200);
+        assert.deepEqual((await user.check({ id: task.body._id, end: at(10, 11) })).body, { hasConflicts: false, conflicts: [] });
+
+        // Neither is a changed occurrence compared against itself or its place in the series
+        const series = await user.create({ start: at(11, 9), end: at(11, 10), recurrence: 'FREQ=DAILY;COUNT=3' });
+        const occurrence = `?occurrence=${encodeURIComponent(at(12, 9).toISOString())}`;
+        assert.equal((await user.update(series.body._id, { start: at(12, 9, 15), end: at(12, 10, 15) }, occurrence)).status, 200);
+        assert.equal((await user.update(series.body._id, { start: at(12, 9, 30), end: at(12, 10, 30) }, occurrence)).status, 200);
+
+        // ...but it is compared against the rest of the series
+        const clash = await user.update(series.body._id, { start: at(13, 8, 30), end: at(13, 9, 30) }, occurrence);
+        assert.equal(clash.status, 409);
+        assert.equal(clash.body.conflicts[0].start, at(13, 9).toISOString());
+    });
+});
@@ -0,0 +1,127 @@
+// test-decision.js
+// Tests for reading and checking the model's decisions, with the problems that are sent back to
+// the model so it can repair its answer.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDecision, checkDecision, describeProblems, decideWithRepairs, MAX_CORRECTIONS } = require('./client/decision');
+const { createProvider } = require('./client/providers');
+
+const TOOL_SCHEMAS = {
+    create_task: {
+        type: 'object',
+        properties: {
+            title: { type: 'string' },
+            start: { type: 'string', format: 'date-time' }
+        },
+        required: ['title', 'start']
+    },
+    list_tasks: { type: 'object', properties: {} }
+};
+
+describe('parseDecision', () => {
+    it('reads a JSON object, also with text around it', () => {
+        assert.deepEqual(parseDecision('{"action": "list_tasks"}'), { decision: { action: 'list_tasks' } });
+        assert.deepEqual(parseDecision('Sure! {"action": "list_tasks", "parameters": {}} Hope that helps.').decision,
+            { action: 'list_tasks', parameters: {} });
+    });
+
+    it('reports answers that hold no JSON object', () => {
+        assert.match(parseDecision('I will list your tasks').errors[0].message, /not valid JSON/);
+        assert.match(parseDecision('{"action": "list_tasks", ').errors[0].message, /not valid JSON/);
+        assert.equal(parseDecision('["list_tasks"]').errors[0].message, 'the answer must be a JSON object');
+        assert.equal(parseDecision('').errors[0].message, 'the answer is empty');
+    });
+});
+
+describe('checkDecision', () => {
+    it('accepts valid tool calls and replies', () => {
+        assert.deepEqual(checkDecision({ action: 'create_task', parameters: { title: 'Gym', start: '2030-07-02T07:00:00' } }, TOOL_SCHEMAS), []);
+        assert.deepEqual(checkDecision({ action: 'list_tasks', parameters: null }, TOOL_SCHEMAS), []);
+        assert.deepEqual(checkDecision({ action: 'respond', explanation: 'Done.' }, TOOL_SCHEMAS), []);
+        assert.deepEqual(checkDecision({ action: 'ask_clarification', missing_info: ['date'] }, TOOL_SCHEMAS), []);
+    });
+
+    it('reports missing and mistyped fields', () => {
+        assert.deepEqual(checkDecision({ parameters: {} }, TOOL_SCHEMAS), [{ path: 'action', message: 'is required' }]);
+        assert.deepEqual(checkDecision({ action: 'list_tasks', parameters: 'all' }, TOOL_SCHEMAS),
+            [{ path: 'parameters', message: 'must be object or null, got "all"' }]);
+        assert.deepEqual(checkDecision({ action: 'ask_clarification', missing_info: 'a date' }, TOOL_SCHEMAS),
+            [{ path: 'missing_info', message: 'must be array, got "a date"' }]);
+    });
+
+    it('reports replies without an answer', () => {
+        assert.equal(checkDecision({ action: 'respond', explanation: '  ' }, TOOL_SCHEMAS)[0].path, 'explanation');
+        assert.equal(checkDecision({ action: 'ask_clarification', missing_info: [] }, TOOL_SCHEMAS)[0].path, 'missing_info');
+    });
+
+    it('reports unknown actions with the ones that exist', () => {
+        const [error] = checkDecision({ action: 'make_task', parameters: {} }, TOOL_SCHEMAS);
+        assert.equal(error.path, 'action');
+        assert.equal(error.message, 'unknown tool "make_task" (expected: create_task, list_tasks, respond or ask_clarification)');
+    });
+
+    it("checks parameters against the tool's input schema", () => {
+        assert.deepEqual(checkDecision({ action: 'create_task', parameters: { title: 'Gym', start: 'tomorrow 7am', color: 'red' } }, TOOL_SCHEMAS), [
+            { path: 'start', message: 'must be a date-time like 2025-07-02T15:00:00, got "tomorrow 7am"' },
+            { path: 'color', message: 'is not a known property (expected: title, start)' }
+        ]);
+    });
+});
+
+describe('decideWithRepairs', () => {
+    // Asks the mock model in JSON mode like the client does, with the problems of an invalid
+    // answer added to the prompt
+    function jsonModel(script) {
+        const model = createProvider('mock', { script });
+        const ask = async correction => {
+            const prompt = correction
+                ? `Request\nResponse: ${correction.previous.raw}\n\nThat response is invalid:\n${describeProblems(correction.errors)}`
+                : 'Request';
+            const raw = await model.generate({ prompt, json: true });
+            const { decision, errors } = parseDecision(raw);
+            return { ...decision, raw, parseErrors: errors };
+        };
+        return { model, ask };
+    }
+
+    it('sends the problems back and uses the repaired answer', async () => {
+        const { model, ask } = jsonModel([
+            'Creating it now',
+            '{"action": "make_task", "parameters": {"title": "Gym"}}',
+            '{"action": "create_task", "parameters": {"title": "Gym", "start": "2030-07-02T07:00:00"}}'
+        ]);
+        const repairs = [];
+        const { decision, errors } = await decideWithRepairs(ask, TOOL_SCHEMAS, { onRepair: (problems, attempt) => repairs.push(attempt) });
+
+        assert.deepEqual(errors, []);
+        assert.equal(decision.action, 'create_task');
+        assert.deepEqual(repairs, [1, 2]);
+        assert.match(model.calls[1].prompt, /Response: Creating it now\n[\s\S]*- answer: the answer is not valid JSON/);
+        assert.match(model.calls[2].prompt, /- action: unknown tool "make_task" \(expected: create_task, list_tasks, respond or ask_clarification\)/);
+    });
+
+    it(`gives up after ${MAX_CORRECTIONS} repairs with the last answer's problems`, async () => {
+        const { model, ask } = jsonModel([
+            '{"action": "make_task", "parameters": {}}',
+            '{"action": "create_task", "parameters": {"title": "Gym", "start": "tomorrow 7am"}}',
+            '{"action": "create_task", "parameters": {"title": "Gym"}}',
+            '{"action": "list_tasks", "parameters": {}}'
+        ]);
+        const { decision, errors } = await decideWithRepairs(ask, TOOL_SCHEMAS);
+
+        assert.equal(model.calls.length, MAX_CORRECTIONS + 1);
+        assert.equal(decision.action, 'create_task');
+        assert.deepEqual(errors, [{ path: 'start', message: 'is required' }]);
+        assert.match(model.calls[2].prompt, /- start: must be a date-time like 2025-07-02T15:00:00, got "tomorrow 7am"/);
+    });
+
+    it('does not ask again for a valid answer', async () => {
+        const { model, ask } = jsonModel(['{"action": "respond", "explanation": "You have no tasks."}', '{"action": "list_tasks"}']);
+        const { decision, errors } = await decideWithRepairs(ask, TOOL_SCHEMAS);
+
+        assert.deepEqual(errors, []);
+        assert.equal(decision.explanation, 'You have no tasks.');
+        assert.equal(model.calls.length, 1);
+    });
+});
@@ -0,0 +1,116 @@
+// test-free-slots.js
+// Tests for finding and ranking free time slots between existing tasks. Working hours are local
+// time, so the tests run in UTC.
+
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULTS, parseSlotOptions, findFreeSlots } = require('./backend/utils/freeSlots');
+
+// 2030-01-07 is a Monday; at(7, 9) is that day at 09:00
+function at(day, hour, minutes = 0) {
+    return new Date(Date.UTC(2030, 0, day, hour, minutes));
+}
+
+// Free slots in the window [start, end) as "<day> HH:mm-HH:mm" strings, best first
+function slots(busy, input) {
+    return findFreeSlots(busy, parseSlotOptions(input)).map(({ start, end }) => {
+        const time = date => date.toISOString().slice(11, 16);
+        return `${start.getUTCDate()} ${time(start)}-${time(end)}`;
+    });
+}
+
+describe('parseSlotOptions', () => {
+    it('fills in the defaults', () => {
+        const options = parseSlotOptions({ duration: 30, start: at(7, 0).toISOString() });
+        assert.equal(options.duration, 30 * 60 * 1000);
+        assert.equal(options.windowEnd - options.windowStart, DEFAULTS.windowDays * 24 * 60 * 60 * 1000);
+        assert.equal(options.workStart, 9 * 60);
+        assert.equal(options.workEnd, 17 * 60);
+        assert.deepEqual(options.workDays, [1, 2, 3, 4, 5]);
+        assert.equal(options.step, 15 * 60 * 1000);
+        assert.equal(options.prefer, 'earliest');
+        assert.equal(options.limit, DEFAULTS.limit);
+    });
+
+    it('reads work days from a list or a comma separated string', () => {
+        assert.deepEqual(parseSlotOptions({ duration: 30, workDays: 'sa, su' }).workDays, [6, 0]);
+        assert.deepEqual(parseSlotOptions({ duration: 30, workDays: ['MO'] }).workDays, [1]);
+    });
+
+    it('rejects invalid options', () => {
+        assert.throws(() => parseSlotOptions({}), /duration \(in minutes\) is required/);
+        assert.throws(() => parseSlotOptions({ duration: 0 }), /duration must be a positive integer/);
+        assert.throws(() => parseSlotOptions({ duration: 30, step: 2.5 }), /step must be a positive integer/);
+        assert.throws(() => parseSlotOptions({ duration: 30, workStart: '9am' }), /workStart must be a time like 09:00/);
+        assert.throws(() => parseSlotOptions({ duration: 30, workStart: '17:00', workEnd: '09:00' }), /workEnd must be after workStart/);
+        assert.throws(() => parseSlotOptions({ duration: 30, workDays: 'MO,XX' }), /Invalid work day: XX/);
+        assert.throws(() => parseSlotOptions({ duration: 30, prefer: 'soonest' }), /prefer must be earliest or latest/);
+        assert.throws(() => parseSlotOptions({ duration: 30, start: at(8, 0), end: at(7, 0) }), /end must be after start/);
+        assert.throws(() => parseSlotOptions({ duration: 30, start: at(1, 0), end: at(1, 0).getTime() + 63 * 24 * 60 * 60 * 1000 }),
+            /cannot be longer than 62 days/);
+    });
+});
+
+describe('findFreeSlots', () => {
+    const monday = { start: at(7, 0), end: at(8, 0) };
+
+    it('only offers slots within working hours', () => {
+        const found = slots([], { ...monday, duration: 60, step: 60, limit: 10 });
+        assert.deepEqual(found.sort(), ['7 09:00-10:00', '7 10:00-11:00', '7 11:00-12:00', '7 12:00-13:00',
+            '7 13:00-14:00', '7 14:00-15:00', '7 15:00-16:00', '7 16:00-17:00']);
+
+        const evening = slots([], { ...monday, duration: 60, step: 60, limit: 10, workStart: '18:00', workEnd: '20:00' });
+        assert.deepEqual(evening.sort(), ['7 18:00-19:00', '7 19:00-20:00']);
+    });
+
+    it('skips non-working days', () => {
+        const weekend = { start: at(12, 0), end: at(14, 0), duration: 60, limit: 1 };
+        assert.deepEqual(slots([], weekend), []);
+        assert.deepEqual(slots([], { ...weekend, workDays: 'SU' }), ['13 09:30-10:30']);
+
+        // A window from Saturday to Monday only has slots on Monday
+        assert.deepEqual(slots([], { start: at(12, 0), end: at(15, 0), duration: 60, limit: 1 }), ['14 09:30-10:30']);
+    });
+
+    it('prefers early or late slots, with some room around them', () => {
+        assert.deepEqual(slots([], { ...monday, duration: 60, limit: 1 }), ['7 09:30-10:30']);
+        assert.deepEqual(slots([], { ...monday, duration: 60, limit: 1, prefer: 'latest' }), ['7 15:30-16:30']);
+
+        // Without room in the day, the earliest slot itself is best
+        assert.deepEqual(slots([], { ...monday, duration: 8 * 60, limit: 1 }), ['7 09:00-17:00']);
+    });
+
+    it('starts slots on multiples of step', () => {
+        const busy = [{ start: at(7, 9), end: at(7, 9, 10) }];
+        const found = slots(busy, { ...monday, duration: 30, step: 20, limit: 50 });
+        assert.ok(found.length > 0);
+        found.forEach(slot => assert.match(slot, /^7 \d{2}:(00|20|40)-/));
+        assert.ok(!found.some(slot => slot.startsWith('7 09:00')));
+    });
+
+    it('returns at most limit slots that never overlap each other', () => {
+        const found = findFreeSlots([], parseSlotOptions({ ...monday, duration: 90, limit: 4 }));
+        assert.equal(found.length, 4);
+        found.forEach((slot, index) => found.slice(index + 1).forEach(other => {
+            assert.ok(slot.end <= other.start || other.end <= slot.start);
+        }));
+        assert.deepEqual(found.map(slot => slot.score), [...found.map(slot => slot.score)].sort((a, b) => b - a));
+    });
+
+    it('fits slots exactly between busy tasks and inside the window', () => {
+        const busy = [{ start: at(7, 11), end: at(7, 17) }, { start: at(7, 9), end: at(7, 10) }];
+        assert.deepEqual(slots(busy, { ...monday, duration: 60, limit: 5 }), ['7 10:00-11:00']);
+        assert.deepEqual(slots(busy, { ...monday, duration: 61, limit: 5 }), []);
+
+        // A window starting mid-day clips the working hours
+        assert.deepEqual(slots([], { start: at(7, 16, 10), end: at(8, 0), duration: 30, limit: 5 }), ['7 16:15-16:45']);
+        assert.deepEqual(slots([], { start: at(7, 0), end: at(7, 9, 45), duration: 30, limit: 5 }), ['7 09:00-09:30']);
+    });
+
+    it('ignores zero-length tasks', () => {
+        const busy = [{ start: at(7, 9, 30), end: at(7, 9, 30) }];
+        assert.deepEqual(slots(busy, { ...monday, duration: 8 * 60, limit: 1 }), ['7 09:00-17:00']);
+    });
+});
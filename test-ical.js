@@ -0,0 +1,182 @@
+// test-ical.js
+// Tests for iCalendar export and import: tasks written by tasksToICS read back the same with
+// parseICS, and an exported calendar imported for another user gives that user the same tasks.
+
+process.env.STORAGE = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { parseICS, tasksToICS, taskUid } = require('./backend/utils/ical');
+const { normalizeRecurrence } = require('./backend/utils/recurrence');
+const taskRoutes = require('./backend/routes/tasks');
+
+const HOUR = 60 * 60 * 1000;
+
+// 2030-01-<day> at <hour>:00 UTC
+function at(day, hour) {
+    return new Date(Date.UTC(2030, 0, day, hour));
+}
+
+function task(fields) {
+    return { _id: new mongoose.Types.ObjectId(), description: '', tags: ['other'], color: '#3788d8', ...fields };
+}
+
+// The unfolded properties of the VEVENTs in an .ics file
+function eventLines(ics) {
+    return ics.replace(/\r\n[ \t]/g, '').split('\r\n');
+}
+
+describe('tasksToICS and parseICS', () => {
+    it('read back a plain task with escaped text, tags and color', () => {
+        const written = task({
+            title: 'Review; plan, ship',
+            description: 'First line\nSecond, with a \\ backslash',
+            start: at(1, 9),
+            end: at(1, 10),
+            tags: ['work', 'health'],
+            color: '#ff6347'
+        });
+        const { events, errors } = parseICS(tasksToICS([written]));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(events, [{
+            uid: taskUid(written),
+            title: written.title,
+            description: written.description,
+            start: written.start,
+            end: written.end,
+            tags: written.tags,
+            color: '#ff6347',
+            recurrence: null,
+            recurrenceId: null
+        }]);
+    });
+
+    it('writes a CSS color name as COLOR and every color as X-TASK-SCHEDULER-COLOR', () => {
+        const lines = eventLines(tasksToICS([task({ title: 'Named', start: at(1, 9), end: at(1, 10), color: '#FF0000' })]));
+        assert.ok(lines.includes('COLOR:red'));
+        assert.ok(lines.includes('X-TASK-SCHEDULER-COLOR:#FF0000'));
+
+        const custom = eventLines(tasksToICS([task({ title: 'Custom', start: at(1, 9), end: at(1, 10), color: '#3788d8' })]));
+        assert.ok(!custom.some(line => line.startsWith('COLOR:')));
+        assert.ok(custom.includes('X-TASK-SCHEDULER-COLOR:#3788d8'));
+    });
+
+    it('reads CSS color names from other calendars, preferring the exact color', () => {
+        const event = color => [
+            'BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:1@example.com', 'DTSTART:20300101T090000Z',
+            'DTEND:20300101T100000Z', 'SUMMARY:Colored', ...color, 'END:VEVENT', 'END:VCALENDAR'
+        ].join('\r\n');
+
+        assert.equal(parseICS(event(['COLOR:Tomato'])).events[0].color, '#ff6347');
+        assert.equal(parseICS(event(['COLOR:tomato', 'X-TASK-SCHEDULER-COLOR:#ff6348'])).events[0].color, '#ff6348');
+        assert.equal(parseICS(event(['COLOR:not-a-color'])).events[0].color, undefined);
+    });
+
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const title = `Plan the ${'Überraschungsparty 🎉 '.repeat(8)}`.trim();
+        const ics = tasksToICS([task({ title, start: at(1, 9), end: at(1, 10) })]);
+
+        ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+        assert.ok(ics.includes('\r\n '));
+        assert.equal(parseICS(ics).events[0].title, title);
+    });
+
+    it('read back a recurring task with exceptions and an edited occurrence', () => {
+        const series = task({
+            title: 'Standup',
+            start: at(7, 9),
+            end: new Date(at(7, 9).getTime() + HOUR / 4),
+            recurrence: normalizeRecurrence({ freq: 'weekly', interval: 2, byDay: ['MO', 'TH'], count: 6, exdates: [at(10, 9)] })
+        });
+        const edited = task({ title: 'Standup (moved)', start: at(21, 11), end: at(21, 12), seriesId: series._id, originalStart: at(21, 9) });
+
+        const ics = tasksToICS([series, edited]);
+        const lines = eventLines(ics);
+        assert.ok(lines.includes('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6'));
+        assert.ok(lines.includes('EXDATE:20300110T090000Z'));
+        assert.ok(lines.includes('RECURRENCE-ID:20300121T090000Z'));
+
+        const [readSeries, readEdited] = parseICS(ics).events;
+        assert.deepEqual(readSeries.recurrence, series.recurrence);
+        assert.deepEqual(readSeries.end, series.end);
+        assert.equal(readEdited.uid, taskUid(series));
+        assert.deepEqual(readEdited.recurrenceId, at(21, 9));
+        assert.deepEqual([readEdited.title, readEdited.start, readEdited.end], [edited.title, edited.start, edited.end]);
+    });
+});
+
+describe('export and import', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        // Stands in for the auth middleware: the owner comes from a test header
+        app.use((req, res, next) => {
+            req.user = { _id: new mongoose.Types.ObjectId(req.get('X-Test-User')) };
+            next();
+        });
+        app.use('/api/tasks', taskRoutes);
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        url = `http://localhost:${server.address().port}/api/tasks`;
+    });
+
+    after(() => new Promise(done => server.close(done)));
+
+    // Requests on behalf of a new user, so tests don't see each other's tasks
+    function newUser() {
+        const owner = String(new mongoose.Types.ObjectId());
+        return async (method, path, body, type = 'application/json') => {
+            const response = await fetch(`${url}${path}`, {
+                method,
+                headers: { 'Content-Type': type, 'X-Test-User': owner },
+                body: type === 'application/json' ? JSON.stringify(body) : body
+            });
+            return response.headers.get('Content-Type').startsWith('text/calendar') ? response.text() : response.json();
+        };
+    }
+
+    // A user's tasks in January 2030 with recurring ones expanded, without IDs and timestamps
+    async function januaryOf(user) {
+        const tasks = await user('GET', `?start=${at(1, 0).toISOString()}&end=${at(32, 0).toISOString()}`);
+        return tasks.map(({ title, description, start, end, tags, color, recurrence, originalStart }) => (
+            { title, description, start, end, tags, color, recurrence, originalStart }
+        ));
+    }
+
+    it('gives back the same tasks, with the edited occurrence linked to its series', async () => {
+        const alice = newUser();
+        await alice('POST', '', { title: 'Dentist', description: 'Bring the form', start: at(3, 8), end: at(3, 9), tags: ['health'], color: '#008000' });
+        const series = await alice('POST', '', {
+            title: 'Gym',
+            start: at(7, 18),
+            end: at(7, 19),
+            tags: ['personal'],
+            recurrence: { freq: 'weekly', byDay: ['MO', 'WE'], until: at(30, 23) }
+        });
+        await alice('DELETE', `/${series._id}?occurrence=${at(9, 18).toISOString()}`);
+        await alice('PUT', `/${series._id}?occurrence=${at(14, 18).toISOString()}`, { title: 'Gym with Sam', start: at(14, 20), end: at(14, 21) });
+
+        const ics = await alice('GET', '/export.ics');
+        const bob = newUser();
+        const result = await bob('POST', '/import', ics, 'text/calendar');
+        assert.equal(result.imported, 3);
+        assert.deepEqual(result.skipped, []);
+
+        const expected = await januaryOf(alice);
+        assert.equal(expected.length, 8);
+        assert.deepEqual(await januaryOf(bob), expected);
+
+        // Importing the same file again changes nothing
+        const again = await bob('POST', '/import', ics, 'text/calendar');
+        assert.equal(again.imported, 0);
+        assert.equal(again.duplicates.length, 3);
+        assert.deepEqual(await januaryOf(bob), expected);
+    });
+});
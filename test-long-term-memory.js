@@ -0,0 +1,109 @@
+// test-long-term-memory.js
+// Tests for the client's long-term memory, with the word-hashing stand-in for an embedding model
+// so results are the same on every machine and no Ollama is needed.
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLongTermMemory, hashEmbedding, similarity, parseMemoryCommand } = require('./client/longTermMemory');
+
+const dir = path.join(os.tmpdir(), `long-term-memory-test-${process.pid}`);
+let profileCount = 0;
+
+// Every test gets its own profile, so they don't see each other's memories
+function newMemory(options = {}) {
+    profileCount++;
+    return createLongTermMemory({ dir, profile: `user${profileCount}`, embed: hashEmbedding(), ...options });
+}
+
+describe('long-term memory', () => {
+    let memory;
+
+    beforeEach(() => {
+        memory = newMemory();
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('recalls the facts related to a request, best first', async () => {
+        await memory.remember('John is my manager');
+        await memory.remember('Gym is always at 7am');
+        await memory.remember('My dentist is Dr. Smith');
+
+        const items = await memory.recall('schedule gym tomorrow', { minScore: 0.2 });
+        assert.equal(items[0].text, 'Gym is always at 7am');
+        assert.equal(items[0].kind, 'fact');
+        assert.ok(items.every(item => !item.embedding));
+
+        const manager = await memory.recall('meeting with my manager John', { limit: 1, minScore: 0.2 });
+        assert.deepEqual(manager.map(item => item.text), ['John is my manager']);
+    });
+
+    it('leaves out unrelated items', async () => {
+        await memory.remember('John is my manager');
+        assert.deepEqual(await memory.recall('buy groceries'), []);
+    });
+
+    it('stores the same fact once', async () => {
+        await memory.remember('Gym is always at 7am');
+        await memory.remember('gym is always at 7am');
+        assert.equal((await memory.facts()).length, 1);
+    });
+
+    it('forgets facts by number, by text and by similarity', async () => {
+        await memory.remember('John is my manager');
+        await memory.remember('Gym is always at 7am');
+        await memory.remember('Standup is at 9:30 on weekdays');
+
+        assert.equal((await memory.forget('2')).text, 'Gym is always at 7am');
+        assert.equal((await memory.forget('manager')).text, 'John is my manager');
+        assert.equal((await memory.forget('weekdays standup time', { minScore: 0.3 })).text, 'Standup is at 9:30 on weekdays');
+        assert.equal(await memory.forget('1'), null);
+        assert.deepEqual(await memory.facts(), []);
+    });
+
+    it('keeps only the latest turns, and every fact', async () => {
+        memory = newMemory({ maxTurns: 2 });
+        await memory.remember('Gym is always at 7am');
+        for (const day of ['Monday', 'Tuesday', 'Wednesday']) {
+            await memory.add('turn', `User: plan ${day}`);
+        }
+
+        const items = await memory.recall('plan gym Monday Tuesday Wednesday', { limit: 10, minScore: 0.01 });
+        assert.deepEqual(items.map(item => item.text).sort(), ['Gym is always at 7am', 'User: plan Tuesday', 'User: plan Wednesday']);
+    });
+
+    it('reads what an earlier client saved', async () => {
+        await memory.remember('John is my manager');
+        await memory.flush();
+
+        const again = createLongTermMemory({ dir, profile: `user${profileCount}`, embed: hashEmbedding() });
+        assert.deepEqual((await again.facts()).map(fact => fact.text), ['John is my manager']);
+        assert.ok(fs.existsSync(again.file));
+    });
+
+    it('ignores items embedded by a model with another vector length', () => {
+        assert.equal(similarity([1, 0], [1, 0, 0]), 0);
+        assert.equal(similarity([1, 2], [2, 4]).toFixed(6), '1.000000');
+    });
+});
+
+describe('memory commands', () => {
+    it('reads /remember, /forget and /memories', () => {
+        assert.deepEqual(parseMemoryCommand('/remember  gym is always at 7am '), { name: 'remember', argument: 'gym is always at 7am' });
+        assert.deepEqual(parseMemoryCommand('/Forget 2'), { name: 'forget', argument: '2' });
+        assert.deepEqual(parseMemoryCommand('/memories'), { name: 'memories', argument: null });
+        assert.deepEqual(parseMemoryCommand('/remember'), { name: 'remember', argument: null });
+    });
+
+    it('leaves requests that start with the same words to the agent', () => {
+        assert.equal(parseMemoryCommand('remember to call mom tomorrow at 5pm'), null);
+        assert.equal(parseMemoryCommand('forget the dentist task'), null);
+        assert.equal(parseMemoryCommand('memories'), null);
+        assert.equal(parseMemoryCommand('/rememberme'), null);
+    });
+});
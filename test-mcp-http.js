@@ -0,0 +1,185 @@
+// test-mcp-http.js
+// Tests for the MCP server's Streamable HTTP transport, run against a small server with one tool
+// and a method that answers only when the test lets it.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createHttpTransport } = require('./mcp-server/http');
+const { broadcast } = require('./mcp-server/protocol');
+
+// Resolves the pending "slow" request
+let finishSlow = null;
+
+const SERVER = {
+    info: { name: 'test-server', version: '1.0.0' },
+    capabilities: { tools: { listChanged: true } },
+    sessions: new Set(),
+    methods: {
+        'tools/list': () => ({ tools: [{ name: 'list_tasks', inputSchema: { type: 'object' } }] }),
+        slow: () => new Promise(resolve => {
+            finishSlow = () => resolve({ done: true });
+        })
+    }
+};
+
+const INITIALIZE = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+const ALICE = { Authorization: 'Bearer tsk_alice' };
+const STREAM = { Accept: 'application/json, text/event-stream' };
+
+// Reads the events ({ id, message }) of an SSE response one at a time; null once it ended
+function eventReader(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    return async () => {
+        while (!buffer.includes('\n\n')) {
+            const { value, done } = await reader.read();
+            if (done) return null;
+            buffer += decoder.decode(value, { stream: true });
+        }
+        const block = buffer.slice(0, buffer.indexOf('\n\n'));
+        buffer = buffer.slice(block.length + 2);
+        const fields = Object.fromEntries(block.split('\n').map(line => {
+            const colon = line.indexOf(':');
+            return [line.slice(0, colon), line.slice(colon + 1).trim()];
+        }));
+        return { id: fields.id, message: fields.data ? JSON.parse(fields.data) : null };
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('streamable HTTP transport', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        // Like the MCP server without MCP_HTTP_USE_API_TOKEN: only the caller's own header counts
+        app.use('/mcp', createHttpTransport(SERVER, { authorizationFor: header => header || null }).handlers);
+        server = await new Promise(resolve => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        url = `http://localhost:${server.address().port}/mcp`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        return new Promise(done => server.close(done));
+    });
+
+    function post(body, headers = {}, signal) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    }
+
+    // A new initialized session of `credentials`; resolves to its ID
+    async function openSession(credentials = ALICE) {
+        const response = await post(INITIALIZE, credentials);
+        assert.equal(response.status, 200);
+        const sessionId = response.headers.get('Mcp-Session-Id');
+        const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { ...credentials, 'Mcp-Session-Id': sessionId });
+        assert.equal(initialized.status, 202);
+        return sessionId;
+    }
+
+    it('refuses requests without an Authorization header', async () => {
+        const response = await post(INITIALIZE);
+        assert.equal(response.status, 401);
+        assert.match((await response.json()).error.message, /Authorization header is required/);
+
+        const stream = await fetch(url, { headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': 'abc' } });
+        assert.equal(stream.status, 401);
+    });
+
+    it('serves sessions to callers with credentials, and only to them', async () => {
+        const sessionId = await openSession();
+
+        const list = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+        const tools = await post(list, { ...ALICE, 'Mcp-Session-Id': sessionId });
+        assert.equal((await tools.json()).result.tools[0].name, 'list_tasks');
+
+        const other = await post(list, { Authorization: 'Bearer tsk_bob', 'Mcp-Session-Id': sessionId });
+        assert.equal(other.status, 403);
+    });
+
+    it('answers requests on an SSE stream when the client accepts one', async () => {
+        const sessionId = await openSession();
+        const response = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { ...ALICE, ...STREAM, 'Mcp-Session-Id': sessionId });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+        const next = eventReader(response);
+        const first = await next();
+        assert.ok(first.id);
+        assert.equal(first.message, null); // Only gives the client an ID to resume from
+        const answer = await next();
+        assert.equal(answer.message.id, 3);
+        assert.equal(answer.message.result.tools[0].name, 'list_tasks');
+        assert.equal(await next(), null);
+    });
+
+    it('replays a lost response to a GET with Last-Event-ID', async () => {
+        const sessionId = await openSession();
+        const controller = new AbortController();
+        const response = await post({ jsonrpc: '2.0', id: 4, method: 'slow' },
+            { ...ALICE, ...STREAM, 'Mcp-Session-Id': sessionId }, controller.signal);
+        const { id } = await eventReader(response)();
+
+        // The connection drops before the answer is ready
+        controller.abort();
+        await wait(50);
+        finishSlow();
+        await wait(50);
+
+        const resumed = await fetch(url, { headers: { ...ALICE, Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'Last-Event-ID': id } });
+        assert.equal(resumed.status, 200);
+        const next = eventReader(resumed);
+        assert.deepEqual((await next()).message, { jsonrpc: '2.0', id: 4, result: { done: true } });
+        assert.equal((await next()).message, null);
+        assert.equal(await next(), null); // The request's stream is finished
+    });
+
+    it('sends notifications/tools/list_changed on the GET stream', async () => {
+        const sessionId = await openSession();
+        const controller = new AbortController();
+        const stream = await fetch(url, { headers: { ...ALICE, Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId }, signal: controller.signal });
+        assert.equal(stream.status, 200);
+        const next = eventReader(stream);
+        await next();
+
+        broadcast(SERVER, 'notifications/tools/list_changed');
+        assert.deepEqual((await next()).message, { jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+        controller.abort();
+    });
+
+    it('forgets a session after DELETE', async () => {
+        const sessionId = await openSession();
+        const deleted = await fetch(url, { method: 'DELETE', headers: { ...ALICE, 'Mcp-Session-Id': sessionId } });
+        assert.equal(deleted.status, 204);
+
+        const reused = await post({ jsonrpc: '2.0', id: 5, method: 'tools/list' }, { ...ALICE, 'Mcp-Session-Id': sessionId });
+        assert.equal(reused.status, 404);
+        assert.match((await reused.json()).error.message, /Session not found/);
+    });
+
+    it('refuses browser pages from other origins', async () => {
+        const foreign = await post(INITIALIZE, { ...ALICE, Origin: 'https://evil.example' });
+        assert.equal(foreign.status, 403);
+        assert.match((await foreign.json()).error.message, /Origin https:\/\/evil.example is not allowed/);
+
+        const local = await post(INITIALIZE, { ...ALICE, Origin: 'http://localhost:8080' });
+        assert.equal(local.status, 200);
+    });
+});
@@ -6,6 +6,8 @@ const axios = require('axios');
 // Simple test of the MCP server without Ollama
 async function testMemoryWithSimpleCommands() {
     const MCP_URL = 'http://localhost:6000';
+    // Tool calls act as the owner of this API token
+    const auth = { headers: { Authorization: `Bearer ${process.env.TASK_API_TOKEN}` } };
     
     console.log('🧪 Testing MCP Task Scheduler with Memory\n');
     
@@ -19,14 +21,14 @@ async function testMemoryWithSimpleCommands() {
                 start: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // Tomorrow
                 tags: ["work"]
             }
-        });
+        }, auth);
         console.log('✅ Created:', createResult.data.result.task.title);
         
         // Test 2: List tasks
         console.log('\n2. Listing all tasks...');
         const listResult = await axios.post(`${MCP_URL}/mcp/v1/tools/list_tasks`, {
             arguments: {}
-        });
+        }, auth);
         console.log('✅ Found tasks:', listResult.data.result.tasks.length);
         listResult.data.result.tasks.forEach(task => {
             console.log(`   - ${task.title} (${new Date(task.start).toLocaleDateString()})`);
@@ -38,7 +40,7 @@ async function testMemoryWithSimpleCommands() {
             arguments: {
                 query: "meeting"
             }
-        });
+        }, auth);
         console.log('✅ Found matching tasks:', searchResult.data.result.tasks.length);
         
         // Test 4: Create another task
@@ -50,7 +52,7 @@ async function testMemoryWithSimpleCommands() {
                 start: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // Day after tomorrow
                 tags: ["health"]
             }
-        });
+        }, auth);
         console.log('✅ Created:', createResult2.data.result.task.title);
         
         console.log('\n🎉 Memory Demo Complete!');
@@ -65,4 +67,9 @@ async function testMemoryWithSimpleCommands() {
     }
 }
 
+if (!process.env.TASK_API_TOKEN) {
+    console.error('❌ Set TASK_API_TOKEN to an API token (create one with POST /api/auth/tokens): the MCP server refuses tool calls without one.');
+    process.exit(1);
+}
+
 testMemoryWithSimpleCommands();
@@ -0,0 +1,205 @@
+// test-providers.js
+// Tests for the client's model providers. The Ollama and OpenAI-compatible providers talk to a
+// small local server that answers like the real ones, streaming included.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createProvider, providerSettings } = require('./client/providers');
+const { toOpenAiMessages } = require('./client/providers/openai');
+
+// A server that answers each path with `routes[path](body)`: { status, chunks } streams the
+// chunks (strings) one by one, { status, json } sends JSON. Requests are kept in `requests`.
+function fakeServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.on('data', data => { text += data; });
+        req.on('end', () => {
+            const body = text ? JSON.parse(text) : null;
+            requests.push({ method: req.method, path: req.url, body });
+            const route = routes[req.url];
+            const answer = route ? route(body) : { status: 404, json: { error: 'not found' } };
+            res.writeHead(answer.status || 200, { 'Content-Type': 'application/json' });
+            if (answer.json) return res.end(JSON.stringify(answer.json));
+
+            const chunks = answer.chunks.slice();
+            // `hang` keeps the response open after the last chunk, like a model still thinking
+            const timer = setInterval(() => {
+                if (chunks.length > 0) return res.write(chunks.shift());
+                if (answer.hang) return;
+                clearInterval(timer);
+                res.end();
+            }, 5);
+            res.on('close', () => clearInterval(timer));
+        });
+    });
+    return new Promise(resolve => server.listen(0, () => resolve({
+        url: `http://localhost:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+const ndjson = objects => objects.map(object => `${JSON.stringify(object)}\n`);
+const sse = objects => [...objects.map(object => `data: ${JSON.stringify(object)}\n\n`), 'data: [DONE]\n\n'];
+
+describe('ollama provider', () => {
+    let server;
+    let ollama;
+
+    before(async () => {
+        server = await fakeServer({
+            '/api/chat': body => (body.model === 'llama2'
+                ? { status: 400, json: { error: 'registry.ollama.ai/library/llama2:latest does not support tools' } }
+                : {
+                    chunks: ndjson([
+                        { message: { role: 'assistant', content: 'Looking' } },
+                        { message: { role: 'assistant', content: ' it up' } },
+                        { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'search_tasks', arguments: { query: 'gym' } } }] } },
+                        { done: true }
+                    ])
+                }),
+            '/api/generate': () => ({ chunks: ['{"response":"{\\"action\\":', '"}\n{"response":" \\"respond\\"}"}\n', '{"done":true}\n'] }),
+            '/api/embed': body => ({ json: { embeddings: body.input.map(text => [text.length, 1]) } }),
+            '/api/tags': () => ({ json: { models: [{ name: 'llama3.1:latest' }, { name: 'llama2:latest' }] } })
+        });
+        ollama = createProvider('ollama', { url: server.url, model: 'llama3.1', temperature: 0.2, contextSize: 8192 });
+    });
+
+    after(() => server.close());
+
+    it('streams chat text and collects the tool calls', async () => {
+        const seen = [];
+        const answer = await ollama.chat({ messages: [{ role: 'user', content: 'gym?' }], tools: [{ type: 'function' }], onText: text => seen.push(text) });
+
+        assert.deepEqual(seen, ['Looking', 'Looking it up']);
+        assert.equal(answer.content, 'Looking it up');
+        assert.deepEqual(answer.toolCalls, [{ function: { name: 'search_tasks', arguments: { query: 'gym' } } }]);
+
+        const request = server.requests.find(item => item.path === '/api/chat').body;
+        assert.equal(request.stream, true);
+        assert.deepEqual(request.options, { temperature: 0.2, num_ctx: 8192 });
+    });
+
+    it('reports models without tool calling', async () => {
+        ollama.setModel('llama2');
+        await assert.rejects(ollama.chat({ messages: [], tools: [{ type: 'function' }] }), error => {
+            assert.equal(error.code, 'TOOLS_UNSUPPORTED');
+            assert.match(error.message, /does not support tools/);
+            return true;
+        });
+        ollama.setModel('llama3.1');
+    });
+
+    it('generates JSON, embeds and lists models', async () => {
+        assert.equal(await ollama.generate({ prompt: 'Hi', json: true }), '{"action": "respond"}');
+        assert.equal(server.requests.find(item => item.path === '/api/generate').body.format, 'json');
+        assert.deepEqual(await ollama.embed(['abc', 'de']), [[3, 1], [2, 1]]);
+        assert.deepEqual(await ollama.listModels(), ['llama3.1:latest', 'llama2:latest']);
+    });
+});
+
+describe('openai provider', () => {
+    let server;
+    let openai;
+
+    before(async () => {
+        server = await fakeServer({
+            '/v1/chat/completions': body => {
+                if (body.response_format) return { chunks: sse([{ choices: [{ delta: { content: '{"action":"respond"}' } }] }]) };
+                if (body.messages[0].content === 'slow') return { chunks: sse([{ choices: [{ delta: { content: 'Once' } }] }]), hang: true };
+                return {
+                    chunks: sse([
+                        { choices: [{ delta: { role: 'assistant', content: 'Sure' } }] },
+                        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'a', function: { name: 'create_task', arguments: '{"title":' } }] } }] },
+                        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"Gym"}' } }] } }] },
+                        { choices: [{ delta: {}, finish_reason: 'tool_calls' }] }
+                    ])
+                };
+            },
+            '/v1/embeddings': body => ({ json: { data: body.input.map((text, index) => ({ index, embedding: [index] })).reverse() } }),
+            '/v1/models': () => ({ json: { data: [{ id: 'qwen2.5-7b' }] } })
+        });
+        openai = createProvider('openai', { url: `${server.url}/v1/`, model: 'qwen2.5-7b', apiKey: 'secret' });
+    });
+
+    after(() => server.close());
+
+    it('assembles tool calls streamed in pieces', async () => {
+        const answer = await openai.chat({ messages: [{ role: 'user', content: 'gym at 7' }], tools: [{ type: 'function' }] });
+        assert.equal(answer.content, 'Sure');
+        assert.deepEqual(answer.toolCalls, [{ function: { name: 'create_task', arguments: { title: 'Gym' } } }]);
+    });
+
+    it('asks for JSON objects in JSON mode', async () => {
+        assert.equal(await openai.generate({ prompt: 'Hi', json: true }), '{"action":"respond"}');
+        const request = server.requests.filter(item => item.path === '/v1/chat/completions').pop().body;
+        assert.deepEqual(request.response_format, { type: 'json_object' });
+        assert.deepEqual(request.messages, [{ role: 'user', content: 'Hi' }]);
+    });
+
+    it('stops streaming when the signal aborts', async () => {
+        const controller = new AbortController();
+        const answer = openai.generate({ prompt: 'slow', signal: controller.signal, onText: () => controller.abort() });
+        await assert.rejects(answer, error => error.code === 'CANCELLED');
+    });
+
+    it('embeds in order and lists models', async () => {
+        assert.deepEqual(await openai.embed(['a', 'b']), [[0], [1]]);
+        assert.deepEqual(await openai.listModels(), ['qwen2.5-7b']);
+    });
+
+    it('turns Ollama-format messages into OpenAI ones', () => {
+        const messages = toOpenAiMessages([
+            { role: 'user', content: 'Delete the gym task' },
+            { role: 'assistant', content: '', tool_calls: [{ function: { name: 'search_tasks', arguments: { query: 'gym' } } }] },
+            { role: 'tool', tool_name: 'search_tasks', content: '{"tasks":[]}' },
+            { role: 'tool', tool_name: 'delete_task', content: '{"success":false}' }
+        ]);
+
+        assert.deepEqual(messages[1].tool_calls, [{ id: 'call_1', type: 'function', function: { name: 'search_tasks', arguments: '{"query":"gym"}' } }]);
+        assert.deepEqual(messages[2], { role: 'tool', tool_call_id: 'call_1', content: '{"tasks":[]}' });
+        assert.equal(messages[3].role, 'user');
+    });
+});
+
+describe('mock provider', () => {
+    it('answers from its script and records the requests', async () => {
+        const mock = createProvider('mock', {
+            script: [
+                { content: 'Creating it', toolCalls: [{ function: { name: 'create_task', arguments: { title: 'Gym' } } }] },
+                '{"action": "respond", "explanation": "Done"}',
+                { error: 'model crashed' }
+            ]
+        });
+
+        const seen = [];
+        const first = await mock.chat({ messages: [{ role: 'user', content: 'gym' }], onText: text => seen.push(text) });
+        assert.deepEqual(seen, ['Creating ', 'Creating it']);
+        assert.equal(first.toolCalls[0].function.name, 'create_task');
+        assert.equal(await mock.generate({ prompt: 'next', json: true }), '{"action": "respond", "explanation": "Done"}');
+        await assert.rejects(mock.generate({ prompt: 'again' }), /model crashed/);
+        await assert.rejects(mock.generate({ prompt: 'more' }), /no more answers/);
+
+        assert.deepEqual(mock.calls.map(call => call.method), ['chat', 'generate', 'generate', 'generate']);
+        assert.equal(mock.calls[1].json, true);
+    });
+});
+
+describe('provider settings', () => {
+    const config = {
+        default: { provider: 'ollama', model: 'llama3.1', temperature: 0.3 },
+        profiles: { work: { provider: 'openai', url: 'http://localhost:8000/v1', model: 'qwen' } }
+    };
+
+    it('uses the profile entry, else the default, with overrides on top', () => {
+        assert.deepEqual(providerSettings(config, 'work'), { provider: 'openai', url: 'http://localhost:8000/v1', model: 'qwen' });
+        assert.deepEqual(providerSettings(config, 'alice', { model: 'mistral', url: undefined }), { provider: 'ollama', model: 'mistral', temperature: 0.3 });
+        assert.deepEqual(providerSettings({}, 'alice', { provider: '' }), { provider: 'ollama' });
+    });
+
+    it('rejects unknown providers', () => {
+        assert.throws(() => createProvider('gpt'), /Unknown provider "gpt" \(use one of: ollama, openai, mock\)/);
+    });
+});
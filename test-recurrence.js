@@ -0,0 +1,148 @@
+// test-recurrence.js
+// Tests for the recurrence rules of recurring tasks. They run in a time zone with daylight saving
+// time, because occurrences keep their wall-clock time across the switch.
+
+process.env.TZ = 'Europe/Berlin';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRecurrence, formatRRule, expandOccurrences, occurrencesIn, isOccurrence } = require('./backend/utils/recurrence');
+const { dueReminders } = require('./backend/utils/reminders');
+
+const HOUR = 60 * 60 * 1000;
+
+// A recurring task from `start` lasting an hour; dates are local time
+function series(rule, start = new Date(2024, 0, 1, 9)) {
+    return { start, end: new Date(start.getTime() + HOUR), recurrence: normalizeRecurrence(rule) };
+}
+
+// Occurrence starts in [from, to) as local "YYYY-MM-DD HH:mm" strings
+function starts(task, from = new Date(2024, 0, 1), to = new Date(2025, 0, 1)) {
+    return expandOccurrences(task, from, to).map(({ start }) => {
+        const pad = value => String(value).padStart(2, '0');
+        return `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())} ${pad(start.getHours())}:${pad(start.getMinutes())}`;
+    });
+}
+
+describe('normalizeRecurrence', () => {
+    it('reads an RRULE string and fills in the defaults', () => {
+        assert.deepEqual(normalizeRecurrence('RRULE:FREQ=WEEKLY;BYDAY=mo,we;COUNT=4'),
+            { freq: 'weekly', interval: 1, byDay: ['MO', 'WE'], count: 4, until: null, exdates: [] });
+        assert.equal(normalizeRecurrence('FREQ=DAILY;UNTIL=20240105T080000Z').until.toISOString(), '2024-01-05T08:00:00.000Z');
+        assert.equal(normalizeRecurrence(''), null);
+        assert.equal(normalizeRecurrence(null), null);
+    });
+
+    it('formats back to the same rule', () => {
+        const rule = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;COUNT=6';
+        assert.equal(formatRRule(normalizeRecurrence(rule)), rule);
+    });
+
+    it('rejects invalid rules', () => {
+        assert.throws(() => normalizeRecurrence({ freq: 'yearly' }), /freq must be one of: daily, weekly, monthly/);
+        assert.throws(() => normalizeRecurrence({ freq: 'daily', interval: 0 }), /interval must be a positive integer/);
+        assert.throws(() => normalizeRecurrence({ freq: 'weekly', byDay: ['1MO'] }), /only allowed for monthly/);
+        assert.throws(() => normalizeRecurrence({ freq: 'weekly', byDay: ['XX'] }), /Invalid BYDAY value: XX/);
+        assert.throws(() => normalizeRecurrence({ freq: 'daily', count: 1.5 }), /count must be a positive integer/);
+        assert.throws(() => normalizeRecurrence({ freq: 'daily', count: 2, until: '2024-02-01' }), /both count and until/);
+        assert.throws(() => normalizeRecurrence({ freq: 'daily', exdates: ['soon'] }), /Invalid exception date: soon/);
+        assert.throws(() => normalizeRecurrence('FREQ=DAILY;BYSETPOS=1'), /Unsupported RRULE part: BYSETPOS/);
+    });
+});
+
+describe('expandOccurrences', () => {
+    it('repeats every interval', () => {
+        assert.deepEqual(starts(series('FREQ=DAILY;INTERVAL=2;COUNT=3')), ['2024-01-01 09:00', '2024-01-03 09:00', '2024-01-05 09:00']);
+        assert.deepEqual(starts(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'), new Date(2024, 0, 1), new Date(2024, 0, 20)),
+            ['2024-01-01 09:00', '2024-01-03 09:00', '2024-01-15 09:00', '2024-01-17 09:00']);
+    });
+
+    it('only repeats on the given weekdays, never before the first start', () => {
+        // 2024-01-03 is a Wednesday, so that week's Monday is not an occurrence
+        const task = series('FREQ=WEEKLY;BYDAY=MO,WE', new Date(2024, 0, 3, 9));
+        assert.deepEqual(starts(task, new Date(2024, 0, 1), new Date(2024, 0, 11)), ['2024-01-03 09:00', '2024-01-08 09:00', '2024-01-10 09:00']);
+
+        const weekdays = series('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', new Date(2024, 0, 5, 9));
+        assert.deepEqual(starts(weekdays, new Date(2024, 0, 1), new Date(2024, 0, 10)), ['2024-01-05 09:00', '2024-01-08 09:00', '2024-01-09 09:00']);
+    });
+
+    it('counts occurrences from the first start, not from the range', () => {
+        const task = series('FREQ=DAILY;COUNT=3');
+        assert.deepEqual(starts(task, new Date(2024, 0, 2), new Date(2024, 0, 10)), ['2024-01-02 09:00', '2024-01-03 09:00']);
+    });
+
+    it('includes the until date itself', () => {
+        const task = series({ freq: 'daily', until: new Date(2024, 0, 3, 9) });
+        assert.deepEqual(starts(task), ['2024-01-01 09:00', '2024-01-02 09:00', '2024-01-03 09:00']);
+    });
+
+    it('leaves out exception dates, which still count towards COUNT', () => {
+        const task = series({ freq: 'daily', count: 3, exdates: [new Date(2024, 0, 2, 9)] });
+        assert.deepEqual(starts(task), ['2024-01-01 09:00', '2024-01-03 09:00']);
+    });
+
+    it('includes an occurrence that started before the range and is still going on', () => {
+        const task = series('FREQ=DAILY;COUNT=3');
+        assert.deepEqual(starts(task, new Date(2024, 0, 2, 9, 30), new Date(2024, 0, 2, 12)), ['2024-01-02 09:00']);
+        assert.deepEqual(starts(task, new Date(2024, 0, 2, 10), new Date(2024, 0, 2, 12)), []);
+    });
+
+    it('skips months without the day of a series on the 31st', () => {
+        const task = series('FREQ=MONTHLY;COUNT=4', new Date(2024, 0, 31, 9));
+        assert.deepEqual(starts(task), ['2024-01-31 09:00', '2024-03-31 09:00', '2024-05-31 09:00', '2024-07-31 09:00']);
+
+        const leapDay = series('FREQ=MONTHLY;INTERVAL=12;COUNT=2', new Date(2024, 1, 29, 9));
+        assert.deepEqual(starts(leapDay, new Date(2024, 0, 1), new Date(2030, 0, 1)), ['2024-02-29 09:00', '2028-02-29 09:00']);
+    });
+
+    it('finds the n-th and the last weekday of a month', () => {
+        const firstMonday = series('FREQ=MONTHLY;BYDAY=1MO;COUNT=3');
+        assert.deepEqual(starts(firstMonday), ['2024-01-01 09:00', '2024-02-05 09:00', '2024-03-04 09:00']);
+
+        const lastFriday = series('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3');
+        assert.deepEqual(starts(lastFriday), ['2024-01-26 09:00', '2024-02-23 09:00', '2024-03-29 09:00']);
+
+        // Not every month has a fifth Thursday
+        const fifthThursday = series('FREQ=MONTHLY;BYDAY=5TH', new Date(2024, 0, 1, 9));
+        assert.deepEqual(starts(fifthThursday, new Date(2024, 0, 1), new Date(2024, 6, 1)), ['2024-02-29 09:00', '2024-05-30 09:00']);
+    });
+
+    it('keeps the wall-clock time across daylight saving time changes', () => {
+        // Clocks go forward on 2024-03-31 and back on 2024-10-27 in Berlin
+        const spring = expandOccurrences(series('FREQ=DAILY', new Date(2024, 2, 30, 9)), new Date(2024, 2, 30), new Date(2024, 3, 2));
+        assert.deepEqual(spring.map(({ start }) => start.toISOString()),
+            ['2024-03-30T08:00:00.000Z', '2024-03-31T07:00:00.000Z', '2024-04-01T07:00:00.000Z']);
+        assert.equal(spring[1].end - spring[1].start, HOUR);
+
+        const autumn = expandOccurrences(series('FREQ=WEEKLY;COUNT=2', new Date(2024, 9, 21, 9)), new Date(2024, 9, 1), new Date(2024, 11, 1));
+        assert.deepEqual(autumn.map(({ start }) => start.toISOString()), ['2024-10-21T07:00:00.000Z', '2024-10-28T08:00:00.000Z']);
+    });
+
+    it('stops early when the caller has enough occurrences', () => {
+        const endless = series('FREQ=DAILY');
+        const first = [];
+        for (const occurrence of occurrencesIn(endless, new Date(2024, 0, 1), new Date(9999, 0, 1))) {
+            first.push(occurrence);
+            if (first.length === 2) break;
+        }
+        assert.deepEqual(first.map(({ start }) => start.getDate()), [1, 2]);
+    });
+});
+
+describe('edited occurrences', () => {
+    it('recognizes only non-excluded starts of the series as occurrences', () => {
+        const task = series({ freq: 'weekly', exdates: [new Date(2024, 0, 8, 9)] });
+        assert.equal(isOccurrence(task, new Date(2024, 0, 15, 9)), true);
+        assert.equal(isOccurrence(task, new Date(2024, 0, 15, 10)), false);
+        assert.equal(isOccurrence(task, new Date(2024, 0, 16, 9)), false);
+        assert.equal(isOccurrence(task, new Date(2024, 0, 8, 9)), false);
+    });
+
+    it('leaves the reminders of an edited occurrence to its override', () => {
+        const task = { ...series('FREQ=DAILY;COUNT=3'), reminders: [{ minutesBefore: 10, channels: ['console'] }] };
+        const edited = new Set([new Date(2024, 0, 2, 9).getTime()]);
+        const due = dueReminders(task, new Date(2024, 0, 1), new Date(2024, 0, 4), edited);
+        assert.deepEqual(due.map(reminder => reminder.start.getDate()), [1, 3]);
+        assert.deepEqual(due.map(reminder => reminder.fireAt.getMinutes()), [50, 50]);
+    });
+});
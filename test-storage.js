@@ -0,0 +1,298 @@
+// test-storage.js
+// Contract tests every storage backend has to pass, so the routes behave the same on all of them.
+// Runs the memory and JSON file stores; set STORAGE_TEST_MONGODB_URI (a replica set, e.g.
+// mongodb://localhost:27017/taskscheduler-test?replicaSet=rs0) to include MongoDB.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createStorage } = require('./backend/storage');
+const Task = require('./backend/models/Task');
+
+const HOUR = 60 * 60 * 1000;
+const jsonFile = path.join(os.tmpdir(), `taskscheduler-test-${process.pid}.json`);
+
+const backends = [
+    ['memory', {}],
+    ['json', { file: jsonFile }]
+];
+if (process.env.STORAGE_TEST_MONGODB_URI) {
+    backends.push(['mongo', { uri: process.env.STORAGE_TEST_MONGODB_URI }]);
+}
+
+// Every test works on its own owner, so tests don't see each other's data (and no store needs clearing)
+function newOwner() {
+    return new mongoose.Types.ObjectId();
+}
+
+function taskData(owner, hour, fields = {}) {
+    const start = new Date(Date.UTC(2030, 0, 1, hour));
+    return { title: `Task at ${hour}`, start, end: new Date(start.getTime() + HOUR), owner, ...fields };
+}
+
+function titles(tasks) {
+    return tasks.map(task => task.title);
+}
+
+function contract(type, options) {
+    describe(`${type} storage`, () => {
+        let storage;
+
+        before(async () => {
+            storage = createStorage(type, options);
+            await storage.connect();
+        });
+
+        after(async () => {
+            await storage.close();
+        });
+
+        it('creates documents with IDs, defaults and timestamps', async () => {
+            const owner = newOwner();
+            const task = await storage.tasks.create(taskData(owner, 9));
+
+            assert.ok(task instanceof Task);
+            assert.ok(task._id);
+            assert.equal(task.isNew, false);
+            assert.equal(task.color, '#3788d8');
+            assert.ok(task.createdAt instanceof Date);
+            assert.ok(task.updatedAt instanceof Date);
+
+            const found = await storage.tasks.findById(String(task._id));
+            assert.equal(found.title, 'Task at 9');
+            assert.equal(found.start.getTime(), task.start.getTime());
+            assert.equal(String(found.owner), String(owner));
+        });
+
+        it('rejects invalid documents with the model validation error', async () => {
+            await assert.rejects(storage.tasks.create({ title: 'No times', owner: newOwner() }), { name: 'ValidationError' });
+        });
+
+        it('rejects malformed IDs with a CastError', async () => {
+            await assert.rejects(storage.tasks.findById('not-an-id'), { name: 'CastError' });
+        });
+
+        it('saves changes to a document and moves updatedAt', async () => {
+            const task = await storage.tasks.create(taskData(newOwner(), 9));
+            const createdAt = task.createdAt.getTime();
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            task.title = 'Renamed';
+            task.recurrence = { freq: 'weekly', byDay: ['MO'] };
+            task.recurrence.exdates.addToSet(task.start);
+            await storage.tasks.save(task);
+
+            const found = await storage.tasks.findById(task._id);
+            assert.equal(found.title, 'Renamed');
+            assert.equal(found.recurrence.freq, 'weekly');
+            assert.equal(found.recurrence.exdates[0].getTime(), task.start.getTime());
+            assert.equal(found.createdAt.getTime(), createdAt);
+            assert.ok(found.updatedAt.getTime() > createdAt);
+        });
+
+        it('hands out copies: unsaved changes do not reach the store', async () => {
+            const task = await storage.tasks.create(taskData(newOwner(), 9, { tags: ['work'] }));
+            const copy = await storage.tasks.findById(task._id);
+            copy.title = 'Not saved';
+            copy.tags.push('family');
+
+            const found = await storage.tasks.findById(task._id);
+            assert.equal(found.title, 'Task at 9');
+            assert.deepEqual([...found.tags], ['work']);
+        });
+
+        it('finds with MongoDB filters: equality, ranges, $in, $or, $ne, regex and $exists', async () => {
+            const owner = newOwner();
+            await storage.tasks.create(taskData(owner, 8, { title: 'Standup', tags: ['work'] }));
+            await storage.tasks.create(taskData(owner, 10, { title: 'Dentist', tags: ['health'], reminders: [{ minutesBefore: 30 }] }));
+            await storage.tasks.create(taskData(owner, 12, { title: 'Lunch with Sam', tags: ['personal', 'family'] }));
+            await storage.tasks.create(taskData(owner, 14, {
+                title: 'Weekly review',
+                tags: ['work'],
+                recurrence: { freq: 'weekly', until: new Date(Date.UTC(2030, 5, 1)) }
+            }));
+            await storage.tasks.create(taskData(newOwner(), 10, { title: 'Someone else' }));
+
+            const sort = { sort: { start: 1 } };
+            assert.deepEqual(titles(await storage.tasks.find({ owner: String(owner) }, sort)),
+                ['Standup', 'Dentist', 'Lunch with Sam', 'Weekly review']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, tags: 'family' }, sort)), ['Lunch with Sam']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, tags: { $in: ['work', 'health'] } }, sort)),
+                ['Standup', 'Dentist', 'Weekly review']);
+            assert.deepEqual(titles(await storage.tasks.find({
+                owner,
+                start: { $gte: new Date(Date.UTC(2030, 0, 1, 10)), $lt: '2030-01-01T14:00:00Z' }
+            }, sort)), ['Dentist', 'Lunch with Sam']);
+            assert.deepEqual(titles(await storage.tasks.find({
+                $and: [{ owner }, { $or: [{ title: /lunch/i }, { description: /lunch/i }] }]
+            })), ['Lunch with Sam']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, recurrence: { $ne: null } })), ['Weekly review']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, recurrence: null }, sort)), ['Standup', 'Dentist', 'Lunch with Sam']);
+            assert.deepEqual(titles(await storage.tasks.find({
+                owner,
+                $or: [{ 'recurrence.until': { $gte: new Date(Date.UTC(2030, 2, 1)) } }, { title: 'Standup' }]
+            }, sort)), ['Standup', 'Weekly review']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, 'reminders.0': { $exists: true } })), ['Dentist']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner, tags: { $nin: ['work'] } }, sort)), ['Dentist', 'Lunch with Sam']);
+        });
+
+        it('sorts on several fields and limits', async () => {
+            const owner = newOwner();
+            for (const [hour, title] of [[9, 'b'], [9, 'a'], [8, 'c'], [11, 'd']]) {
+                await storage.tasks.create(taskData(owner, hour, { title }));
+            }
+
+            assert.deepEqual(titles(await storage.tasks.find({ owner }, { sort: { start: -1, title: 1 } })), ['d', 'a', 'b', 'c']);
+            assert.deepEqual(titles(await storage.tasks.find({ owner }, { sort: { start: 1, title: -1 }, limit: 2 })), ['c', 'b']);
+            assert.equal((await storage.tasks.findOne({ owner }, { sort: { title: -1 } })).title, 'd');
+        });
+
+        it('matches fields inside arrays of subdocuments', async () => {
+            const User = require('./backend/models/User');
+            const username = `user${new mongoose.Types.ObjectId()}`;
+            const user = new User({ username, passwordHash: 'x' });
+            user.apiTokens.push({ name: 'cli', tokenHash: `hash-${username}` });
+            await storage.users.save(user);
+
+            const found = await storage.users.findOne({ 'apiTokens.tokenHash': `hash-${username}` });
+            assert.equal(found.username, username);
+            assert.ok(found.apiTokens[0].createdAt instanceof Date);
+            assert.equal(await storage.users.findOne({ 'apiTokens.tokenHash': 'missing' }), null);
+        });
+
+        it('counts, checks existence and removes', async () => {
+            const owner = newOwner();
+            const first = await storage.tasks.create(taskData(owner, 9));
+            await storage.tasks.create(taskData(owner, 10));
+
+            assert.equal(await storage.tasks.count({ owner }), 2);
+            assert.equal(await storage.tasks.exists({ _id: first._id }), true);
+
+            await storage.tasks.remove(first);
+            assert.equal(await storage.tasks.exists({ _id: first._id }), false);
+            assert.equal(await storage.tasks.findById(first._id), null);
+            assert.equal(await storage.tasks.count({ owner }), 1);
+        });
+
+        it('updates and deletes many documents, reporting how many changed', async () => {
+            const owner = newOwner();
+            await storage.tasks.create(taskData(owner, 9, { tags: ['work'] }));
+            await storage.tasks.create(taskData(owner, 10, { tags: ['work'], color: '#ff0000' }));
+            await storage.tasks.create(taskData(owner, 11, { tags: ['personal'] }));
+
+            const updated = await storage.tasks.updateMany({ owner, tags: 'work' }, { color: '#ff0000' });
+            assert.equal(updated.modifiedCount, 1);
+            assert.equal(await storage.tasks.count({ owner, color: '#ff0000' }), 2);
+
+            const deleted = await storage.tasks.deleteMany({ owner, tags: 'work' });
+            assert.equal(deleted.deletedCount, 2);
+            assert.deepEqual(titles(await storage.tasks.find({ owner })), ['Task at 11']);
+        });
+
+        it('claims documents one at a time with findOneAndUpdate', async () => {
+            const owner = newOwner();
+            const task = new mongoose.Types.ObjectId();
+            for (const minutesBefore of [10, 30]) {
+                const fireAt = new Date(Date.UTC(2030, 0, 1, 9) - minutesBefore * 60 * 1000);
+                await storage.reminders.create({
+                    task, owner, title: 'Claim me', start: new Date(Date.UTC(2030, 0, 1, 9)),
+                    minutesBefore, fireAt, nextAttemptAt: fireAt
+                });
+            }
+
+            const filter = { owner, status: 'pending' };
+            const claimed = [
+                await storage.reminders.findOneAndUpdate(filter, { status: 'sending' }, { sort: { nextAttemptAt: 1 } }),
+                await storage.reminders.findOneAndUpdate(filter, { status: 'sending' }, { sort: { nextAttemptAt: 1 } }),
+                await storage.reminders.findOneAndUpdate(filter, { status: 'sending' }, { sort: { nextAttemptAt: 1 } })
+            ];
+
+            assert.deepEqual(claimed.slice(0, 2).map(reminder => reminder.minutesBefore), [30, 10]);
+            assert.ok(claimed.slice(0, 2).every(reminder => reminder.status === 'sending'));
+            assert.equal(claimed[2], null);
+        });
+
+        it('creates a document only when none matches, and enforces unique indexes', async () => {
+            const owner = newOwner();
+            const key = { task: new mongoose.Types.ObjectId(), start: new Date(Date.UTC(2030, 0, 1, 9)), minutesBefore: 10 };
+            const fields = { owner, title: 'Once', fireAt: new Date(Date.UTC(2030, 0, 1, 8, 50)), nextAttemptAt: new Date(Date.UTC(2030, 0, 1, 8, 50)) };
+
+            assert.equal(await storage.reminders.createIfMissing(key, fields), true);
+            assert.equal(await storage.reminders.createIfMissing(key, { ...fields, title: 'Twice' }), false);
+
+            const reminders = await storage.reminders.find({ owner });
+            assert.deepEqual(titles(reminders), ['Once']);
+            assert.equal(reminders[0].status, 'pending');
+            assert.ok(reminders[0].createdAt instanceof Date);
+
+            await assert.rejects(storage.reminders.create({ ...key, ...fields }), error => error.code === 11000);
+
+            const entry = { task: key.task, owner, actor: owner, source: 'rest', action: 'create', version: 1 };
+            await storage.auditLogs.create(entry);
+            await assert.rejects(storage.auditLogs.create({ ...entry, action: 'update' }), error => error.code === 11000);
+        });
+
+        it('commits transactions', async () => {
+            const owner = newOwner();
+            const existing = await storage.tasks.create(taskData(owner, 9));
+
+            assert.equal(storage.inTransaction(), false);
+            const result = await storage.transaction(async () => {
+                assert.equal(storage.inTransaction(), true);
+                await storage.tasks.create(taskData(owner, 10));
+                existing.title = 'Changed in transaction';
+                await storage.tasks.save(existing);
+                return 'done';
+            });
+
+            assert.equal(result, 'done');
+            assert.equal(storage.inTransaction(), false);
+            assert.deepEqual(titles(await storage.tasks.find({ owner }, { sort: { start: 1 } })), ['Changed in transaction', 'Task at 10']);
+        });
+
+        it('rolls back every change of a failed transaction', async () => {
+            const owner = newOwner();
+            const kept = await storage.tasks.create(taskData(owner, 9));
+            const removed = await storage.tasks.create(taskData(owner, 10));
+
+            await assert.rejects(storage.transaction(async () => {
+                await storage.tasks.create(taskData(owner, 11));
+                const task = await storage.tasks.findById(kept._id);
+                task.title = 'Should not stay';
+                await storage.tasks.save(task);
+                await storage.tasks.remove(removed);
+                await storage.tasks.updateMany({ owner }, { color: '#000000' });
+                throw new Error('Abort');
+            }), { message: 'Abort' });
+
+            const tasks = await storage.tasks.find({ owner }, { sort: { start: 1 } });
+            assert.deepEqual(titles(tasks), ['Task at 9', 'Task at 10']);
+            assert.ok(tasks.every(task => task.color === '#3788d8'));
+        });
+    });
+}
+
+backends.forEach(([type, options]) => contract(type, options));
+
+describe('json storage file', () => {
+    after(() => fs.rmSync(jsonFile, { force: true }));
+
+    it('keeps the data after the store is reopened', async () => {
+        const owner = newOwner();
+        const first = createStorage('json', { file: jsonFile });
+        await first.connect();
+        const task = await first.tasks.create(taskData(owner, 9, { recurrence: { freq: 'daily', exdates: [new Date(Date.UTC(2030, 0, 2, 9))] } }));
+        await first.close();
+
+        const second = createStorage('json', { file: jsonFile });
+        await second.connect();
+        const found = await second.tasks.findOne({ owner, start: { $lt: new Date(Date.UTC(2030, 0, 2)) } });
+        assert.equal(String(found._id), String(task._id));
+        assert.ok(found.recurrence.exdates[0] instanceof Date);
+        assert.equal(String(found.owner), String(owner));
+        await second.close();
+    });
+});
\ No newline at end of file